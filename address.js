@@ -0,0 +1,102 @@
+// Strict IP address parsing and classification.
+// Only globally routable unicast addresses may be published in DNS: private, loopback,
+// link-local, CGNAT, documentation, multicast and reserved ranges are rejected.
+
+const IPV4_OCTET = "(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)";
+const IPV4_REGEX = new RegExp(`^${IPV4_OCTET}(\\.${IPV4_OCTET}){3}$`);
+
+// Dotted quad without leading zeros, every octet 0-255
+export const parseIPv4 = (ip) => {
+  if (typeof ip !== "string" || !IPV4_REGEX.test(ip)) return null;
+  return ip.split(".").map(Number);
+};
+
+// Eight 16-bit groups, with "::" expanded and an embedded IPv4 tail converted
+export const parseIPv6 = (ip) => {
+  if (typeof ip !== "string" || !ip.includes(":") || ip.includes("%")) return null;
+
+  let text = ip.toLowerCase();
+  const tail = text.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const v4 = parseIPv4(tail[1]);
+    if (!v4) return null;
+    text = text.slice(0, -tail[1].length) +
+      ((v4[0] << 8) | v4[1]).toString(16) + ":" + ((v4[2] << 8) | v4[3]).toString(16);
+  }
+
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+
+  const toGroups = (part) => part ? part.split(":") : [];
+  const head = toGroups(halves[0]);
+  const rest = halves.length === 2 ? toGroups(halves[1]) : [];
+  const missing = 8 - head.length - rest.length;
+  if ((halves.length === 2 && missing < 1) || (halves.length === 1 && missing !== 0)) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...rest];
+  if (!groups.every(g => /^[0-9a-f]{1,4}$/.test(g))) return null;
+  return groups.map(g => parseInt(g, 16));
+};
+
+// 100.64.0.0/10 is the shared address space used by carrier-grade NAT
+export const isCgnatIPv4 = (ip) => {
+  const o = parseIPv4(ip);
+  return !!o && o[0] === 100 && o[1] >= 64 && o[1] <= 127;
+};
+
+// RFC 1918 private ranges
+export const isPrivateIPv4 = (ip) => {
+  const o = parseIPv4(ip);
+  return !!o && (o[0] === 10 || (o[0] === 172 && o[1] >= 16 && o[1] <= 31) || (o[0] === 192 && o[1] === 168));
+};
+
+// [first octets, prefix length] of every IPv4 range that is not publicly routable
+const IPV4_BOGONS = [
+  [[0], 8], [[10], 8], [[100, 64], 10], [[127], 8], [[169, 254], 16], [[172, 16], 12],
+  [[192, 0, 0], 24], [[192, 0, 2], 24], [[192, 88, 99], 24], [[192, 168], 16],
+  [[198, 18], 15], [[198, 51, 100], 24], [[203, 0, 113], 24], [[224], 4], [[240], 4]
+];
+
+const inPrefix = (value, bits, prefix, length) => {
+  for (let i = 0, left = length; left > 0; i++, left -= bits) {
+    const mask = left >= bits ? (1 << bits) - 1 : ((1 << left) - 1) << (bits - left);
+    if ((value[i] & mask) !== ((prefix[i] || 0) & mask)) return false;
+  }
+  return true;
+};
+
+export const isBogonIPv4 = (ip) => {
+  const o = parseIPv4(ip);
+  return !o || IPV4_BOGONS.some(([prefix, length]) => inPrefix(o, 8, prefix, length));
+};
+
+// Global unicast is 2000::/3; within it, documentation and IETF protocol ranges are bogons
+const IPV6_BOGONS = [
+  [[0x2001, 0x0db8], 32], [[0x2001, 0x0000], 23], [[0x3fff, 0x0000], 20]
+];
+
+export const isBogonIPv6 = (ip) => {
+  const g = parseIPv6(ip);
+  if (!g || (g[0] & 0xe000) !== 0x2000) return true;
+  return IPV6_BOGONS.some(([prefix, length]) => inPrefix(g, 16, prefix, length));
+};
+
+// A publicly routable address of the given family ("ipv4" | "ipv6")
+export const isPublicIP = (ip, family) => {
+  return family === "ipv4" ? !isBogonIPv4(ip) : !isBogonIPv6(ip);
+};
+
+// Why an address was refused, for error messages
+export const describeBogon = (ip, family) => {
+  if (family === "ipv4") {
+    if (!parseIPv4(ip)) return "not a valid IPv4 address";
+    if (isCgnatIPv4(ip)) return "carrier-grade NAT address";
+    if (isPrivateIPv4(ip)) return "private address";
+    return "reserved or non-routable address";
+  }
+  const g = parseIPv6(ip);
+  if (!g) return "not a valid IPv6 address";
+  if ((g[0] & 0xffc0) === 0xfe80) return "link-local address";
+  if ((g[0] & 0xfe00) === 0xfc00) return "unique-local address";
+  return "reserved or non-routable address";
+};
@@ -0,0 +1,76 @@
+#!/usr/bin/env sh
+# shellcheck disable=SC2034
+dns_apertodns_info='ApertoDNS.com
+Site: apertodns.com
+Docs: https://github.com/apertodns/apertodns#acmesh
+Options:
+ APERTODNS_API_KEY API Key. Optional if the CLI is already logged in
+ APERTODNS_CLI Path to the apertodns CLI. Optional, default "apertodns"
+'
+
+# acme.sh DNS API shim: the record changes are made by the apertodns CLI.
+# Install: copy this file to ~/.acme.sh/dnsapi/ and run
+#   acme.sh --issue --dns dns_apertodns -d example.apertodns.com -d '*.example.apertodns.com'
+
+########  Public functions #####################
+
+# Usage: dns_apertodns_add _acme-challenge.www.example.apertodns.com "XKrxpRBosdIKFzxW_CT3KLZNf6q0HG9i01zxXp5CPBs"
+dns_apertodns_add() {
+  fulldomain=$1
+  txtvalue=$2
+
+  _apertodns_init || return 1
+
+  _info "Adding TXT record for $fulldomain"
+  if ! _apertodns_cli acme present "$fulldomain" "$txtvalue" --quiet; then
+    _err "Could not add TXT record for $fulldomain"
+    return 1
+  fi
+  return 0
+}
+
+# Usage: dns_apertodns_rm _acme-challenge.www.example.apertodns.com "XKrxpRBosdIKFzxW_CT3KLZNf6q0HG9i01zxXp5CPBs"
+# Only this value is removed, so wildcard and apex challenges on the same name do not interfere
+dns_apertodns_rm() {
+  fulldomain=$1
+  txtvalue=$2
+
+  _apertodns_init || return 1
+
+  _info "Removing TXT record for $fulldomain"
+  if ! _apertodns_cli acme cleanup "$fulldomain" "$txtvalue" --quiet; then
+    _err "Could not remove TXT record for $fulldomain"
+    return 1
+  fi
+  return 0
+}
+
+####################  Private functions below ##################################
+
+_apertodns_init() {
+  APERTODNS_API_KEY="${APERTODNS_API_KEY:-$(_readaccountconf_mutable APERTODNS_API_KEY)}"
+  APERTODNS_CLI="${APERTODNS_CLI:-$(_readaccountconf_mutable APERTODNS_CLI)}"
+  APERTODNS_CLI="${APERTODNS_CLI:-apertodns}"
+
+  if ! _exists "$APERTODNS_CLI"; then
+    _err "The apertodns CLI was not found. Install it with: npm install -g apertodns"
+    _err "or set APERTODNS_CLI to its path."
+    return 1
+  fi
+
+  if [ -n "$APERTODNS_API_KEY" ]; then
+    _saveaccountconf_mutable APERTODNS_API_KEY "$APERTODNS_API_KEY"
+  fi
+  _saveaccountconf_mutable APERTODNS_CLI "$APERTODNS_CLI"
+}
+
+_apertodns_cli() {
+  _debug "Running $APERTODNS_CLI $*"
+  _apertodns_out=$(APERTODNS_API_KEY="$APERTODNS_API_KEY" "$APERTODNS_CLI" "$@" 2>&1)
+  _apertodns_ret=$?
+  _debug "$_apertodns_out"
+  if [ "$_apertodns_ret" != "0" ]; then
+    _err "$_apertodns_out"
+  fi
+  return $_apertodns_ret
+}
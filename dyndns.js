@@ -0,0 +1,31 @@
+// DynDNS2 protocol results for the standalone --update mode
+
+import { EXIT } from "./errors.js";
+
+// DynDNS2 return codes → esito, exit code e messaggio
+export const DYNDNS2_RESULTS = {
+  good: { ok: true, status: "updated", exitCode: EXIT.OK, message: "DNS aggiornato" },
+  nochg: { ok: true, status: "unchanged", exitCode: EXIT.UNCHANGED, message: "IP invariato" },
+  badauth: { ok: false, status: "badauth", exitCode: EXIT.AUTH, message: "Autenticazione fallita (token non valido)" },
+  "!donator": { ok: false, status: "!donator", exitCode: EXIT.AUTH, message: "Funzione non disponibile per questo account" },
+  notfqdn: { ok: false, status: "notfqdn", exitCode: EXIT.USAGE, message: "Hostname non valido (non è un FQDN)" },
+  nohost: { ok: false, status: "nohost", exitCode: EXIT.NOT_FOUND, message: "Hostname inesistente o non associato al token" },
+  numhost: { ok: false, status: "numhost", exitCode: EXIT.USAGE, message: "Troppi hostname nella richiesta" },
+  abuse: { ok: false, status: "abuse", exitCode: EXIT.RATE_LIMITED, message: "Hostname bloccato per abuso" },
+  badagent: { ok: false, status: "badagent", exitCode: EXIT.API, message: "User-Agent rifiutato dal server" },
+  dnserr: { ok: false, status: "dnserr", exitCode: EXIT.API, message: "Errore DNS lato server" },
+  "911": { ok: false, status: "911", exitCode: EXIT.API, message: "Problema lato server, riprova più tardi" }
+};
+
+// Parse a DynDNS2 response body ("good 1.2.3.4", "nochg", "badauth", one line per host)
+export const parseDynDns2Response = (text) => {
+  return text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(line => {
+    const [code, ...rest] = line.split(/\s+/);
+    const known = DYNDNS2_RESULTS[code];
+    return {
+      code,
+      ip: rest.join(" ") || null,
+      ...(known || { ok: false, status: "unknown", exitCode: EXIT.API, message: `Risposta sconosciuta: ${line}` })
+    };
+  });
+};
@@ -0,0 +1,51 @@
+// Exit codes shared by every command, so scripts and ACME hooks can tell failures apart.
+// Documented in --help and the README: keep the three in sync.
+
+export const EXIT = {
+  OK: 0,
+  ERROR: 1,          // anything not covered below (e.g. propagation timeout)
+  USAGE: 2,          // missing or invalid arguments or configuration
+  AUTH: 3,           // missing, invalid or expired credentials (401/403)
+  NOT_FOUND: 4,      // domain, token, key, record or service does not exist (404)
+  RATE_LIMITED: 5,   // 429, or blocked by the server
+  NETWORK: 6,        // API unreachable, DNS failure or timeout
+  API: 7,            // any other error answer from the API (4xx/5xx)
+  UNCHANGED: 8,      // nothing to do: the record already had the requested value
+  AUTH_EXPIRED: 9    // the saved login (JWT) has expired: log in again with --setup
+};
+
+const NETWORK_ERROR_CODES = new Set([
+  "ENOTFOUND", "EAI_AGAIN", "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "EHOSTUNREACH", "ENETUNREACH",
+  "EPIPE", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_SOCKET"
+]);
+
+export const exitCodeForStatus = (status) => {
+  if (status === 401 || status === 403) return EXIT.AUTH;
+  if (status === 404) return EXIT.NOT_FOUND;
+  if (status === 429) return EXIT.RATE_LIMITED;
+  return EXIT.API;
+};
+
+// err.exitCode wins, then the HTTP status it carries, then network failures from fetch
+export const exitCodeFor = (err) => {
+  if (!err) return EXIT.ERROR;
+  if (Number.isInteger(err.exitCode)) return err.exitCode;
+  if (err.status) return exitCodeForStatus(err.status);
+  if (err.name === "AbortError" || err.type === "system") return EXIT.NETWORK;
+  if (NETWORK_ERROR_CODES.has(err.code) || NETWORK_ERROR_CODES.has(err.cause?.code)) return EXIT.NETWORK;
+  return EXIT.ERROR;
+};
+
+// An Error that carries its exit code
+export const cliError = (message, exitCode = EXIT.ERROR) => Object.assign(new Error(message), { exitCode });
+
+export const usageError = (message) => cliError(message, EXIT.USAGE);
+
+// An Error for a failed HTTP response; its exit code follows the status
+export const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+// Stable name of an error's exit code, used as error.code in --json output ("AUTH", "NOT_FOUND"...)
+export const errorCodeFor = (err) => {
+  const exitCode = exitCodeFor(err);
+  return Object.keys(EXIT).find(name => EXIT[name] === exitCode) || "ERROR";
+};
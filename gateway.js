@@ -0,0 +1,242 @@
+import fetch from "node-fetch";
+import fs from "fs";
+import dgram from "dgram";
+import crypto from "crypto";
+import { isCgnatIPv4, isPrivateIPv4 } from "./address.js";
+
+// Ask the home router for its WAN address instead of an external service.
+// UPnP IGD: SSDP discovery + GetExternalIPAddress SOAP call.
+// NAT-PMP (RFC 6886) with PCP (RFC 6887) fallback on UDP port 5351.
+
+const SSDP_ADDRESS = "239.255.255.250";
+const SSDP_PORT = 1900;
+const NATPMP_PORT = 5351;
+
+const IGD_DEVICES = [
+  "urn:schemas-upnp-org:device:InternetGatewayDevice:2",
+  "urn:schemas-upnp-org:device:InternetGatewayDevice:1"
+];
+
+const WAN_SERVICES = [
+  "urn:schemas-upnp-org:service:WANIPConnection:2",
+  "urn:schemas-upnp-org:service:WANIPConnection:1",
+  "urn:schemas-upnp-org:service:WANPPPConnection:1"
+];
+
+const cgnatError = (ip, via) => Object.assign(
+  new Error(`${via} reports ${ip}: the router is behind carrier-grade or double NAT`),
+  { cgnat: true, ip }
+);
+
+// ==================== UPnP IGD ====================
+
+const ssdpDiscover = (timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const socket = dgram.createSocket("udp4");
+  const locations = new Set();
+
+  const finish = () => {
+    socket.close();
+    if (locations.size) resolve([...locations]);
+    else reject(new Error("no UPnP gateway answered"));
+  };
+
+  socket.on("message", (msg) => {
+    const match = msg.toString().match(/^location:\s*(\S+)/im);
+    if (match) locations.add(match[1]);
+  });
+  socket.on("error", (err) => {
+    socket.close();
+    reject(err);
+  });
+
+  socket.bind(0, () => {
+    for (const st of IGD_DEVICES) {
+      const search = [
+        "M-SEARCH * HTTP/1.1",
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        'MAN: "ssdp:discover"',
+        "MX: 1",
+        `ST: ${st}`,
+        "", ""
+      ].join("\r\n");
+      socket.send(search, SSDP_PORT, SSDP_ADDRESS);
+    }
+    setTimeout(finish, timeoutMs);
+  });
+});
+
+// Find the WAN connection service's control URL in the device description
+export const findControlUrl = (xml, location) => {
+  const base = xml.match(/<URLBase>\s*([^<]+?)\s*<\/URLBase>/i)?.[1] || location;
+  const services = xml.match(/<service>[\s\S]*?<\/service>/gi) || [];
+
+  for (const serviceType of WAN_SERVICES) {
+    for (const service of services) {
+      if (!service.includes(serviceType)) continue;
+      const controlUrl = service.match(/<controlURL>\s*([^<]+?)\s*<\/controlURL>/i)?.[1];
+      if (controlUrl) return { serviceType, controlUrl: new URL(controlUrl, base).toString() };
+    }
+  }
+  return null;
+};
+
+const timedFetch = async (url, options = {}, ms = 3000) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), ms);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+export const getUpnpExternalIP = async () => {
+  const locations = await ssdpDiscover();
+
+  for (const location of locations) {
+    try {
+      const description = await (await timedFetch(location)).text();
+      const service = findControlUrl(description, location);
+      if (!service) continue;
+
+      const envelope = '<?xml version="1.0"?>' +
+        '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+        `<s:Body><u:GetExternalIPAddress xmlns:u="${service.serviceType}"></u:GetExternalIPAddress></s:Body>` +
+        "</s:Envelope>";
+
+      const res = await timedFetch(service.controlUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": 'text/xml; charset="utf-8"',
+          SOAPAction: `"${service.serviceType}#GetExternalIPAddress"`
+        },
+        body: envelope
+      });
+      if (!res.ok) continue;
+
+      const ip = (await res.text()).match(/<NewExternalIPAddress>\s*([^<]*?)\s*<\/NewExternalIPAddress>/i)?.[1];
+      if (!ip) continue;
+      if (isCgnatIPv4(ip) || isPrivateIPv4(ip)) throw cgnatError(ip, "UPnP gateway");
+      return ip;
+    } catch (err) {
+      if (err.cgnat) throw err;
+    }
+  }
+
+  throw new Error("UPnP gateway did not report an external address");
+};
+
+// ==================== NAT-PMP / PCP ====================
+
+// Default IPv4 gateway from the kernel routing table (Linux only)
+export const getDefaultGateway = () => {
+  try {
+    const lines = fs.readFileSync("/proc/net/route", "utf-8").trim().split("\n").slice(1);
+    for (const line of lines) {
+      const [, destination, gateway] = line.trim().split(/\s+/);
+      if (destination !== "00000000" || gateway === "00000000") continue;
+      // Little-endian hex
+      return gateway.match(/../g).reverse().map(h => parseInt(h, 16)).join(".");
+    }
+  } catch {
+    // Not Linux or no procfs
+  }
+  return null;
+};
+
+// Send a UDP request with RFC 6886 retransmission (250ms, doubling) until accept() returns a value
+const udpExchange = (gateway, build, accept, attempts = 4) => new Promise((resolve, reject) => {
+  const socket = dgram.createSocket("udp4");
+  let timer = null;
+  let done = false;
+
+  const finish = (err, value) => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    socket.close();
+    if (err) reject(err);
+    else resolve(value);
+  };
+
+  socket.on("message", (msg, rinfo) => {
+    if (rinfo.address !== gateway) return;
+    try {
+      const value = accept(msg);
+      if (value !== undefined) finish(null, value);
+    } catch (err) {
+      finish(err);
+    }
+  });
+  socket.on("error", (err) => finish(err));
+
+  socket.connect(NATPMP_PORT, gateway, () => {
+    const packet = build(socket.address());
+    let delay = 250;
+    const send = (left) => {
+      if (left === 0) return finish(new Error(`no NAT-PMP/PCP answer from ${gateway}`));
+      socket.send(packet);
+      timer = setTimeout(() => send(left - 1), delay);
+      delay *= 2;
+    };
+    send(attempts);
+  });
+});
+
+const natPmpExternalIP = (gateway) => udpExchange(
+  gateway,
+  () => Buffer.from([0, 0]),
+  (msg) => {
+    // A PCP-only server answers version 0 requests with UNSUPP_VERSION
+    if (msg.length >= 4 && (msg[0] === 2 || msg.readUInt16BE(2) === 1)) {
+      throw Object.assign(new Error("NAT-PMP not supported"), { unsupportedVersion: true });
+    }
+    if (msg.length < 12 || msg[0] !== 0 || msg[1] !== 128) return undefined;
+    const result = msg.readUInt16BE(2);
+    if (result !== 0) throw new Error(`NAT-PMP result code ${result}`);
+    return [...msg.subarray(8, 12)].join(".");
+  }
+);
+
+// PCP has no "get external address" opcode: a short-lived MAP for the request's own UDP port
+// (closed right after) returns the assigned external address and expires on its own
+const pcpExternalIP = async (gateway) => {
+  const nonce = crypto.randomBytes(12);
+
+  const buildMap = (local) => {
+    const packet = Buffer.alloc(60);
+    packet[0] = 2;                       // version
+    packet[1] = 1;                       // MAP request
+    packet.writeUInt32BE(30, 4);         // lifetime (s)
+    packet.writeUInt16BE(0xffff, 18);    // client address as IPv4-mapped IPv6
+    local.address.split(".").forEach((octet, i) => { packet[20 + i] = Number(octet); });
+    nonce.copy(packet, 24);
+    packet[36] = 17;                     // UDP
+    packet.writeUInt16BE(local.port, 40);
+    return packet;
+  };
+
+  const acceptMap = (msg) => {
+    if (msg.length < 60 || msg[0] !== 2 || msg[1] !== 0x81) return undefined;
+    if (!msg.subarray(24, 36).equals(nonce)) return undefined;
+    if (msg[3] !== 0) throw new Error(`PCP result code ${msg[3]}`);
+    return [...msg.subarray(56, 60)].join(".");
+  };
+
+  return udpExchange(gateway, buildMap, acceptMap);
+};
+
+export const getNatPmpExternalIP = async (gateway = getDefaultGateway()) => {
+  if (!gateway) throw new Error("default gateway unknown, use natpmp:<gateway-ip>");
+
+  let ip;
+  try {
+    ip = await natPmpExternalIP(gateway);
+  } catch (err) {
+    if (!err.unsupportedVersion) throw err;
+    ip = await pcpExternalIP(gateway);
+  }
+
+  if (isCgnatIPv4(ip) || isPrivateIPv4(ip)) throw cgnatError(ip, "NAT-PMP/PCP gateway");
+  return ip;
+};
@@ -0,0 +1,251 @@
+import fetch from "node-fetch";
+import fs from "fs";
+import http from "http";
+import https from "https";
+import tls from "tls";
+import { usageError } from "./errors.js";
+
+// The one HTTP client every request goes through: per-attempt timeouts, retries, proxies
+// (HTTPS_PROXY, HTTP_PROXY, NO_PROXY), extra CA certificates, User-Agent and --debug tracing.
+
+const settings = {
+  userAgent: "apertodns-cli",
+  caFile: null,
+  debug: false,
+  log: (line) => process.stderr.write(`${line}\n`)
+};
+
+let ca = null;
+const agents = new Map();
+
+// userAgent, caFile (PEM bundle trusted on top of the system roots), debug, log(line)
+export const configureHttp = (options = {}) => {
+  Object.assign(settings, Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)));
+  ca = null;
+  agents.clear();
+};
+
+// ==================== RETRY ====================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delta seconds or an HTTP date; returns milliseconds or null
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with "equal jitter": half the delay is fixed, half random
+export const backoffDelay = (attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) => {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+// Transient failures worth retrying: network errors, 5xx and 429
+export const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Configuration and certificate errors fail the same way every time
+const isRetryableError = (err) => !Number.isInteger(err.exitCode) && !/CERT|TLS/.test(err.code || "");
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+// ==================== PROXY AND TRUST ====================
+
+// Extra CAs replace Node's default list, so the system roots and NODE_EXTRA_CA_CERTS are kept
+const caBundle = () => {
+  if (!settings.caFile) return undefined;
+  if (!ca) {
+    ca = [...tls.rootCertificates, ...[process.env.NODE_EXTRA_CA_CERTS, settings.caFile].filter(Boolean).map(file => {
+      try {
+        return fs.readFileSync(file, "utf-8");
+      } catch (err) {
+        throw usageError(`Cannot read CA file ${file}: ${err.message}`);
+      }
+    })];
+  }
+  return ca;
+};
+
+const env = (name) => process.env[name] || process.env[name.toLowerCase()] || "";
+
+// NO_PROXY: comma-separated hosts, domain suffixes (".example.com" or "example.com"), optional :port, or "*"
+const bypassesProxy = (url) => {
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const port = url.port || (url.protocol === "https:" ? "443" : "80");
+  return env("NO_PROXY").split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === "*") return true;
+    const [, pattern, entryPort] = entry.toLowerCase().match(/^\[?(.+?)\]?(?::(\d+))?$/);
+    if (entryPort && entryPort !== port) return false;
+    const suffix = pattern.replace(/^\*?\./, "");
+    return host === suffix || host.endsWith(`.${suffix}`);
+  });
+};
+
+export const proxyFor = (url) => {
+  const target = new URL(url);
+  const proxy = target.protocol === "https:" ? env("HTTPS_PROXY") || env("HTTP_PROXY") : env("HTTP_PROXY");
+  if (!proxy || bypassesProxy(target)) return null;
+  return new URL(proxy.includes("://") ? proxy : `http://${proxy}`);
+};
+
+// Both schemes are tunnelled with CONNECT; the proxy itself may be http:// or https://
+const tunnelAgent = (proxy, secure) => {
+  const agent = secure ? new https.Agent({ ca: caBundle() }) : new http.Agent();
+  agent.createConnection = (options, callback) => {
+    const headers = { Host: `${options.host}:${options.port}` };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers["Proxy-Authorization"] = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+    const req = (proxy.protocol === "https:" ? https : http).request({
+      host: proxy.hostname.replace(/^\[|\]$/g, ""),
+      port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+      method: "CONNECT",
+      path: `${options.host}:${options.port}`,
+      headers,
+      ca: caBundle()
+    });
+    req.once("connect", (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        callback(Object.assign(new Error(`Proxy ${proxy.host} refused CONNECT: HTTP ${res.statusCode}`), { code: "ECONNREFUSED" }));
+        return;
+      }
+      callback(null, secure ? tls.connect({ ...options, socket, servername: options.servername || options.host }) : socket);
+    });
+    req.once("error", callback);
+    req.end();
+  };
+  return agent;
+};
+
+// node-fetch asks for an agent per request URL
+const agentFor = (url) => {
+  const proxy = proxyFor(url.href);
+  const secure = url.protocol === "https:";
+  if (!proxy && !(secure && settings.caFile)) return undefined;
+
+  const key = `${url.protocol}${proxy?.href || ""}`;
+  if (!agents.has(key)) agents.set(key, proxy ? tunnelAgent(proxy, secure) : new https.Agent({ ca: caBundle() }));
+  return agents.get(key);
+};
+
+// ==================== DEBUG ====================
+
+const SECRET_HEADERS = new Set(["authorization", "proxy-authorization", "x-api-key", "cookie", "set-cookie"]);
+const SECRET_FIELD = /^(password|token|apiToken|jwtToken|apiKey|key|secret|validation|keyAuth)$/i;
+const SECRET_PARAM = /^(token|password|apikey|api_key|key)$/i;
+
+const mask = (value) => {
+  const text = String(value);
+  return text.length > 12 ? `${text.slice(0, 4)}…[redacted]` : "[redacted]";
+};
+
+export const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = "redacted";
+    for (const [name, value] of parsed.searchParams) {
+      if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, mask(value));
+    }
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+};
+
+const redactJson = (value) => {
+  if (Array.isArray(value)) return value.map(redactJson);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([name, field]) =>
+    [name, SECRET_FIELD.test(name) && typeof field !== "object" ? mask(field) : redactJson(field)]
+  ));
+};
+
+export const redactBody = (text) => {
+  if (!text) return "";
+  try {
+    return JSON.stringify(redactJson(JSON.parse(text)));
+  } catch {
+    return text.replace(/apertodns_(live|test)_[A-Za-z0-9]+/g, "apertodns_$1_[redacted]");
+  }
+};
+
+// "Authorization: Bearer [redacted]": the scheme stays visible, the credentials do not
+const redactHeader = (value) => {
+  const [scheme, credentials] = String(value).split(" ");
+  return credentials ? `${scheme} [redacted]` : "[redacted]";
+};
+
+const redactHeaders = (headers) => Object.entries(headers)
+  .map(([name, value]) => `${name}: ${SECRET_HEADERS.has(name.toLowerCase()) ? redactHeader(value) : value}`);
+
+const MAX_TRACE_BODY = 2000;
+const trace = (line) => settings.log(`[debug] ${line}`);
+const traceBody = (text) => {
+  const body = redactBody(text);
+  if (body) trace(`  ${body.length > MAX_TRACE_BODY ? `${body.slice(0, MAX_TRACE_BODY)}…` : body}`);
+};
+
+// ==================== REQUEST ====================
+
+// fetch() through the shared client. Each attempt has its own timeout (ms). Idempotent methods
+// are retried on network errors, 5xx and 429 (`retries` times, 2 by default; 0 for POST and
+// PATCH unless the caller opts in). A 429 waits for Retry-After when the server sends it. When
+// retries run out, or the server asks to wait longer than maxDelay, the last response is
+// returned (or the last network error thrown) so the caller can report it or defer the update.
+// onAttempt({ duration, status, error }) is called after every HTTP attempt (duration in seconds).
+export const httpFetch = async (url, options = {}, { retries, baseDelay = 1000, maxDelay = 30000, timeout = 15000, onRetry, onAttempt } = {}) => {
+  const method = (options.method || "GET").toUpperCase();
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(method) ? 2 : 0);
+  const headers = { "User-Agent": settings.userAgent, ...options.headers };
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const started = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+    let res = null;
+    let error = null;
+
+    if (settings.debug) {
+      const proxy = proxyFor(url);
+      trace(`→ ${method} ${redactUrl(url)}${attempt ? ` (retry ${attempt})` : ""}${proxy ? ` via proxy ${redactUrl(proxy.href)}` : ""}`);
+      redactHeaders(headers).forEach(line => trace(`  ${line}`));
+      if (typeof options.body === "string") traceBody(options.body);
+    }
+
+    try {
+      // A larger buffer lets the debug trace read a clone of the body before the caller does
+      res = await fetch(url, { ...options, headers, agent: agentFor, signal: controller.signal, ...(settings.debug && { highWaterMark: 1024 * 1024 }) });
+    } catch (err) {
+      error = err.name === "AbortError"
+        ? Object.assign(new Error(`Timeout after ${timeout / 1000}s: ${method} ${new URL(url).host}`), { code: "ETIMEDOUT" })
+        : err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (settings.debug) {
+      trace(`← ${res ? `${res.status} ${res.statusText}` : `error: ${error.message}`} (${Math.round(elapsed() * 1000)}ms)`);
+      if (res) traceBody(await res.clone().text().catch(() => ""));
+    }
+
+    onAttempt?.({ duration: elapsed(), status: res?.status || null, error });
+
+    if (res && !isRetryableStatus(res.status)) return res;
+
+    const retryAfter = res?.status === 429 ? parseRetryAfter(res.headers.get("retry-after")) : null;
+    const wait = retryAfter ?? backoffDelay(attempt, { baseDelay, maxDelay });
+
+    if (attempt >= maxRetries || wait > maxDelay || (error && !isRetryableError(error))) {
+      if (res) return res;
+      throw error;
+    }
+
+    onRetry?.({ attempt: attempt + 1, wait, status: res?.status || null, error });
+    await sleep(wait);
+  }
+};
@@ -1,27 +1,55 @@
 #!/usr/bin/env node
 
 import fs from "fs";
-import fetch from "node-fetch";
 import path from "path";
 import os from "os";
 import { fileURLToPath } from "url";
 import readline from "readline";
+import crypto from "crypto";
 import inquirer from "inquirer";
-import { log, getCurrentIP, getCurrentIPv6, loadLastIP, saveCurrentIP, getConfigDir } from "./utils.js";
+import {
+  log, detectPublicIP, loadLastIP, loadLastIPv6, loadDomainState, saveDomainState,
+  loadPendingUpdates, savePendingUpdate, clearPendingUpdate, acquireLock, releaseLock, getConfigDir, configDirIn, getDataDir,
+  loadAcmeChallenges, addAcmeChallenge, removeAcmeChallenge, clearAcmeChallenges
+} from "./utils.js";
+import { configureHttp, httpFetch, parseRetryAfter, backoffDelay, isRetryableStatus } from "./http.js";
 import chalk from "chalk";
 import figlet from "figlet";
 import Table from "cli-table3";
 import ora from "ora";
+import { createMetrics, parseListenAddress, startHealthServer } from "./metrics.js";
+import {
+  SERVICE_NAME, systemdUnitPath, openRcScriptPath, detectInitSystem, buildSystemdUnit, buildOpenRcScript, homeDirOf
+} from "./service.js";
+import { resolveAuthoritative, resolveServerSpec, newResolver, queryRecord, RECORD_TYPES } from "./resolver.js";
+import { parseIPv6 } from "./address.js";
+import { waitForPropagation } from "./propagation.js";
+import { MANAGED_RECORD_TYPES, parseRecord, validateRecordName, formatRecordValue } from "./records.js";
+import { execFileSync } from "child_process";
+import {
+  DEFAULT_PROFILE, validateProfileName, profileNames, hasProfile, getProfile, setProfile, removeProfile, setActiveProfile,
+  credentialType
+} from "./profiles.js";
+import {
+  isTooOpen, writePrivateFile, readSecretFile, randomKey, deriveKey, newSalt, newEncryption, verifyKey,
+  hasEncryptedSecrets, hasPlainSecrets, encryptSecrets, decryptSecrets, keyringAvailable, keyringLoad, keyringStore, keyringClear
+} from "./secrets.js";
+import { jwtExpiry, isJwtExpired, jwtExpiresWithin } from "./jwt.js";
+import { EXIT, exitCodeFor, exitCodeForStatus, cliError, usageError, httpError, errorCodeFor } from "./errors.js";
+import { parseDynDns2Response } from "./dyndns.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CONFIG_DIR = getConfigDir();
 const CONFIG_PATH = path.join(CONFIG_DIR, "config.json");
 const UPDATE_CACHE_PATH = path.join(CONFIG_DIR, ".update-check");
-const API_BASE = "https://api.apertodns.com/api";
+const ENDPOINTS_CACHE_PATH = path.join(getDataDir(), "endpoints.json");
+const DEFAULT_API_URL = "https://api.apertodns.com";
+// npm_config_registry is set by npm itself (npx, npm exec) from the user's .npmrc
+const NPM_REGISTRY = (process.env.APERTODNS_NPM_REGISTRY || process.env.npm_config_registry || "https://registry.npmjs.org").replace(/\/+$/, "");
 
 // Ensure config directory exists
 if (!fs.existsSync(CONFIG_DIR)) {
-  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
 }
 
 // Leggi versione da package.json
@@ -69,13 +97,7 @@ const checkForUpdates = async () => {
     }
 
     // Fetch da npm registry
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 3000);
-
-    const res = await fetch("https://registry.npmjs.org/apertodns/latest", {
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
+    const res = await httpFetch(`${NPM_REGISTRY}/apertodns/latest`, {}, { timeout: 3000, retries: 0 });
 
     if (!res.ok) return null;
     const data = await res.json();
@@ -137,9 +159,13 @@ const promptInput = (question) => {
 const args = process.argv.slice(2);
 const isCron = args.includes("--cron");
 if (isCron) {
-  process.argv.push("--quiet");
-  process.argv.push("--json");
+  args.push("--quiet");
+  args.push("--json");
 }
+// The generated unit goes to stdout untouched
+if (args[0] === "service" && args.includes("--print")) args.push("--quiet");
+// Hooks run unattended, their output ends up in the ACME client's log
+if (["certbot-auth", "certbot-cleanup", "acme"].includes(args[0])) args.push("--quiet");
 
 // Subcommand detection (new style: domains list, update domain.com, etc.)
 const subcommand = args[0] && !args[0].startsWith('-') ? args[0] : null;
@@ -151,12 +177,27 @@ const getOption = (name) => {
   return idx !== -1 && args[idx + 1] && !args[idx + 1].startsWith('-') ? args[idx + 1] : null;
 };
 
+// Helper to get every value of a repeatable option, in order
+const getOptions = (name) => {
+  return args.flatMap((arg, idx) => arg === name && args[idx + 1] && !args[idx + 1].startsWith('-') ? [args[idx + 1]] : []);
+};
+
 const isQuiet = args.includes("--quiet");
 const showHelp = args.includes("--help") || args.includes("-h");
 const showVersion = args.includes("--version") || args.includes("-v");
 const showJson = args.includes("--json");
+const caFile = getOption("--ca-file") || process.env.APERTODNS_CA_FILE || null;
+
+// Every request goes through http.js: User-Agent, proxy, extra CAs and the --debug trace (stderr)
+configureHttp({
+  userAgent: `apertodns-cli/${CURRENT_VERSION} (node ${process.version}; ${process.platform} ${process.arch})`,
+  caFile,
+  debug: args.includes("--debug") || ["1", "true"].includes(process.env.APERTODNS_DEBUG),
+  log: (line) => console.error(gray(line))
+});
 const runVerify = args.includes("--verify");
 const runSetup = args.includes("--setup");
+const runLogin = subcommand === "login";
 const showStatus = args.includes("--status") || args.includes("--show");
 const forceUpdate = args.includes("--force");
 const enableTokenId = getOption("--enable");
@@ -170,18 +211,84 @@ const deleteDomainArg = getOption("--delete-domain") || (subcommand === "domains
 const showStats = args.includes("--stats") || subcommand === "stats";
 const showLogs = args.includes("--logs") || subcommand === "logs";
 const testDns = getOption("--test") || (subcommand === "test" ? subcommandArg : null);
+const propagationName = subcommand === "propagation" ? subcommandArg : null;
+const certbotAction = subcommand === "certbot-auth" ? "auth" : subcommand === "certbot-cleanup" ? "cleanup" : null;
+const acmeAction = subcommand === "acme" ? subcommandArg || "" : null;
+const txtAction = subcommand === "txt" ? subcommandArg || "list" : null;
+const txtHostArg = txtAction && args[2] && !args[2].startsWith('-') ? args[2] : null;
+const recordsAction = subcommand === "records" ? subcommandArg || "list" : null;
+const recordsHostArg = recordsAction && args[2] && !args[2].startsWith('-') ? args[2] : null;
+const profileAction = subcommand === "profile" ? subcommandArg || "list" : null;
+const configAction = subcommand === "config" ? subcommandArg || "" : null;
+const profileNameArg = profileAction && args[2] && !args[2].startsWith('-') ? args[2] : null;
+const recordTypeArg = getOption("--type");
+// Taken verbatim: ACME challenge values may start with "-"
+const expectIdx = args.indexOf("--expect");
+const expectArg = expectIdx !== -1 ? args[expectIdx + 1] ?? null : null;
+// Whole seconds, at least `min`; a bad value is reported by main() with the other usage errors
+let optionError = null;
+const parseSeconds = (flag, fallback, min) => {
+  const value = getOption(flag);
+  if (!value) return fallback;
+  const seconds = Number(value);
+  if (Number.isInteger(seconds) && seconds >= min) return seconds;
+  optionError ??= usageError(`${flag} non valido: "${value}" (usa un numero intero di secondi, minimo ${min})`);
+  return fallback;
+};
+const waitPropagation = args.includes("--wait");
+const waitTimeout = parseSeconds("--wait-timeout", 300, 1);
+const waitInterval = parseSeconds("--wait-interval", 5, 1);
+const quorumArg = getOption("--quorum");
+const resolverArgs = getOptions("--resolver").flatMap(value => value.split(",")).map(v => v.trim()).filter(Boolean);
 const showDashboard = args.includes("--dashboard") || subcommand === "dashboard";
 const listWebhooks = args.includes("--webhooks") || subcommand === "webhooks";
 const listApiKeys = args.includes("--api-keys") || (subcommand === "api-keys" && (!subcommandArg || subcommandArg === "list"));
 const createApiKeyArg = getOption("--create-api-key") || (subcommand === "api-keys" && subcommandArg === "create" ? args[2] : null);
 const deleteApiKeyArg = getOption("--delete-api-key") || (subcommand === "api-keys" && subcommandArg === "delete" ? args[2] : null);
 const showScopes = args.includes("--scopes") || subcommand === "scopes";
-const useApiKey = getOption("--api-key");
+// Secrets mounted as files (Docker and Kubernetes secrets) stay out of argv and `docker inspect`;
+// an unreadable file is reported by main() with the other usage errors
+let secretFileError = null;
+const secretFromFile = (file) => {
+  if (!file) return null;
+  try {
+    return readSecretFile(file);
+  } catch (err) {
+    secretFileError = usageError(err.message);
+    return null;
+  }
+};
+const useApiKey = getOption("--api-key") || secretFromFile(getOption("--api-key-file"));
+const envApiKey = process.env.APERTODNS_API_KEY || secretFromFile(process.env.APERTODNS_API_KEY_FILE);
 const updateDomainArg = subcommand === "update" ? subcommandArg : null;
 const runInteractive = args.length === 0;
 const runDaemon = args.includes("--daemon") || subcommand === "daemon";
-const daemonInterval = getOption("--interval") ? parseInt(getOption("--interval")) : 300;
-const showMyIp = args.includes("--my-ip") || args.includes("--ip") || subcommand === "ip" || subcommand === "my-ip";
+const DEFAULT_DAEMON_INTERVAL = 300;
+const MIN_DAEMON_INTERVAL = 10;
+const daemonInterval = parseSeconds("--interval", DEFAULT_DAEMON_INTERVAL, MIN_DAEMON_INTERVAL);
+const daemonConfigPath = getOption("--daemon-config");
+const daemonPidFile = getOption("--pid-file");
+const healthListenArg = getOption("--health-listen");
+const driftCheckArg = getOption("--drift-check");
+const ipFamilyArg = getOption("--family");
+const ipSourcesArg = getOptions("--ip-source");
+// A whole number of at least 1, or null when the option is not given; a bad value is reported like parseSeconds
+const parseCount = (flag) => {
+  const value = getOption(flag);
+  if (!value) return null;
+  if (/^\d+$/.test(value) && Number(value) >= 1) return Number(value);
+  optionError ??= usageError(`${flag} non valido: "${value}" (usa un numero intero, minimo 1)`);
+  return null;
+};
+const ipQuorumArg = parseCount("--ip-quorum");
+const recordTtlArg = parseCount("--ttl");
+const serviceAction = subcommand === "service" ? (subcommandArg || "status") : null;
+const runStandaloneUpdate = args.includes("--update");
+const standaloneDomain = getOption("--domain");
+const standaloneToken = getOption("--token");
+const standaloneIp = getOption("--ip");
+// --ip is the address to push when combined with --update, an alias of --my-ip otherwise
+const showMyIp = args.includes("--my-ip") || (args.includes("--ip") && !runStandaloneUpdate) || subcommand === "ip" || subcommand === "my-ip";
 const logout = args.includes("--logout") || subcommand === "logout";
 
 // TXT record commands (ACME DNS-01 challenges)
@@ -198,15 +305,50 @@ const txtDeleteArgs = txtDeleteIdx !== -1 ? {
   value: args[txtDeleteIdx + 3]  // Optional: for selective multi-TXT deletion (wildcard certificates)
 } : null;
 
-// JSON output helper
+// Every --json document shares one envelope, described by the JSON Schemas in schemas/.
+// Bump SCHEMA_VERSION on any incompatible change to a command's data.
+const SCHEMA_VERSION = 1;
+let currentCommand = null;
+
+const envelope = (data, error = null) => ({
+  ok: !error,
+  command: currentCommand,
+  data: data ?? null,
+  error: error ? { code: errorCodeFor(error), message: error.message } : null,
+  schemaVersion: SCHEMA_VERSION
+});
+
+// JSON output helper: prints the success envelope, returns true in --json mode
 const jsonOutput = (data) => {
   if (showJson) {
-    console.log(JSON.stringify(data, null, 2));
+    console.log(JSON.stringify(envelope(data), null, 2));
     return true;
   }
   return false;
 };
 
+// Failure helper: sets the exit code and, in --json mode, prints the error envelope
+// (data carries partial results, if any). Returns true in --json mode.
+const jsonError = (err, data = null) => {
+  err = explainAuthError(err);
+  process.exitCode = exitCodeFor(err);
+  if (showJson) console.log(JSON.stringify(envelope(data, err), null, 2));
+  return showJson;
+};
+
+const jsonResult = (data, err) => err ? jsonError(err, data) : jsonOutput(data);
+
+// Long-running commands stream one compact envelope per event (NDJSON)
+const jsonEvent = (event, data = null, error = null) => {
+  console.log(JSON.stringify({ ...envelope(data, error), event, timestamp: new Date().toISOString() }));
+};
+
+// Run a command under its name, as reported in the envelope
+const runCommand = (name, handler) => {
+  currentCommand = name;
+  return handler();
+};
+
 // Show help
 if (showHelp) {
   console.log(`
@@ -226,11 +368,33 @@ ${chalk.bold("COMANDI PRINCIPALI:")}
 ${chalk.bold("GESTIONE DOMINI:")}
   ${cyan("--add-domain")} <name>  Crea un nuovo dominio
   ${cyan("--delete-domain")}      Elimina un dominio (interattivo)
-  ${cyan("--test")} <domain>      Testa risoluzione DNS di un dominio
+  ${cyan("--test")} <domain>      Testa risoluzione DNS di un dominio (A, AAAA, TXT, CNAME, MX, CAA)
+  ${cyan("--resolver")} <list>    Resolver per --test/--wait: system, authoritative, IP[:porta] (ripetibile)
+
+${chalk.bold("PROPAGAZIONE:")}
+  ${cyan("propagation")} <name> --expect <val> [--type TXT]  Attende che il record sia visibile
+  ${cyan("--wait")}               Con update <domain> e --txt-set: attende la propagazione
+  ${cyan("--quorum")} <n|all>     Resolver che devono rispondere il valore atteso (default: all)
+  ${cyan("--wait-timeout")} <sec> Tempo massimo di attesa (default: 300)
+  ${cyan("--wait-interval")} <sec> Intervallo tra i controlli (default: 5)
 
 ${chalk.bold("TXT RECORDS (ACME DNS-01):")}
   ${cyan("--txt-set")} <host> <name> <val>   Imposta record TXT
   ${cyan("--txt-delete")} <host> <name> [val] Elimina record TXT (val opzionale per wildcard)
+  ${cyan("txt list")} <host> [--name <n>]      Elenca i record TXT
+  ${cyan("txt prune")} <host> --name <n> --older-than <durata>  Elimina i valori vecchi (es. 1h, 7d)
+  ${cyan("txt apply")} [host] -f <file.json>   Imposta o elimina più record TXT (--dry-run per anteprima)
+
+${chalk.bold("ALTRI RECORD (CNAME, MX, CAA, SRV):")}
+  ${cyan("records list")} <host> [--type <t>]   Elenca i record
+  ${cyan("records add")} <host> --type <t> --name <n> --value <v> [--ttl <s>]  Aggiunge un record
+  ${cyan("records delete")} <host> --type <t> --name <n> [--value <v>]  Elimina (val opzionale: tutti)
+
+${chalk.bold("CERTBOT (DNS-01):")}
+  ${cyan("certbot-auth")}         Hook --manual-auth-hook: imposta il TXT e attende la propagazione
+  ${cyan("certbot-cleanup")}      Hook --manual-cleanup-hook: rimuove il TXT
+  ${cyan("acme present")} <fqdn> <val>  Provider exec di lego (anche RAW: -- <dominio> <token> <keyAuth>)
+  ${cyan("acme cleanup")} <fqdn> <val>  Rimuove solo il valore indicato (ordini wildcard + apex)
 
 ${chalk.bold("GESTIONE TOKEN:")}
   ${cyan("--enable")} <id>        Attiva un token
@@ -244,28 +408,79 @@ ${chalk.bold("API KEYS:")}
   ${cyan("--delete-api-key")} <id> Elimina una API key
   ${cyan("--scopes")}             Mostra scopes disponibili
   ${cyan("--api-key")} <key>      Usa API key invece di JWT token
+  ${cyan("--api-key-file")} <f>   Legge l'API key da un file (secret Docker/Kubernetes)
 
 ${chalk.bold("INTEGRAZIONI:")}
   ${cyan("--webhooks")}           Lista webhook configurati
 
 ${chalk.bold("CONFIGURAZIONE:")}
   ${cyan("--setup")}              Configurazione guidata (login/registrazione)
+  ${cyan("login")} --email <e> --password-stdin [--save]  Login senza prompt (password da stdin)
+  ${cyan("login")} --api-key-stdin [--save]   Verifica e salva un'API key letta da stdin
   ${cyan("--status")}             Mostra stato attuale
   ${cyan("--config")}             Modifica configurazione
   ${cyan("--logout")}             Rimuovi configurazione locale
+  ${cyan("config encrypt")}       Cifra le credenziali salvate (passphrase, o --keyring per Secret Service)
+  ${cyan("config decrypt")}       Torna alle credenziali in chiaro
   ${cyan("--force")}              Forza aggiornamento DNS
+  ${cyan("--family")} <A|AAAA|both> Famiglia IP da aggiornare (IPv4, IPv6 o dual-stack)
+  ${cyan("--ip-source")} <src>    Fonte IP: http, interface:<if>, command:<cmd>, file:<path>,
+                       metadata:aws|gcp|openstack|<url>, upnp, natpmp[:<gw>], gateway
+                       (ripetibile, in ordine di fallback)
+  ${cyan("--ip-quorum")} <n>      Servizi HTTP che devono concordare sull'IP (default: 2)
+
+${chalk.bold("PROFILI (più account o ambienti):")}
+  ${cyan("--profile")} <nome>     Usa il profilo indicato (anche APERTODNS_PROFILE)
+  ${cyan("profile list")}         Elenca i profili e quello attivo
+  ${cyan("profile use")} <nome>   Imposta il profilo attivo
+  ${cyan("profile add")} <nome>   Crea un profilo (--api-url, --api-key, --domain, --family, --ip-source)
+  ${cyan("profile remove")} <nome> Elimina un profilo
+
+${chalk.bold("STANDALONE UPDATE (DynDNS2):")}
+  ${cyan("--update")}             Aggiornamento DynDNS2 senza configurazione salvata
+  ${cyan("--domain")} <fqdn>      Dominio da aggiornare (con --update)
+  ${cyan("--token")} <token>      Token del dominio (con --update)
+  ${cyan("--ip")} <address>       IP da impostare (opzionale, rilevato dal server)
 
 ${chalk.bold("DAEMON MODE:")}
   ${cyan("--daemon")}             Avvia in modalità daemon (aggiornamento continuo)
   ${cyan("--interval")} <sec>     Intervallo aggiornamento daemon (default: 300s)
+  ${cyan("--daemon-config")} <f>  File JSON con più domini (token/API key, famiglia, TTL, intervallo)
+  ${cyan("--pid-file")} <path>    Scrive il PID del daemon nel file indicato
+  ${cyan("--health-listen")} <addr> Endpoint /healthz, /status, /metrics (es. 9477, 0.0.0.0:9477)
+  ${cyan("--drift-check")} <dns|api> Verifica ogni ciclo i record pubblicati e corregge le differenze
+
+${chalk.bold("SERVIZIO DI SISTEMA:")}
+  ${cyan("service install")}      Installa il daemon come servizio systemd (utente o sistema) o OpenRC
+  ${cyan("service uninstall")}    Ferma e rimuove il servizio
+  ${cyan("service status")}       Mostra lo stato del servizio
+  ${cyan("--system")} / ${cyan("--user")}    Servizio di sistema o utente (default: sistema se root)
+  ${cyan("--init")} <systemd|openrc> Sistema di init (default: rilevato)
+  ${cyan("--run-as")} <user>      Utente del servizio di sistema (default: $SUDO_USER)
+  ${cyan("--print")}              Stampa la unit su stdout senza installarla
 
 ${chalk.bold("OPZIONI:")}
   ${cyan("--cron")}               Modalità silenziosa per cronjob
   ${cyan("--quiet")}              Nasconde banner
-  ${cyan("--json")}               Output JSON (machine-readable)
+  ${cyan("--json")}               Output JSON { ok, command, data, error } (--daemon: NDJSON)
+  ${cyan("--api-url")} <url>      Server API (staging, self-hosted; anche APERTODNS_API_URL)
+  ${cyan("--ca-file")} <pem>      Certificati CA aggiuntivi (proxy aziendali; anche NODE_EXTRA_CA_CERTS)
+  ${cyan("--debug")}              Traccia richieste e risposte HTTP su stderr (segreti oscurati)
   ${cyan("-v, --version")}        Mostra versione
   ${cyan("-h, --help")}           Mostra questo help
 
+${chalk.bold("EXIT CODE:")}
+  ${cyan("0")}  Successo
+  ${cyan("1")}  Errore generico (es. timeout della propagazione)
+  ${cyan("2")}  Uso errato: argomenti o configurazione non validi
+  ${cyan("3")}  Autenticazione fallita: credenziali mancanti, non valide o scadute
+  ${cyan("4")}  Non trovato: dominio, token, API key, record o servizio
+  ${cyan("5")}  Rate limit (HTTP 429) o bloccato dal server
+  ${cyan("6")}  Errore di rete: API irraggiungibile, DNS o timeout
+  ${cyan("7")}  Errore dell'API (altre risposte 4xx/5xx)
+  ${cyan("8")}  Nessuna modifica: IP o record già al valore richiesto
+  ${cyan("9")}  Login scaduto: il JWT salvato da --setup non è più valido
+
 ${chalk.bold("MODALITÀ INTERATTIVA:")}
   Esegui ${cyan("apertodns")} senza argomenti per il menu interattivo.
 
@@ -273,7 +488,7 @@ ${chalk.bold("AUTENTICAZIONE:")}
   Puoi autenticarti in 3 modi:
   1. ${cyan("--setup")} - Login interattivo (salva JWT in ~/.apertodns/)
   2. ${cyan("--api-key <key>")} - Usa API key per singola operazione
-  3. Variabile ambiente ${cyan("APERTODNS_API_KEY")}
+  3. Variabile ambiente ${cyan("APERTODNS_API_KEY")} o ${cyan("APERTODNS_API_KEY_FILE")} (file con la key)
 
 ${gray("Esempi:")}
   ${gray("$")} apertodns --dashboard
@@ -281,6 +496,7 @@ ${gray("Esempi:")}
   ${gray("$")} apertodns --add-domain mioserver.apertodns.com
   ${gray("$")} apertodns --test mioserver.apertodns.com
   ${gray("$")} apertodns --daemon --interval 60
+  ${gray("$")} apertodns --update --domain mioserver.apertodns.com --token xxx
   ${gray("$")} apertodns --api-key ak_xxx... --domains --json
 
 ${gray("Docs: https://apertodns.com/docs")}
@@ -289,40 +505,151 @@ ${gray("Docs: https://apertodns.com/docs")}
 }
 
 if (showVersion) {
-  if (showJson) {
-    console.log(JSON.stringify({ name: "apertodns", version: CURRENT_VERSION }));
-  } else {
+  currentCommand = "version";
+  if (!jsonOutput({ name: "apertodns", version: CURRENT_VERSION })) {
     console.log(`ApertoDNS CLI v${CURRENT_VERSION}`);
   }
   process.exit(0);
 }
 
-if (!isQuiet && !isCron) showBanner();
+// --json keeps stdout to the JSON document alone
+if (!isQuiet && !isCron && !showJson) showBanner();
 
 // Load config
-let config = {};
-if (fs.existsSync(CONFIG_PATH)) {
+const parseConfigFile = () => fs.existsSync(CONFIG_PATH) ? JSON.parse(fs.readFileSync(CONFIG_PATH, "utf-8")) : {};
+
+const readConfigFile = () => {
   try {
-    config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf-8"));
+    return parseConfigFile();
   } catch (err) {
     if (!showJson) console.error(red("Errore lettura config.json:"), err.message);
+    return {};
   }
+};
+
+// Profile: --profile > APERTODNS_PROFILE > "activeProfile" in config.json > default (the top-level fields)
+const profileArg = getOption("--profile") || process.env.APERTODNS_PROFILE || null;
+const activeProfile = profileArg || readConfigFile().activeProfile || DEFAULT_PROFILE;
+const loadConfig = () => getProfile(readConfigFile(), activeProfile) || {};
+
+let config = loadConfig();
+
+if (isTooOpen(CONFIG_PATH)) {
+  console.error(yellow(`⚠️  ${CONFIG_PATH} è leggibile da altri utenti e contiene credenziali: esegui chmod 600 "${CONFIG_PATH}"`));
 }
 
+// ==================== CREDENTIAL ENCRYPTION ====================
+
+// Key of the encrypted credentials, asked for at most once per run
+let configKey = null;
+
+// APERTODNS_PASSPHRASE, APERTODNS_PASSPHRASE_FILE, or the prompt when there is a terminal
+const readPassphrase = async ({ confirm = false } = {}) => {
+  if (process.env.APERTODNS_PASSPHRASE) return process.env.APERTODNS_PASSPHRASE;
+  if (process.env.APERTODNS_PASSPHRASE_FILE) {
+    try {
+      return readSecretFile(process.env.APERTODNS_PASSPHRASE_FILE);
+    } catch (err) {
+      throw usageError(err.message);
+    }
+  }
+  if (!process.stdin.isTTY || showJson) {
+    throw cliError("Credenziali cifrate: imposta APERTODNS_PASSPHRASE o APERTODNS_PASSPHRASE_FILE", EXIT.AUTH);
+  }
+
+  const questions = [{ type: "password", name: "passphrase", message: "🔐 Passphrase delle credenziali:", mask: "●" }];
+  if (confirm) questions.push({ type: "password", name: "again", message: "🔐 Ripeti la passphrase:", mask: "●" });
+  const { passphrase, again } = await inquirer.prompt(questions);
+  if (!passphrase) throw usageError("La passphrase non può essere vuota");
+  if (confirm && passphrase !== again) throw usageError("Le passphrase non coincidono");
+  return passphrase;
+};
+
+const unlockKey = async (encryption) => {
+  if (configKey) return configKey;
+  let key;
+  if (encryption.method === "keyring") {
+    key = keyringLoad();
+    if (!key) throw cliError("Chiave delle credenziali non trovata nel portachiavi (Secret Service)", EXIT.AUTH);
+  } else {
+    key = deriveKey(await readPassphrase(), encryption.salt);
+  }
+  try {
+    configKey = verifyKey(encryption, key);
+  } catch (err) {
+    throw cliError("Passphrase o chiave errata: impossibile decifrare le credenziali", EXIT.AUTH);
+  }
+  return configKey;
+};
+
+// Encrypted credentials stay sealed until a command needs them, so --help and profile list never ask for the key
+const unlockConfig = async (settings) => {
+  const { encryption } = readConfigFile();
+  if (!encryption || !hasEncryptedSecrets(settings)) return settings;
+  return decryptSecrets(settings, await unlockKey(encryption));
+};
+
+// Replace the whole config file, readable by the owner only. With encryption on, plain credentials
+// are sealed first. An unreadable file is not overwritten, it may hold other profiles.
+const writeConfigFile = async (file) => {
+  const content = file.encryption && hasPlainSecrets(file) ? encryptSecrets(file, await unlockKey(file.encryption)) : file;
+  writePrivateFile(CONFIG_PATH, JSON.stringify(content, null, 2));
+};
+
+const updateConfigFile = async (change) => {
+  let file;
+  try {
+    file = parseConfigFile();
+  } catch (err) {
+    throw usageError(`config.json non valido, correggilo o rimuovilo: ${err.message}`);
+  }
+  await writeConfigFile(change(file));
+};
+
+// Save settings as the active profile, leaving the other profiles alone
+const saveConfig = (settings) => updateConfigFile(file => setProfile(file, activeProfile, settings));
+
+// API root (the DynDNS2 endpoint; the REST API lives under /api):
+// --api-url > APERTODNS_API_URL > "apiUrl" in config.json > the public service
+const apiUrlSetting = getOption("--api-url") || process.env.APERTODNS_API_URL || config.apiUrl || DEFAULT_API_URL;
+const parseApiUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:"].includes(url.protocol) && !url.search ? url.href.replace(/\/+$/, "") : null;
+  } catch {
+    return null;
+  }
+};
+const API_URL = parseApiUrl(apiUrlSetting);
+const API_BASE = `${API_URL}/api`;
+// Saved with the configuration only when it is not the public service
+const apiUrlField = () => API_URL !== DEFAULT_API_URL ? { apiUrl: API_URL } : {};
+
+// Missing credentials are asked for only in an interactive terminal; pipes, cron and --json fail instead
+const canPrompt = () => process.stdin.isTTY && !showJson && !isCron;
+
 // Helper: get auth token (JWT or API Key)
 const getAuthToken = async () => {
-  // Priority: CLI arg > env var > config file
-  if (useApiKey) return useApiKey;
-  if (process.env.APERTODNS_API_KEY) return process.env.APERTODNS_API_KEY;
-  if (config.jwtToken) return config.jwtToken;
-  if (config.apiToken) return config.apiToken; // backward compatibility
+  const token = getAccountToken();
+  if (token) return token;
+  if (!canPrompt()) throw cliError("Nessuna credenziale configurata: esegui --setup o imposta APERTODNS_API_KEY", EXIT.AUTH);
   return await promptInput(cyan("🔑 Token JWT o API Key: "));
 };
 
+// Helper: account credential without prompting (unattended commands), or null
+// Priority: CLI arg > env var > config file
+const getAccountToken = () => useApiKey || envApiKey || config.apiKey || config.jwtToken
+  || config.apiToken // backward compatibility
+  || null;
+
+// Helper: credential for the ACME hooks, which never prompt; installs from before API keys only have the CLI token
+const getHookToken = () => getAccountToken() || config.cliToken || null;
+
 // Helper: get CLI token (per DDNS: status, force, update...)
 const getCliToken = async () => {
   if (config.cliToken) return config.cliToken;
   if (config.apiToken) return config.apiToken; // backward compatibility
+  if (!canPrompt()) throw cliError("Nessun token CLI configurato: esegui --setup", EXIT.AUTH);
   return await promptInput(cyan("🔑 Token CLI: "));
 };
 
@@ -338,76 +665,116 @@ const getAuthHeaders = (token) => {
   return { Authorization: `Bearer ${token}` };
 };
 
+// Helper: IP source chain (--ip-source > ipSources in config > HTTP services)
+const ipSourceOptions = (settings = config) => ({
+  sources: ipSourcesArg.length ? ipSourcesArg : settings.ipSources,
+  quorum: ipQuorumArg || settings.ipQuorum,
+  ipService: settings.ipService,
+  ipv6Service: settings.ipv6Service
+});
+
+// Helper: warn (once) when the router reports a carrier-grade NAT address
+let cgnatWarned = false;
+const warnCgnat = (detection) => {
+  if (!detection?.cgnat || cgnatWarned || showJson) return;
+  cgnatWarned = true;
+  console.log(yellow(`\n⚠️  Il router riporta l'IP ${detection.cgnat}: sei dietro CGNAT o doppio NAT.`));
+  console.log(gray("   Il DNS punterà all'IP pubblico condiviso, ma i servizi non saranno raggiungibili dall'esterno.\n"));
+};
+
+// Helper: detect one address family through the source chain.
+// Resolves to { ip, source, agreed, cgnat }, or null if unavailable.
+const detectIPDetails = (family, settings = config) => {
+  return detectPublicIP(family, ipSourceOptions(settings))
+    .then(r => { warnCgnat(r); return r; })
+    .catch(err => { warnCgnat(err); return null; });
+};
+
+// Helper: detected address only, null if unavailable
+const detectIP = async (family, settings = config) => (await detectIPDetails(family, settings))?.ip || null;
+
+// Helper: "3 servizi concordi: api.ipify.org, ..." summary of an HTTP consensus
+const formatAgreement = (detection) => {
+  if (!detection?.agreed) return detection?.source || "";
+  const count = detection.agreed.length;
+  return `${count} ${count === 1 ? 'servizio' : 'servizi concordi'}: ${detection.agreed.map(s => new URL(s).hostname).join(", ")}`;
+};
+
 // ==================== MY IP ====================
 
 const showMyIpCommand = async () => {
   const spin = !showJson ? spinner("Rilevamento IP...").start() : null;
 
   try {
+    let cgnat = null;
     const [ipv4, ipv6] = await Promise.all([
-      getCurrentIP('https://api.ipify.org').catch(() => null),
-      getCurrentIPv6('https://api6.ipify.org').catch(() => null)
+      detectPublicIP("ipv4", ipSourceOptions()).catch(err => { cgnat = err.cgnat; return null; }),
+      detectPublicIP("ipv6", ipSourceOptions()).catch(() => null)
     ]);
+    cgnat = ipv4?.cgnat || cgnat;
 
     spin?.stop();
+    warnCgnat({ cgnat });
 
     const data = {
-      ipv4: ipv4?.trim() || null,
-      ipv6: ipv6?.trim() || null,
+      ipv4: ipv4?.ip || null,
+      ipv6: ipv6?.ip || null,
+      sources: {
+        ipv4: ipv4?.source || null,
+        ipv6: ipv6?.source || null
+      },
+      agreed: {
+        ipv4: ipv4?.agreed || null,
+        ipv6: ipv6?.agreed || null
+      },
+      cgnat: cgnat ? { routerIp: cgnat } : null,
       timestamp: new Date().toISOString()
     };
 
-    if (showJson) {
-      console.log(JSON.stringify(data, null, 2));
-    } else {
+    if (!jsonResult(data, !ipv4 && !ipv6 ? cliError("Nessun IP rilevato", EXIT.NETWORK) : null)) {
       console.log(`\n🌐 ${chalk.bold('Il tuo IP pubblico')}\n`);
       console.log(`   ${gray('IPv4:')} ${data.ipv4 ? green.bold(data.ipv4) : red('Non disponibile')}`);
       console.log(`   ${gray('IPv6:')} ${data.ipv6 ? cyan(data.ipv6) : gray('Non disponibile')}`);
+      if (ipv4) console.log(`   ${gray('Fonte IPv4:')} ${gray(formatAgreement(ipv4))}`);
+      if (ipv6) console.log(`   ${gray('Fonte IPv6:')} ${gray(formatAgreement(ipv6))}`);
       console.log();
     }
   } catch (err) {
     spin?.fail("Errore rilevamento IP");
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
 // ==================== DOMAINS ====================
 
-const fetchDomains = async () => {
-  const token = await getAuthToken();
-  const spin = !showJson ? spinner("Caricamento domini...").start() : null;
+// token overrides the configured credential; silent skips the spinner (daemon)
+const fetchDomains = async ({ token: authToken, silent = false } = {}) => {
+  const token = authToken || await getAuthToken();
+  const spin = !showJson && !silent ? spinner("Caricamento domini...").start() : null;
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
-    const res = await fetch(`${API_BASE}/domains`, {
-      headers: getAuthHeaders(token),
-      signal: controller.signal
+    const res = await httpFetch(`${API_BASE}/domains`, {
+      headers: getAuthHeaders(token)
     });
-    clearTimeout(timeout);
 
     spin?.stop();
     if (!res.ok) {
       const err = await res.json().catch(() => ({}));
-      throw new Error(err.error || "Errore fetch domini");
+      throw httpError(err.error || "Errore fetch domini", res.status);
     }
     return await res.json();
   } catch (err) {
-    spin?.fail(err.name === 'AbortError' ? "Timeout caricamento domini" : "Errore caricamento domini");
+    spin?.fail(err.code === "ETIMEDOUT" ? "Timeout caricamento domini" : "Errore caricamento domini");
     throw err;
   }
 };
 
 const showDomainsList = async () => {
+  // Outside the try: missing credentials are reported by main(), fetch errors by the spinner
+  const token = await getAuthToken();
   try {
-    const domains = await fetchDomains();
+    const domains = await fetchDomains({ token });
 
-    if (showJson) {
-      console.log(JSON.stringify({ domains, count: domains.length }, null, 2));
-      return;
-    }
+    if (jsonOutput({ domains, count: domains.length })) return;
 
     if (domains.length === 0) {
       console.log(yellow("\n⚠️  Nessun dominio trovato.\n"));
@@ -450,9 +817,7 @@ const showDomainsList = async () => {
     console.log(table.toString());
     console.log();
   } catch (err) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -461,9 +826,7 @@ const addDomain = async (name) => {
   const domainName = name || await promptInput(cyan("📝 Nome dominio (es. mioserver.apertodns.com): "));
 
   if (!domainName) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Nome dominio richiesto" }));
-    } else {
+    if (!jsonError(usageError("Nome dominio richiesto"))) {
       console.log(red("Nome dominio richiesto."));
     }
     return;
@@ -471,7 +834,7 @@ const addDomain = async (name) => {
 
   const spin = !showJson ? spinner(`Creazione dominio ${domainName}...`).start() : null;
   try {
-    const res = await fetch(`${API_BASE}/domains/standard`, {
+    const res = await httpFetch(`${API_BASE}/domains/standard`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -484,23 +847,18 @@ const addDomain = async (name) => {
     if (res.ok) {
       spin?.succeed(`Dominio "${domainName}" creato!`);
 
-      if (showJson) {
-        console.log(JSON.stringify({ success: true, domain: domainName, token: data.token }));
-      } else if (data.token) {
+      if (jsonOutput({ domain: domainName, token: data.token || null })) return;
+      if (data.token) {
         console.log(yellow("\n🔐 Token generato:"), chalk.bold.white(data.token));
         console.log(gray("   (Salvalo subito, non sarà più visibile)\n"));
       }
     } else {
       spin?.fail(`Errore: ${data.error || data.message}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: data.error || data.message }));
-      }
+      jsonError(httpError(data.error || data.message, res.status));
     }
   } catch (err) {
     spin?.fail(err.message);
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -511,9 +869,7 @@ const deleteDomain = async (name) => {
   let domainName = name;
   if (!domainName) {
     if (domains.length === 0) {
-      if (showJson) {
-        console.log(JSON.stringify({ error: "Nessun dominio da eliminare" }));
-      } else {
+      if (!jsonError(cliError("Nessun dominio da eliminare", EXIT.NOT_FOUND))) {
         console.log(yellow("Nessun dominio da eliminare."));
       }
       return;
@@ -532,9 +888,7 @@ const deleteDomain = async (name) => {
 
   const domain = domains.find(d => d.name === domainName);
   if (!domain) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: `Dominio "${domainName}" non trovato` }));
-    } else {
+    if (!jsonError(cliError(`Dominio "${domainName}" non trovato`, EXIT.NOT_FOUND))) {
       console.log(red(`Dominio "${domainName}" non trovato.`));
     }
     return;
@@ -556,119 +910,295 @@ const deleteDomain = async (name) => {
 
   const spin = !showJson ? spinner(`Eliminazione ${domainName}...`).start() : null;
   try {
-    const res = await fetch(`${API_BASE}/domains/${domain.id}`, {
+    const res = await httpFetch(`${API_BASE}/domains/${domain.id}`, {
       method: "DELETE",
       headers: getAuthHeaders(token)
     });
 
     if (res.ok) {
       spin?.succeed(`Dominio "${domainName}" eliminato.`);
-      if (showJson) {
-        console.log(JSON.stringify({ success: true, deleted: domainName }));
-      }
+      jsonOutput({ deleted: domainName });
     } else {
       const data = await res.json();
       spin?.fail(`Errore: ${data.error || data.message}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: data.error || data.message }));
-      }
+      jsonError(httpError(data.error || data.message, res.status));
     }
   } catch (err) {
     spin?.fail(err.message);
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
 // ==================== DNS TEST ====================
 
+// Records the ApertoDNS API says the domain should publish, or null without an account credential
+const fetchExpectedRecords = async (name) => {
+  const token = getAccountToken();
+  if (!token) return null;
+  try {
+    const list = await fetchDomains({ token, silent: true });
+    const domain = (list.domains || list).find(d => d.name.toLowerCase() === name.toLowerCase());
+    if (!domain) return null;
+    return { A: domain.ip || null, AAAA: domain.ipv6 || null };
+  } catch {
+    return null;
+  }
+};
+
+const DEFAULT_TEST_RESOLVERS = ["system", "8.8.8.8", "1.1.1.1", "authoritative"];
+
 const testDnsResolution = async (domain) => {
   const domainToTest = domain || await promptInput(cyan("🌐 Dominio da testare: "));
-  if (!domainToTest) return;
+  if (!domainToTest) {
+    jsonError(usageError("Dominio mancante"));
+    return;
+  }
 
-  // Validazione dominio per prevenire command injection
   const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-_.]+[a-zA-Z0-9]$/;
   if (!domainRegex.test(domainToTest) || domainToTest.includes('..')) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Nome dominio non valido" }));
-    } else {
+    if (!jsonError(usageError("Nome dominio non valido"))) {
       console.log(red("\n❌ Nome dominio non valido.\n"));
     }
     return;
   }
 
+  const specs = resolverArgs.length ? resolverArgs : DEFAULT_TEST_RESOLVERS;
   const spin = !showJson ? spinner(`Testing DNS per ${domainToTest}...`).start() : null;
 
-  try {
-    const { execFileSync } = await import('child_process');
-    const result = execFileSync('dig', ['+short', domainToTest, 'A'], { encoding: 'utf-8' }).trim();
-    const result6 = execFileSync('dig', ['+short', domainToTest, 'AAAA'], { encoding: 'utf-8' }).trim();
-
-    // Propagation check
-    const dnsServers = ['8.8.8.8', '1.1.1.1'];
-    const propagation = {};
+  const queryResolver = async (spec) => {
+    let target;
+    try {
+      target = await resolveServerSpec(spec, domainToTest);
+    } catch (err) {
+      return { resolver: spec, servers: [], error: err.message, records: {} };
+    }
 
-    for (const dns of dnsServers) {
-      try {
-        const check = execFileSync('dig', ['+short', `@${dns}`, domainToTest, 'A'], { encoding: 'utf-8' }).trim();
-        propagation[dns] = check || null;
-      } catch {
-        propagation[dns] = null;
-      }
+    let resolver;
+    try {
+      resolver = newResolver(target.servers);
+    } catch (err) {
+      return { resolver: target.label, servers: target.servers, error: `Resolver non valido: ${err.message}`, records: {} };
     }
 
-    spin?.stop();
+    const answers = await Promise.all(RECORD_TYPES.map(type => queryRecord(resolver, domainToTest, type)));
+    const records = Object.fromEntries(RECORD_TYPES.map((type, i) => [type, answers[i]]));
+    return { resolver: target.label, servers: target.servers, error: null, records };
+  };
 
-    if (showJson) {
-      console.log(JSON.stringify({
-        domain: domainToTest,
-        records: {
-          A: result || null,
-          AAAA: result6 || null
-        },
-        propagation,
-        timestamp: new Date().toISOString()
-      }, null, 2));
-    } else {
-      console.log(`\n🔍 ${chalk.bold('Risultati DNS per')} ${cyan(domainToTest)}\n`);
+  const [results, expected] = await Promise.all([
+    Promise.all(specs.map(queryResolver)),
+    fetchExpectedRecords(domainToTest)
+  ]);
+  spin?.stop();
 
-      const table = new Table({
-        style: { head: [], border: ['gray'] }
-      });
+  // Does each resolver publish what the API expects?
+  for (const result of results) {
+    if (!expected || result.error) continue;
+    result.matchesApi = Object.entries(expected)
+      .filter(([, value]) => value)
+      .every(([type, value]) => result.records[type].values.includes(value));
+  }
 
-      table.push(
-        [gray('Record A (IPv4)'), result || red('Non trovato')],
-        [gray('Record AAAA (IPv6)'), result6 || gray('Non configurato')]
-      );
+  const failure = results.every(r => r.error) ? cliError("Nessun resolver ha risposto", EXIT.NETWORK) : null;
+  if (jsonResult({
+    domain: domainToTest,
+    records: Object.fromEntries(RECORD_TYPES.map(type => [type, results.find(r => !r.error)?.records[type].values || []])),
+    resolvers: results,
+    expected,
+    consistent: expected ? results.every(r => r.error || r.matchesApi) : null,
+    timestamp: new Date().toISOString()
+  }, failure)) return;
 
-      console.log(table.toString());
+  console.log(`\n🔍 ${chalk.bold('Risultati DNS per')} ${cyan(domainToTest)}\n`);
 
-      console.log(`\n${gray('Propagazione DNS:')}`);
-      for (const [dns, ip] of Object.entries(propagation)) {
-        console.log(`   ${dns}: ${ip ? green('✓ ' + ip) : red('✗ Non trovato')}`);
-      }
-      console.log();
+  for (const result of results) {
+    const times = Object.values(result.records).map(r => r.time);
+    const timing = times.length ? gray(` ${Math.max(...times)}ms`) : "";
+    const match = result.matchesApi === undefined ? "" : result.matchesApi ? green(" ✓ allineato all'API") : red(" ✗ diverso dall'API");
+    console.log(`${chalk.bold(result.resolver)}${timing}${match}`);
+
+    if (result.error) {
+      console.log(`   ${red('✗')} ${result.error}\n`);
+      continue;
     }
-  } catch (err) {
-    spin?.fail("Errore nel test DNS");
-    if (showJson) {
-      console.log(JSON.stringify({ error: "dig command not available or failed" }));
-    } else {
-      console.log(gray("   (Assicurati che 'dig' sia installato)\n"));
+
+    const table = new Table({
+      head: [gray('TIPO'), cyan('VALORE'), gray('TTL'), gray('TEMPO')],
+      style: { head: [], border: ['gray'] },
+      colWidths: [8, 52, 8, 9],
+      wordWrap: true
+    });
+    for (const type of RECORD_TYPES) {
+      const record = result.records[type];
+      if (record.values.length === 0 && !record.error && !["A", "AAAA"].includes(type)) continue;
+      const value = record.error ? red(record.error)
+        : record.values.length ? record.values.map(v => expected?.[type] && v !== expected[type] ? yellow(v) : v).join("\n")
+        : gray(type === "A" ? 'Non trovato' : 'Non configurato');
+      table.push([type, value, record.ttl !== null ? `${record.ttl}s` : gray('—'), `${record.time}ms`]);
+    }
+    console.log(table.toString());
+    console.log();
+  }
+
+  if (expected) {
+    console.log(gray("Atteso secondo l'API:"));
+    console.log(`   A:    ${expected.A || gray('nessuno')}`);
+    console.log(`   AAAA: ${expected.AAAA || gray('nessuno')}\n`);
+  }
+};
+
+// ==================== PROPAGATION ====================
+
+const parseQuorum = (value) => {
+  if (!value || value === "all") return "all";
+  const quorum = Number(value);
+  if (!/^\d+$/.test(value) || quorum < 1) throw usageError(`--quorum non valido: "${value}" (usa un numero o all)`);
+  return quorum;
+};
+
+const renderPropagation = (report) => {
+  const table = new Table({
+    head: [gray('RESOLVER'), cyan('RISPOSTA'), gray('TTL'), gray('TEMPO'), gray('STATO')],
+    style: { head: [], border: ['gray'] }
+  });
+  for (const r of report.resolvers) {
+    const status = r.matched ? green('✓ ok')
+      : r.error ? red(`✗ ${r.error}`)
+      : r.attempts ? yellow('… attesa') : gray('—');
+    const values = r.values.length ? r.values.map(v => v.length > 48 ? `${v.substring(0, 45)}...` : v).join("\n") : gray('nessuna');
+    table.push([r.resolver, values, r.ttl !== null ? `${r.ttl}s` : gray('—'), r.time !== null ? `${r.time}ms` : gray('—'), status]);
+  }
+  const progress = `${report.matched}/${report.total} ${gray(`(quorum ${report.quorum}, ${report.elapsed}s)`)}`;
+  return `${chalk.bold(report.type)} ${cyan(report.name)} = ${report.expect}  ${progress}\n${table.toString()}`;
+};
+
+// Redraws its output in place on every call
+const createLiveView = () => {
+  let lines = 0;
+  return (text) => {
+    if (lines) process.stdout.write(`\x1b[${lines}A\x1b[0J`);
+    process.stdout.write(`${text}\n`);
+    lines = text.split("\n").length;
+  };
+};
+
+// Wait for each { name, type, expect } in turn; live matrix on a terminal, reports returned for JSON
+const waitForRecords = async (checks, { resolvers = resolverArgs } = {}) => {
+  const quorum = parseQuorum(quorumArg);
+  const reports = [];
+
+  for (const check of checks) {
+    const live = !showJson && process.stdout.isTTY ? createLiveView() : null;
+    if (!showJson) console.log(gray(`\n⏳ Attesa propagazione (timeout ${waitTimeout}s)...\n`));
+
+    const report = await waitForPropagation({
+      ...check,
+      resolvers: resolvers.length ? resolvers : undefined,
+      quorum,
+      timeout: waitTimeout,
+      interval: waitInterval,
+      onProgress: live ? (progress) => live(renderPropagation(progress)) : undefined
+    });
+
+    if (!showJson) {
+      if (!live) console.log(renderPropagation(report));
+      if (report.unavailable.length) console.log(yellow(`\n⚠️  Resolver non disponibili, esclusi dal quorum: ${report.unavailable.join(", ")}`));
+      console.log(report.propagated
+        ? green(`\n✅ Propagato su ${report.matched}/${report.total} resolver in ${report.elapsed}s\n`)
+        : red(`\n❌ Timeout: propagato su ${report.matched}/${report.total} resolver (quorum ${report.quorum})\n`));
     }
+    if (!report.propagated) process.exitCode = EXIT.ERROR;
+    reports.push(report);
   }
+  return reports;
+};
+
+// Error for the envelope when some of the waited records did not propagate in time, or null
+const propagationError = (reports = []) => {
+  const late = reports.filter(r => !r.propagated);
+  return late.length ? cliError(`Propagazione non completata entro ${waitTimeout}s: ${late.map(r => r.name).join(", ")}`, EXIT.ERROR) : null;
+};
+
+const propagationCommand = async (name) => {
+  const type = (recordTypeArg || "TXT").toUpperCase();
+  if (!name || !expectArg) throw usageError("Uso: propagation <name> --expect <valore> [--type TXT]");
+  if (!RECORD_TYPES.includes(type)) throw usageError(`Tipo non supportato: ${type} (usa ${RECORD_TYPES.join(", ")})`);
+
+  const [report] = await waitForRecords([{ name, type, expect: expectArg }]);
+  jsonResult(report, propagationError([report]));
 };
 
 // ==================== TXT RECORDS ====================
 
-const IETF_BASE = "https://api.apertodns.com/.well-known/apertodns/v1";
+// The IETF endpoint is a well-known URI at the origin of the API (RFC 8615). An instance served
+// under a path prefix may publish it below the prefix instead: the first base whose /info
+// answers wins, and is remembered for a day.
+let ietfBase = null;
+const discoverIetfBase = async () => {
+  if (ietfBase) return ietfBase;
+
+  let cache = {};
+  try {
+    cache = JSON.parse(fs.readFileSync(ENDPOINTS_CACHE_PATH, "utf-8"));
+  } catch {
+    // No discovery yet
+  }
+  const cached = cache[API_URL];
+  if (cached && Date.now() - cached.checkedAt < UPDATE_CHECK_INTERVAL) return (ietfBase = cached.ietfBase);
+
+  const candidates = [...new Set([
+    new URL("/.well-known/apertodns/v1", API_URL).href,
+    `${API_URL}/.well-known/apertodns/v1`
+  ])];
+  for (const base of candidates) {
+    try {
+      const res = await httpFetch(`${base}/info`, {}, { timeout: 5000, retries: 0 });
+      if (!res.ok) continue;
+      fs.writeFileSync(ENDPOINTS_CACHE_PATH, JSON.stringify({ ...cache, [API_URL]: { ietfBase: base, checkedAt: Date.now() } }, null, 2));
+      return (ietfBase = base);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return (ietfBase = candidates[0]);
+};
+
+// Call the IETF endpoint (GET without body, POST with one); throws on failure
+const ietfRequest = async (token, path, body) => {
+  const res = await httpFetch(`${await discoverIetfBase()}${path}`, {
+    method: body ? "POST" : "GET",
+    headers: {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...getAuthHeaders(token)
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data.success === false) {
+    throw httpError(data.error || data.message || (body ? 'Tipo di record non supportato' : `HTTP ${res.status}`), res.status);
+  }
+  return data;
+};
+
+// Listing records is not part of the IETF update protocol. The commands that need it run only
+// against a server whose /info advertises the capability, as a list or as { name: true }.
+let ietfInfo = null;
+const requireIetfCapability = async (capability, what) => {
+  if (!ietfInfo) {
+    const res = await httpFetch(`${await discoverIetfBase()}/info`);
+    ietfInfo = res.ok ? await res.json().catch(() => ({})) : {};
+  }
+  const { capabilities } = ietfInfo;
+  const supported = Array.isArray(capabilities) ? capabilities.includes(capability) : capabilities?.[capability] === true;
+  if (!supported) throw cliError(`Il server non supporta ${what} (capability "${capability}" assente in /info)`, EXIT.ERROR);
+};
+
+// POST a TXT change ({ name, value, action }) to the IETF update endpoint
+const postTxtUpdate = (token, hostname, txt) => ietfRequest(token, "/update", { hostname, txt });
 
 const setTxtRecord = async (hostname, name, value) => {
   if (!hostname || !name || !value) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Uso: --txt-set <hostname> <name> <value>" }));
-    } else {
+    if (!jsonError(usageError("Uso: --txt-set <hostname> <name> <value>"))) {
       console.log(red("\n❌ Uso: --txt-set <hostname> <name> <value>"));
       console.log(gray("   Esempio: --txt-set mio.apertodns.com _acme-challenge abc123\n"));
     }
@@ -679,57 +1209,24 @@ const setTxtRecord = async (hostname, name, value) => {
   const spin = !showJson ? spinner(`Impostazione TXT ${name}.${hostname}...`).start() : null;
 
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
-    const res = await fetch(`${IETF_BASE}/update`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        ...getAuthHeaders(token)
-      },
-      body: JSON.stringify({
-        hostname,
-        txt: {
-          name,
-          value,
-          action: "set"
-        }
-      }),
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    const data = await res.json();
-
-    if (res.ok && data.success !== false) {
-      spin?.succeed(`TXT record impostato: ${name}.${hostname}`);
-      if (showJson) {
-        console.log(JSON.stringify({ success: true, hostname, txt: { name, value, action: "set" }, response: data }, null, 2));
-      } else {
-        console.log(gray(`   Nome: ${cyan(name)}`));
-        console.log(gray(`   Valore: ${cyan(value)}`));
-        console.log();
-      }
-    } else {
-      spin?.fail(`Errore: ${data.error || data.message || 'TXT non supportato'}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: data.error || data.message }));
-      }
-    }
+    const data = await postTxtUpdate(token, hostname, { name, value, action: "set" });
+    spin?.succeed(`TXT record impostato: ${name}.${hostname}`);
+    if (!showJson) {
+      console.log(gray(`   Nome: ${cyan(name)}`));
+      console.log(gray(`   Valore: ${cyan(value)}`));
+    }
+    const reports = waitPropagation ? await waitForRecords([{ name: `${name}.${hostname}`, type: "TXT", expect: value }]) : [];
+    if (jsonResult({ hostname, txt: { name, value, action: "set" }, response: data, propagation: reports[0] || null }, propagationError(reports))) return;
+    if (!waitPropagation) console.log();
   } catch (err) {
-    spin?.fail(err.name === 'AbortError' ? "Timeout" : err.message);
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    spin?.fail(err.status ? `Errore: ${err.message}` : err.message);
+    jsonError(err);
   }
 };
 
 const deleteTxtRecord = async (hostname, name, value) => {
   if (!hostname || !name) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Uso: --txt-delete <hostname> <name> [value]" }));
-    } else {
+    if (!jsonError(usageError("Uso: --txt-delete <hostname> <name> [value]"))) {
       console.log(red("\n❌ Uso: --txt-delete <hostname> <name> [value]"));
       console.log(gray("   Esempio: --txt-delete mio.apertodns.com _acme-challenge"));
       console.log(gray("   Con value: --txt-delete mio.apertodns.com _acme-challenge token123\n"));
@@ -741,91 +1238,469 @@ const deleteTxtRecord = async (hostname, name, value) => {
   const spin = !showJson ? spinner(`Eliminazione TXT ${name}.${hostname}${value ? ` (value: ${value.substring(0,10)}...)` : ''}...`).start() : null;
 
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
     // Build txt object - include value if provided for selective multi-TXT deletion
     const txtObj = { name, action: "delete" };
     if (value) txtObj.value = value;
 
-    const res = await fetch(`${IETF_BASE}/update`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        ...getAuthHeaders(token)
-      },
-      body: JSON.stringify({
-        hostname,
-        txt: txtObj
-      }),
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    const data = await res.json();
-
-    if (res.ok && data.success !== false) {
-      spin?.succeed(`TXT record eliminato: ${name}.${hostname}${value ? ' (selective)' : ''}`);
-      if (showJson) {
-        console.log(JSON.stringify({ success: true, hostname, txt: { name, value: value || undefined, action: "delete" }, response: data }, null, 2));
-      }
-    } else {
-      spin?.fail(`Errore: ${data.error || data.message || 'TXT non supportato'}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: data.error || data.message }));
-      }
-    }
+    const data = await postTxtUpdate(token, hostname, txtObj);
+    spin?.succeed(`TXT record eliminato: ${name}.${hostname}${value ? ' (selective)' : ''}`);
+    jsonOutput({ hostname, txt: { name, value: value || null, action: "delete" }, response: data });
   } catch (err) {
-    spin?.fail(err.name === 'AbortError' ? "Timeout" : err.message);
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    spin?.fail(err.status ? `Errore: ${err.message}` : err.message);
+    jsonError(err);
   }
 };
 
-// ==================== TOKENS ====================
+// ==================== TXT MANAGEMENT ====================
+
+// TXT records of a hostname: [{ name, value, ttl, createdAt }]
+const fetchTxtRecords = async (token, hostname) => {
+  await requireIetfCapability("txt_list", "l'elenco dei record TXT");
+  const data = await ietfRequest(token, `/domains/${encodeURIComponent(hostname)}/txt`);
+  return (data.records || data.txt || data).map(r => ({
+    name: r.name,
+    value: r.value,
+    ttl: r.ttl ?? null,
+    createdAt: r.createdAt || r.created_at || null
+  }));
+};
+
+// "90s", "30m", "1h", "7d" or plain seconds → milliseconds
+const parseDuration = (value) => {
+  const match = String(value).match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) throw usageError(`Durata non valida: "${value}" (es. 30m, 1h, 7d)`);
+  return parseInt(match[1]) * { "": 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]] * 1000;
+};
+
+const formatAge = (iso) => {
+  if (!iso) return gray('N/D');
+  const minutes = Math.floor((Date.now() - Date.parse(iso)) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / 1440)}g`;
+};
 
-const fetchTokens = async () => {
+const showTxtList = async (hostname) => {
+  if (!hostname) throw usageError("Uso: txt list <hostname> [--name <name>]");
   const token = await getAuthToken();
-  const spin = !showJson ? spinner("Caricamento token...").start() : null;
+  const spin = !showJson ? spinner(`Caricamento TXT di ${hostname}...`).start() : null;
+
+  let records;
   try {
-    const res = await fetch(`${API_BASE}/tokens`, {
-      headers: getAuthHeaders(token)
-    });
+    records = await fetchTxtRecords(token, hostname);
     spin?.stop();
-    if (!res.ok) throw new Error("Errore fetch token");
-    return await res.json();
   } catch (err) {
-    spin?.fail("Errore caricamento token");
-    return [];
+    spin?.fail("Errore caricamento TXT");
+    throw err;
   }
-};
+  const nameFilter = getOption("--name");
+  if (nameFilter) records = records.filter(r => r.name === nameFilter);
 
-const showTokensList = async () => {
-  const tokens = await fetchTokens();
-
-  if (showJson) {
-    console.log(JSON.stringify({ tokens, count: tokens.length }, null, 2));
-    return;
-  }
+  if (jsonOutput({ hostname, records, count: records.length })) return;
 
-  if (tokens.length === 0) {
-    console.log(yellow("\n⚠️  Nessun token trovato.\n"));
+  if (records.length === 0) {
+    console.log(yellow(`\n⚠️  Nessun record TXT per ${hostname}.\n`));
     return;
   }
 
   const table = new Table({
-    head: [
-      gray('STATO'),
-      orange.bold('ETICHETTA'),
-      cyan('DOMINIO'),
-      gray('ID'),
-      gray('ULTIMO USO')
-    ],
-    style: { head: [], border: ['gray'] }
+    head: [orange.bold('NOME'), cyan('VALORE'), gray('TTL'), gray('ETÀ')],
+    style: { head: [], border: ['gray'] },
+    colWidths: [24, 56, 8, 7],
+    wordWrap: true,
+    wrapOnWordBoundary: false
   });
+  records.forEach(r => table.push([r.name, r.value, r.ttl !== null ? `${r.ttl}s` : gray('—'), formatAge(r.createdAt)]));
 
-  tokens.forEach(t => {
+  console.log(`\n📝 ${chalk.bold('Record TXT di')} ${cyan(hostname)} (${records.length})\n`);
+  console.log(table.toString());
+  console.log();
+};
+
+// Selectively delete the values of one name older than --older-than
+const pruneTxtRecords = async (hostname) => {
+  const name = getOption("--name");
+  const olderThan = getOption("--older-than");
+  if (!hostname || !name || !olderThan) {
+    throw usageError("Uso: txt prune <hostname> --name <name> --older-than <durata> [--dry-run]");
+  }
+  const maxAge = parseDuration(olderThan);
+  const dryRun = args.includes("--dry-run");
+
+  const token = await getAuthToken();
+  const records = (await fetchTxtRecords(token, hostname)).filter(r => r.name === name);
+  // Without a creation time the age is unknown: such records are left alone
+  const skipped = records.filter(r => !r.createdAt);
+  const stale = records.filter(r => r.createdAt && Date.now() - Date.parse(r.createdAt) > maxAge);
+
+  const deleted = [];
+  const failed = [];
+  let failure = null;
+  for (const record of stale) {
+    if (dryRun) {
+      deleted.push(record);
+      continue;
+    }
+    try {
+      await postTxtUpdate(token, hostname, { name, value: record.value, action: "delete" });
+      deleted.push(record);
+    } catch (err) {
+      failed.push({ ...record, error: err.message });
+      failure = cliError(`${failed.length} valori non eliminati`, exitCodeFor(err));
+    }
+  }
+  if (stale.length === 0) process.exitCode = EXIT.UNCHANGED;
+
+  const summary = { hostname, name, olderThan, dryRun, deleted, failed, skipped, kept: records.length - stale.length };
+  if (jsonResult(summary, failure)) return;
+
+  if (stale.length === 0) {
+    console.log(gray(`\nNessun valore ${name} più vecchio di ${olderThan} su ${hostname}.\n`));
+    return;
+  }
+  console.log();
+  deleted.forEach(r => console.log(`${dryRun ? yellow('○ da eliminare') : green('✓ eliminato')} ${r.value} ${gray(`(${formatAge(r.createdAt)})`)}`));
+  failed.forEach(r => console.log(`${red('✗')} ${r.value} ${gray(r.error)}`));
+  if (skipped.length) console.log(gray(`   ${skipped.length} valori senza data di creazione ignorati`));
+  console.log(gray(`\n   ${dryRun ? 'Da eliminare' : 'Eliminati'}: ${deleted.length}, mantenuti: ${summary.kept}\n`));
+};
+
+// records.json: [{ hostname, name, value, action? }] or { hostname, records: [{ name, value, action? }] };
+// the positional hostname is the default for entries without one
+const loadTxtApplyFile = (file, defaultHost) => {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw usageError(`Impossibile leggere ${file}: ${err.message}`);
+  }
+  const host = content.hostname || defaultHost;
+  const entries = Array.isArray(content) ? content : content.records || [];
+
+  return entries.map((entry, i) => {
+    const record = { hostname: entry.hostname || host, name: entry.name, value: entry.value, action: entry.action || "set" };
+    if (!record.hostname || !record.name || (record.action === "set" && !record.value)) {
+      throw usageError(`Record #${i + 1} in ${file}: servono hostname, name e value`);
+    }
+    if (!["set", "delete"].includes(record.action)) {
+      throw usageError(`Record #${i + 1} in ${file}: action "${record.action}" non valida (usa set o delete)`);
+    }
+    return record;
+  });
+};
+
+const applyTxtRecords = async (hostname) => {
+  const file = getOption("-f") || getOption("--file");
+  if (!file) throw usageError("Uso: txt apply [hostname] -f records.json [--dry-run]");
+  const records = loadTxtApplyFile(file, hostname);
+  const dryRun = args.includes("--dry-run");
+  const token = await getAuthToken();
+
+  // Existing values per hostname, to skip what is already there (best effort)
+  const existing = {};
+  for (const host of new Set(records.map(r => r.hostname))) {
+    existing[host] = await fetchTxtRecords(token, host).catch(() => null);
+  }
+
+  const results = [];
+  let failure = null;
+  for (const record of records) {
+    const present = existing[record.hostname]?.some(r => r.name === record.name && (!record.value || r.value === record.value));
+    if (present !== undefined && present === (record.action === "set")) {
+      results.push({ ...record, status: "unchanged" });
+      continue;
+    }
+    if (dryRun) {
+      results.push({ ...record, status: "planned" });
+      continue;
+    }
+    try {
+      const txt = { name: record.name, action: record.action };
+      if (record.value) txt.value = record.value;
+      await postTxtUpdate(token, record.hostname, txt);
+      results.push({ ...record, status: "applied" });
+    } catch (err) {
+      results.push({ ...record, status: "failed", error: err.message });
+      failure = err;
+    }
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  if (results.length && count("unchanged") === results.length) process.exitCode = EXIT.UNCHANGED;
+
+  const summary = { file, dryRun, results, applied: count("applied"), unchanged: count("unchanged"), planned: count("planned"), failed: count("failed") };
+  if (jsonResult(summary, failure && cliError(`${summary.failed} record non applicati`, exitCodeFor(failure)))) return;
+
+  const icons = { applied: green('✓'), unchanged: gray('='), planned: yellow('○'), failed: red('✗') };
+  console.log();
+  for (const r of results) {
+    const value = r.value ? (r.value.length > 50 ? `${r.value.substring(0, 47)}...` : r.value) : gray('(tutti i valori)');
+    console.log(`${icons[r.status]} ${r.action === "delete" ? red('-') : green('+')} ${cyan(r.name === "@" ? r.hostname : `${r.name}.${r.hostname}`)} ${value}${r.error ? ` ${red(r.error)}` : ''}`);
+  }
+  console.log(gray(`\n   Applicati: ${summary.applied}, invariati: ${summary.unchanged}${dryRun ? `, da applicare: ${summary.planned}` : ''}, errori: ${summary.failed}\n`));
+};
+
+const txtCommand = async (action, hostname) => {
+  if (action === "list") await showTxtList(hostname);
+  else if (action === "prune") await pruneTxtRecords(hostname);
+  else if (action === "apply") await applyTxtRecords(hostname);
+  else throw usageError(`Azione non valida: "${action}" (usa list, prune o apply)`);
+};
+
+// ==================== OTHER RECORDS (CNAME, MX, CAA, SRV) ====================
+
+// Records of a hostname, optionally of one type: [{ type, name, value, ttl }]
+const fetchManagedRecords = async (token, hostname, type) => {
+  await requireIetfCapability("records_list", "l'elenco dei record");
+  const query = type ? `?type=${encodeURIComponent(type)}` : "";
+  const data = await ietfRequest(token, `/domains/${encodeURIComponent(hostname)}/records${query}`);
+  return (data.records || data)
+    .map(r => ({
+      type: String(r.type).toUpperCase(),
+      name: r.name,
+      value: r.value ?? formatRecordValue(String(r.type).toUpperCase(), r),
+      ttl: r.ttl ?? null
+    }))
+    .filter(r => MANAGED_RECORD_TYPES.includes(r.type) && (!type || r.type === type));
+};
+
+const showRecordsList = async (hostname, type) => {
+  const token = await getAuthToken();
+  const spin = !showJson ? spinner(`Caricamento record di ${hostname}...`).start() : null;
+
+  let records;
+  try {
+    records = await fetchManagedRecords(token, hostname, type);
+    spin?.stop();
+  } catch (err) {
+    spin?.fail("Errore caricamento record");
+    throw err;
+  }
+
+  if (jsonOutput({ hostname, records, count: records.length })) return;
+
+  if (records.length === 0) {
+    console.log(yellow(`\n⚠️  Nessun record ${type || MANAGED_RECORD_TYPES.join("/")} per ${hostname}.\n`));
+    return;
+  }
+
+  const table = new Table({
+    head: [gray('TIPO'), orange.bold('NOME'), cyan('VALORE'), gray('TTL')],
+    style: { head: [], border: ['gray'] }
+  });
+  records.forEach(r => table.push([r.type, r.name, r.value, r.ttl !== null ? `${r.ttl}s` : gray('—')]));
+
+  console.log(`\n📋 ${chalk.bold('Record di')} ${cyan(hostname)} (${records.length})\n`);
+  console.log(table.toString());
+  console.log();
+};
+
+const recordsCommand = async (action, hostname) => {
+  if (!["add", "delete", "list"].includes(action)) {
+    throw usageError(`Azione non valida: "${action}" (usa add, delete o list)`);
+  }
+  if (!hostname) throw usageError(`Uso: records ${action} <hostname> --type ${MANAGED_RECORD_TYPES.join("|")} [--name <name>] [--value <valore>]`);
+
+  const type = recordTypeArg?.toUpperCase();
+  if (type && !MANAGED_RECORD_TYPES.includes(type)) {
+    throw usageError(`Tipo non supportato: ${recordTypeArg} (usa ${MANAGED_RECORD_TYPES.join(", ")})`);
+  }
+  if (action === "list") return showRecordsList(hostname, type);
+  if (!type) throw usageError(`--type è obbligatorio (${MANAGED_RECORD_TYPES.join(", ")})`);
+
+  const name = getOption("--name") || "@";
+  const rawValue = getOption("--value");
+  const ttl = recordTtlArg ?? undefined;
+
+  // Validate before touching the API; a delete without value removes every value of the name
+  let record;
+  try {
+    if (action === "add" || rawValue) {
+      const parsed = parseRecord(type, name, rawValue);
+      record = { type, name: parsed.name, value: parsed.value, data: parsed.fields };
+    } else {
+      record = { type, name: validateRecordName(name) };
+    }
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  record.action = action === "add" ? "set" : "delete";
+  if (ttl && action === "add") record.ttl = ttl;
+
+  const label = `${type} ${record.name === "@" ? hostname : `${record.name}.${hostname}`}`;
+  const token = await getAuthToken();
+  const spin = !showJson ? spinner(`${action === "add" ? "Aggiunta" : "Eliminazione"} ${label}...`).start() : null;
+
+  try {
+    const data = await ietfRequest(token, "/update", { hostname, record });
+    spin?.succeed(`Record ${action === "add" ? "aggiunto" : "eliminato"}: ${label}${record.value ? ` → ${record.value}` : ''}`);
+    if (!jsonOutput({ hostname, record, response: data })) console.log();
+  } catch (err) {
+    spin?.fail(err.status ? `Errore: ${err.message}` : err.message);
+    jsonError(err);
+  }
+};
+
+// ==================== CERTBOT HOOKS ====================
+
+// Account hostname that owns an FQDN: the longest domain equal to it or one of its parents
+const findManagedHostname = async (fqdn, token) => {
+  const list = await fetchDomains({ token, silent: true });
+  const target = fqdn.toLowerCase().replace(/\.$/, "");
+  const owner = (list.domains || list)
+    .map(d => d.name.toLowerCase())
+    .filter(name => target === name || target.endsWith(`.${name}`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!owner) throw cliError(`Nessun dominio del tuo account contiene ${fqdn}`, EXIT.NOT_FOUND);
+  return owner;
+};
+
+// Set or remove one value of a challenge TXT record, under the account hostname that owns it.
+// Removal is selective, so the other values of a wildcard-plus-apex order stay in place.
+const changeAcmeChallenge = async (fqdn, value, action) => {
+  const token = getHookToken();
+  if (!token) throw cliError("Nessuna credenziale: esegui --setup o imposta APERTODNS_API_KEY", EXIT.AUTH);
+
+  const hostname = await findManagedHostname(fqdn, token);
+  if (hostname === fqdn.toLowerCase()) throw usageError(`Il record TXT deve stare sotto ${hostname}, non su ${hostname} stesso`);
+  const name = fqdn.slice(0, -(hostname.length + 1));
+  await postTxtUpdate(token, hostname, { name, value, action });
+  return { fqdn, hostname, name, value };
+};
+
+// certbot --manual-auth-hook / --manual-cleanup-hook. A wildcard and its base name share
+// the same challenge name, each with its own value.
+const certbotHook = async (action) => {
+  const domain = process.env.CERTBOT_DOMAIN;
+  const value = process.env.CERTBOT_VALIDATION;
+  if (!domain || !value) {
+    throw usageError("CERTBOT_DOMAIN e CERTBOT_VALIDATION non impostati: usa il comando come --manual-auth-hook/--manual-cleanup-hook di certbot");
+  }
+
+  const fqdn = `_acme-challenge.${domain.replace(/^\*\./, "")}`;
+
+  if (action === "cleanup") {
+    const result = { action, domain, ...await changeAcmeChallenge(fqdn, value, "delete") };
+    removeAcmeChallenge(fqdn, value);
+    if (!jsonOutput(result)) console.log(`${green('✓')} TXT ${fqdn} rimosso`);
+    return;
+  }
+
+  const result = { action, domain, ...await changeAcmeChallenge(fqdn, value, "set") };
+  addAcmeChallenge(fqdn, value);
+  if (!showJson) console.log(`${green('✓')} TXT ${fqdn} impostato`);
+
+  // certbot calls the hook once per challenge: only the last call waits, for every value set in this run.
+  // The CA queries the authoritative nameservers, so those are the default resolvers here.
+  const remaining = parseInt(process.env.CERTBOT_REMAINING_CHALLENGES || "0");
+  if (remaining > 0) {
+    if (!jsonOutput({ ...result, remainingChallenges: remaining })) console.log(gray(`   ${remaining} challenge rimanenti, attesa propagazione rimandata all'ultima`));
+    return;
+  }
+
+  const challenges = loadAcmeChallenges();
+  const propagation = await waitForRecords(
+    challenges.map(c => ({ name: c.fqdn, type: "TXT", expect: c.value })),
+    { resolvers: resolverArgs.length ? resolverArgs : ["authoritative"] }
+  );
+  clearAcmeChallenges();
+
+  // waitForRecords already reported a timeout on the terminal
+  jsonResult({ ...result, remainingChallenges: 0, propagation }, propagationError(propagation));
+};
+
+// ==================== ACME CLIENTS (lego / acme.sh) ====================
+
+// lego exec provider arguments: "present|cleanup <fqdn> <value>", or in RAW mode
+// "present|cleanup -- <domain> <token> <keyAuth>", where the TXT value is derived from the key authorization
+// Read from process.argv, where the --quiet added for hooks cannot stand in for a missing value
+const parseAcmeArgs = () => {
+  const argv = process.argv.slice(2);
+  if (argv[2] === "--") {
+    const [domain, , keyAuth] = argv.slice(3);
+    if (!domain || !keyAuth) return null;
+    return {
+      fqdn: `_acme-challenge.${domain.replace(/\.$/, "").replace(/^\*\./, "")}`,
+      value: crypto.createHash("sha256").update(keyAuth).digest("base64url"),
+      raw: true
+    };
+  }
+  const [fqdn, value] = argv.slice(2);
+  if (!fqdn || !value) return null;
+  return { fqdn: fqdn.replace(/\.$/, ""), value, raw: false };
+};
+
+const acmeCommand = async (action) => {
+  if (!["present", "cleanup"].includes(action)) {
+    throw usageError(`Azione non valida: "${action}" (usa present o cleanup)`);
+  }
+  const challenge = parseAcmeArgs();
+  if (!challenge) {
+    throw usageError("Uso: acme present|cleanup <fqdn> <valore> oppure acme present|cleanup -- <dominio> <token> <keyAuth>");
+  }
+
+  const result = {
+    action,
+    raw: challenge.raw,
+    ...await changeAcmeChallenge(challenge.fqdn, challenge.value, action === "present" ? "set" : "delete")
+  };
+  if (!showJson) console.log(`${green('✓')} TXT ${result.fqdn} ${action === "present" ? "impostato" : "rimosso"}`);
+
+  // lego and acme.sh check propagation themselves; --wait checks the authoritative nameservers here too
+  const reports = action === "present" && waitPropagation ? await waitForRecords(
+    [{ name: result.fqdn, type: "TXT", expect: result.value }],
+    { resolvers: resolverArgs.length ? resolverArgs : ["authoritative"] }
+  ) : [];
+  jsonResult({ ...result, propagation: reports[0] || null }, propagationError(reports));
+};
+
+// ==================== TOKENS ====================
+
+const fetchTokens = async ({ token: authToken } = {}) => {
+  const token = authToken || await getAuthToken();
+  const spin = !showJson ? spinner("Caricamento token...").start() : null;
+  try {
+    const res = await httpFetch(`${API_BASE}/tokens`, {
+      headers: getAuthHeaders(token)
+    });
+    spin?.stop();
+    if (!res.ok) throw httpError("Errore fetch token", res.status);
+    return await res.json();
+  } catch (err) {
+    spin?.fail("Errore caricamento token");
+    throw err;
+  }
+};
+
+const showTokensList = async () => {
+  const token = await getAuthToken();
+  let tokens;
+  try {
+    tokens = await fetchTokens({ token });
+  } catch (err) {
+    jsonError(err);
+    return;
+  }
+
+  if (jsonOutput({ tokens, count: tokens.length })) return;
+
+  if (tokens.length === 0) {
+    console.log(yellow("\n⚠️  Nessun token trovato.\n"));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      gray('STATO'),
+      orange.bold('ETICHETTA'),
+      cyan('DOMINIO'),
+      gray('ID'),
+      gray('ULTIMO USO')
+    ],
+    style: { head: [], border: ['gray'] }
+  });
+
+  tokens.forEach(t => {
     const status = t.active ? green('● ATTIVO') : red('● OFF');
     const lastUsed = t.lastUsed
       ? new Date(t.lastUsed).toLocaleString("it-IT", { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
@@ -848,9 +1723,7 @@ const showTokensList = async () => {
 const updateTokenState = async (tokenId, desiredState = null) => {
   const apiToken = await getAuthToken();
   if (!tokenId) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Token ID richiesto" }));
-    } else {
+    if (!jsonError(usageError("Token ID richiesto"))) {
       console.error(red("Devi specificare un tokenId"));
     }
     return;
@@ -859,17 +1732,16 @@ const updateTokenState = async (tokenId, desiredState = null) => {
   let finalState = desiredState;
   if (desiredState === null) {
     const spin = !showJson ? spinner("Caricamento...").start() : null;
-    const res = await fetch(`${API_BASE}/tokens`, {
+    const res = await httpFetch(`${API_BASE}/tokens`, {
       headers: getAuthHeaders(apiToken)
     });
-    const all = await res.json();
     spin?.stop();
+    if (!res.ok) throw httpError("Errore fetch token", res.status);
+    const all = await res.json();
 
     const token = all.find(t => t.id === parseInt(tokenId));
     if (!token) {
-      if (showJson) {
-        console.log(JSON.stringify({ error: `Token ID ${tokenId} non trovato` }));
-      } else {
+      if (!jsonError(cliError(`Token ID ${tokenId} non trovato`, EXIT.NOT_FOUND))) {
         console.error(red(`Token ID ${tokenId} non trovato.`));
       }
       return;
@@ -878,7 +1750,7 @@ const updateTokenState = async (tokenId, desiredState = null) => {
   }
 
   const spin = !showJson ? spinner(`${finalState ? 'Attivazione' : 'Disattivazione'} token...`).start() : null;
-  const res = await fetch(`${API_BASE}/tokens/${tokenId}`, {
+  const res = await httpFetch(`${API_BASE}/tokens/${tokenId}`, {
     method: "PATCH",
     headers: {
       "Content-Type": "application/json",
@@ -889,26 +1761,22 @@ const updateTokenState = async (tokenId, desiredState = null) => {
 
   if (res.ok) {
     spin?.succeed(`Token ${tokenId} ${finalState ? green('attivato') : red('disattivato')}`);
-    if (showJson) {
-      console.log(JSON.stringify({ success: true, tokenId, active: finalState }));
-    }
+    jsonOutput({ tokenId, active: finalState });
   } else {
     const data = await res.json();
     spin?.fail(`Errore: ${data.error || data.message}`);
-    if (showJson) {
-      console.log(JSON.stringify({ error: data.error || data.message }));
-    }
+    jsonError(httpError(data.error || data.message, res.status));
   }
 };
 
 // ==================== API KEYS ====================
 
-const fetchApiKeys = async () => {
-  const token = await getAuthToken();
+const fetchApiKeys = async ({ token: authToken } = {}) => {
+  const token = authToken || await getAuthToken();
   const spin = !showJson ? spinner("Caricamento API keys...").start() : null;
 
   try {
-    const res = await fetch(`${API_BASE}/api-keys`, {
+    const res = await httpFetch(`${API_BASE}/api-keys`, {
       headers: getAuthHeaders(token)
     });
 
@@ -916,7 +1784,7 @@ const fetchApiKeys = async () => {
 
     if (!res.ok) {
       const err = await res.json().catch(() => ({}));
-      throw new Error(err.error || "Errore fetch API keys");
+      throw httpError(err.error || "Errore fetch API keys", res.status);
     }
     return await res.json();
   } catch (err) {
@@ -926,13 +1794,11 @@ const fetchApiKeys = async () => {
 };
 
 const showApiKeysList = async () => {
+  const token = await getAuthToken();
   try {
-    const keys = await fetchApiKeys();
+    const keys = await fetchApiKeys({ token });
 
-    if (showJson) {
-      console.log(JSON.stringify({ apiKeys: keys, count: keys.length }, null, 2));
-      return;
-    }
+    if (jsonOutput({ apiKeys: keys, count: keys.length })) return;
 
     if (keys.length === 0) {
       console.log(yellow("\n⚠️  Nessuna API key trovata.\n"));
@@ -955,9 +1821,7 @@ const showApiKeysList = async () => {
     console.log(table.toString());
     console.log();
   } catch (err) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -966,19 +1830,16 @@ const showScopesCommand = async () => {
   const spin = !showJson ? spinner("Caricamento scopes...").start() : null;
 
   try {
-    const res = await fetch(`${API_BASE}/api-keys/scopes`, {
+    const res = await httpFetch(`${API_BASE}/api-keys/scopes`, {
       headers: getAuthHeaders(token)
     });
 
     spin?.stop();
 
-    if (!res.ok) throw new Error("Errore fetch scopes");
+    if (!res.ok) throw httpError("Errore fetch scopes", res.status);
     const data = await res.json();
 
-    if (showJson) {
-      console.log(JSON.stringify(data, null, 2));
-      return;
-    }
+    if (jsonOutput(data)) return;
 
     console.log(`\n📋 ${chalk.bold('Scopes API disponibili')}\n`);
 
@@ -998,9 +1859,7 @@ const showScopesCommand = async () => {
     console.log();
   } catch (err) {
     spin?.fail("Errore caricamento scopes");
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -1009,9 +1868,7 @@ const createApiKey = async (name) => {
   const keyName = name || await promptInput(cyan("📝 Nome API key: "));
 
   if (!keyName) {
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Nome richiesto" }));
-    } else {
+    if (!jsonError(usageError("Nome richiesto"))) {
       console.log(red("Nome richiesto."));
     }
     return;
@@ -1023,7 +1880,7 @@ const createApiKey = async (name) => {
   if (!showJson) {
     // Fetch available scopes
     try {
-      const scopesRes = await fetch(`${API_BASE}/api-keys/scopes`, {
+      const scopesRes = await httpFetch(`${API_BASE}/api-keys/scopes`, {
         headers: getAuthHeaders(token)
       });
       const scopesData = await scopesRes.json();
@@ -1052,7 +1909,7 @@ const createApiKey = async (name) => {
   const spin = !showJson ? spinner(`Creazione API key "${keyName}"...`).start() : null;
 
   try {
-    const res = await fetch(`${API_BASE}/api-keys`, {
+    const res = await httpFetch(`${API_BASE}/api-keys`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -1070,18 +1927,15 @@ const createApiKey = async (name) => {
     if (res.ok && data.success) {
       spin?.succeed(`API key "${keyName}" creata!`);
 
-      if (showJson) {
-        console.log(JSON.stringify({
-          success: true,
-          apiKey: {
-            id: data.apiKey.id,
-            name: data.apiKey.name,
-            key: data.apiKey.key,
-            keyPrefix: data.apiKey.keyPrefix,
-            scopes: data.apiKey.scopes
-          }
-        }, null, 2));
-      } else {
+      if (!jsonOutput({
+        apiKey: {
+          id: data.apiKey.id,
+          name: data.apiKey.name,
+          key: data.apiKey.key,
+          keyPrefix: data.apiKey.keyPrefix,
+          scopes: data.apiKey.scopes
+        }
+      })) {
         console.log(yellow("\n🔐 API Key generata:"));
         console.log(chalk.bold.white(`   ${data.apiKey.key}`));
         console.log(red("\n   ⚠️  IMPORTANTE: Salva questa chiave ora!"));
@@ -1092,15 +1946,11 @@ const createApiKey = async (name) => {
       }
     } else {
       spin?.fail(`Errore: ${data.error || data.message}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: data.error || data.message }));
-      }
+      jsonError(httpError(data.error || data.message, res.status));
     }
   } catch (err) {
     spin?.fail(err.message);
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -1109,11 +1959,9 @@ const deleteApiKey = async (keyId) => {
 
   if (!keyId) {
     // Interactive selection
-    const keys = await fetchApiKeys();
+    const keys = await fetchApiKeys({ token });
     if (keys.length === 0) {
-      if (showJson) {
-        console.log(JSON.stringify({ error: "Nessuna API key da eliminare" }));
-      } else {
+      if (!jsonError(cliError("Nessuna API key da eliminare", EXIT.NOT_FOUND))) {
         console.log(yellow("Nessuna API key da eliminare."));
       }
       return;
@@ -1148,28 +1996,22 @@ const deleteApiKey = async (keyId) => {
   const spin = !showJson ? spinner(`Eliminazione API key...`).start() : null;
 
   try {
-    const res = await fetch(`${API_BASE}/api-keys/${keyId}`, {
+    const res = await httpFetch(`${API_BASE}/api-keys/${keyId}`, {
       method: "DELETE",
       headers: getAuthHeaders(token)
     });
 
     if (res.ok) {
       spin?.succeed("API key eliminata.");
-      if (showJson) {
-        console.log(JSON.stringify({ success: true, deleted: keyId }));
-      }
+      jsonOutput({ deleted: keyId });
     } else {
       const data = await res.json();
       spin?.fail(`Errore: ${data.error || data.message}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: data.error || data.message }));
-      }
+      jsonError(httpError(data.error || data.message, res.status));
     }
   } catch (err) {
     spin?.fail(err.message);
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -1181,30 +2023,30 @@ const showStatsCommand = async () => {
 
   try {
     const [domainsRes, tokensRes, statsRes] = await Promise.all([
-      fetch(`${API_BASE}/domains`, { headers: getAuthHeaders(token) }),
-      fetch(`${API_BASE}/tokens`, { headers: getAuthHeaders(token) }),
-      fetch(`${API_BASE}/stats/daily?days=7`, { headers: getAuthHeaders(token) }).catch(() => null)
+      httpFetch(`${API_BASE}/domains`, { headers: getAuthHeaders(token) }),
+      httpFetch(`${API_BASE}/tokens`, { headers: getAuthHeaders(token) }),
+      httpFetch(`${API_BASE}/stats/daily?days=7`, { headers: getAuthHeaders(token) }).catch(() => null)
     ]);
 
+    const failedRes = [domainsRes, tokensRes].find(r => !r.ok);
+    if (failedRes) throw httpError("Errore fetch statistiche", failedRes.status);
+
     const domains = await domainsRes.json();
     const tokens = await tokensRes.json();
     const stats = statsRes?.ok ? await statsRes.json() : [];
 
     spin?.stop();
 
-    if (showJson) {
-      console.log(JSON.stringify({
-        summary: {
-          totalDomains: domains.length,
-          onlineDomains: domains.filter(d => d.ip).length,
-          totalTokens: tokens.length,
-          activeTokens: tokens.filter(t => t.active).length
-        },
-        dailyStats: stats,
-        timestamp: new Date().toISOString()
-      }, null, 2));
-      return;
-    }
+    if (jsonOutput({
+      summary: {
+        totalDomains: domains.length,
+        onlineDomains: domains.filter(d => d.ip).length,
+        totalTokens: tokens.length,
+        activeTokens: tokens.filter(t => t.active).length
+      },
+      dailyStats: stats,
+      timestamp: new Date().toISOString()
+    })) return;
 
     console.log(`\n📊 ${chalk.bold('Statistiche ApertoDNS')}\n`);
 
@@ -1241,9 +2083,7 @@ const showStatsCommand = async () => {
     console.log();
   } catch (err) {
     spin?.fail("Errore caricamento statistiche");
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -1254,20 +2094,17 @@ const showLogsCommand = async () => {
   const spin = !showJson ? spinner("Caricamento log...").start() : null;
 
   try {
-    const res = await fetch(`${API_BASE}/logs?limit=10`, {
+    const res = await httpFetch(`${API_BASE}/logs?limit=10`, {
       headers: getAuthHeaders(token)
     });
 
-    if (!res.ok) throw new Error("Errore fetch logs");
+    if (!res.ok) throw httpError("Errore fetch logs", res.status);
     const data = await res.json();
     const logs = data.logs || data;
 
     spin?.stop();
 
-    if (showJson) {
-      console.log(JSON.stringify({ logs, count: logs.length }, null, 2));
-      return;
-    }
+    if (jsonOutput({ logs, count: logs.length })) return;
 
     if (logs.length === 0) {
       console.log(yellow("\n⚠️  Nessun log recente.\n"));
@@ -1290,9 +2127,7 @@ const showLogsCommand = async () => {
     console.log();
   } catch (err) {
     spin?.fail("Errore caricamento log");
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -1303,19 +2138,16 @@ const showWebhooksList = async () => {
   const spin = !showJson ? spinner("Caricamento webhook...").start() : null;
 
   try {
-    const res = await fetch(`${API_BASE}/webhooks`, {
+    const res = await httpFetch(`${API_BASE}/webhooks`, {
       headers: getAuthHeaders(token)
     });
 
-    if (!res.ok) throw new Error("Errore fetch webhooks");
+    if (!res.ok) throw httpError("Errore fetch webhooks", res.status);
     const webhooks = await res.json();
 
     spin?.stop();
 
-    if (showJson) {
-      console.log(JSON.stringify({ webhooks, count: webhooks.length }, null, 2));
-      return;
-    }
+    if (jsonOutput({ webhooks, count: webhooks.length })) return;
 
     if (webhooks.length === 0) {
       console.log(yellow("\n⚠️  Nessun webhook configurato.\n"));
@@ -1338,9 +2170,7 @@ const showWebhooksList = async () => {
     console.log();
   } catch (err) {
     spin?.fail("Errore caricamento webhooks");
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -1352,32 +2182,32 @@ const showDashboardCommand = async () => {
 
   try {
     const [domainsRes, tokensRes, ipRes] = await Promise.all([
-      fetch(`${API_BASE}/domains`, { headers: getAuthHeaders(token) }),
-      fetch(`${API_BASE}/tokens`, { headers: getAuthHeaders(token) }),
-      getCurrentIP('https://api.ipify.org').catch(() => null)
+      httpFetch(`${API_BASE}/domains`, { headers: getAuthHeaders(token) }),
+      httpFetch(`${API_BASE}/tokens`, { headers: getAuthHeaders(token) }),
+      detectIP("ipv4")
     ]);
 
+    const failedRes = [domainsRes, tokensRes].find(r => !r.ok);
+    if (failedRes) throw httpError("Errore fetch dashboard", failedRes.status);
+
     const domains = await domainsRes.json();
     const tokens = await tokensRes.json();
 
     spin?.stop();
 
-    if (showJson) {
-      console.log(JSON.stringify({
-        currentIp: ipRes?.trim() || null,
-        domains: {
-          total: domains.length,
-          online: domains.filter(d => d.ip).length,
-          list: domains.map(d => ({ name: d.name, ip: d.ip, lastUpdated: d.lastUpdated }))
-        },
-        tokens: {
-          total: tokens.length,
-          active: tokens.filter(t => t.active).length
-        },
-        timestamp: new Date().toISOString()
-      }, null, 2));
-      return;
-    }
+    if (jsonOutput({
+      currentIp: ipRes?.trim() || null,
+      domains: {
+        total: domains.length,
+        online: domains.filter(d => d.ip).length,
+        list: domains.map(d => ({ name: d.name, ip: d.ip, lastUpdated: d.lastUpdated }))
+      },
+      tokens: {
+        total: tokens.length,
+        active: tokens.filter(t => t.active).length
+      },
+      timestamp: new Date().toISOString()
+    })) return;
 
     console.log(`\n${orange.bold('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')}`);
     console.log(`${orange.bold('                         DASHBOARD                           ')}`);
@@ -1413,74 +2243,220 @@ const showDashboardCommand = async () => {
     console.log();
   } catch (err) {
     spin?.fail("Errore caricamento dashboard");
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
 // ==================== EXISTING FUNCTIONS ====================
 
-const fetchRemoteConfig = async (token) => {
-  try {
-    const res = await fetch(`${API_BASE}/cli-config/from-token`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ token })
-    });
-    const data = await res.json();
-    if (!res.ok || !data.config || !data.config.id) throw new Error(data.error || "Configurazione non valida");
-    return data.config;
-  } catch (err) {
-    return null;
+// Remote CLI configuration of a token; throws with the HTTP status on failure
+const loadRemoteConfig = async (token) => {
+  const res = await httpFetch(`${API_BASE}/cli-config/from-token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.config || !data.config.id) {
+    throw httpError(data.error || "Configurazione non valida", res.status);
   }
+  return data.config;
 };
 
-const setup = async () => {
-  console.log(cyan("\n🔧 Configurazione ApertoDNS CLI\n"));
+const fetchRemoteConfig = (token) => loadRemoteConfig(token).catch(() => null);
 
-  const { hasAccount } = await inquirer.prompt([{
-    type: "list",
-    name: "hasAccount",
-    message: "Seleziona un'opzione:",
-    choices: [
-      { name: green('🔓 Ho già un account - Login'), value: true },
-      { name: blue('📝 Sono nuovo - Registrati sul sito'), value: false }
-    ]
-  }]);
+// ==================== LOGIN ====================
 
-  let apiToken;
+// Warn this long before the saved login expires
+const LOGIN_EXPIRY_WARNING = 7 * 24 * 60 * 60 * 1000;
 
-  if (hasAccount) {
-    const { email, password } = await inquirer.prompt([
-      { type: "input", name: "email", message: "📧 Email:" },
-      { type: "password", name: "password", message: "🔑 Password:", mask: "●" }
-    ]);
+// Email and password → JWT; throws with the HTTP status on failure
+const requestLogin = async (email, password) => {
+  const res = await httpFetch(`${API_BASE}/auth/cli-login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email, password })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw httpError(data.error || data.message || `HTTP ${res.status}`, res.status);
+  if (!data.token) throw cliError(data.error || data.message || "Risposta di login senza token", EXIT.API);
+  return data.token;
+};
 
-    const spin = spinner("Login in corso...").start();
-    const res = await fetch(`${API_BASE}/auth/cli-login`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email, password })
-    });
-    const data = await res.json();
+// The saved login JWT, when it is the credential account commands send (no API key takes precedence)
+const savedLoginJwt = () => !useApiKey && !envApiKey && !config.apiKey ? config.jwtToken || null : null;
 
-    if (!res.ok || !data.token) {
-      spin.fail("Login fallito: " + (data.error || data.message || "Errore"));
-      return;
-    }
-    apiToken = data.token;
-    config.jwtToken = data.token;
-    spin.succeed("Login effettuato!");
-  } else {
-    // Registrazione solo via web per sicurezza (captcha)
-    console.log(cyan("\n📝 Per registrarti, visita: ") + orange.bold("https://apertodns.com/register"));
-    console.log(gray("   Dopo la registrazione, torna qui per fare il login.\n"));
-    return;
+const formatExpiry = (date) => date.toLocaleString("it-IT", { dateStyle: "short", timeStyle: "short" });
+
+// { expiresAt, expired } of the saved login, or null when there is none or it has no expiry
+const loginState = () => {
+  const expiry = jwtExpiry(savedLoginJwt());
+  return expiry ? { expiresAt: expiry.toISOString(), expired: expiry.getTime() <= Date.now() } : null;
+};
+
+const loginExpiredError = () => cliError(
+  `Login scaduto il ${formatExpiry(jwtExpiry(savedLoginJwt()))}: accedi di nuovo con apertodns --setup${profileArg ? ` --profile ${activeProfile}` : ""}`,
+  EXIT.AUTH_EXPIRED
+);
+
+// A 401 means different things: an expired login needs a new --setup, a rejected API key needs a new key
+const explainAuthError = (err) => {
+  if (err?.status !== 401 || Number.isInteger(err.exitCode)) return err;
+  const jwt = savedLoginJwt();
+  if (jwt && isJwtExpired(jwt)) return loginExpiredError();
+  if (!jwt && (useApiKey || envApiKey || config.apiKey)) {
+    return cliError(`API key rifiutata (errata, revocata o disattivata): ${err.message}`, EXIT.AUTH);
+  }
+  return err;
+};
+
+// Shown under the banner when the saved login has expired or is about to
+const showLoginExpiryWarning = () => {
+  const jwt = savedLoginJwt();
+  if (!jwt || !jwtExpiresWithin(jwt, LOGIN_EXPIRY_WARNING)) return;
+  const expiry = formatExpiry(jwtExpiry(jwt));
+  if (isJwtExpired(jwt)) {
+    console.log(red(`  ⏰ Login scaduto il ${expiry}: accedi di nuovo con apertodns --setup\n`));
+  } else {
+    console.log(yellow(`  ⏰ Il login scade il ${expiry}: rinnovalo con apertodns --setup\n`));
+  }
+};
+
+// A new login replaces the profile's credentials but keeps its local settings (IP sources, family...)
+const withCredentials = (credentials, remoteConfig) => {
+  const { jwtToken, apiKey, cliToken, apiToken, ...localSettings } = config;
+  return { ...localSettings, ...remoteConfig, ...apiUrlField(), ...credentials };
+};
+
+// Interactive re-login after an expired JWT: replaces the saved token and keeps everything else
+const relogin = async () => {
+  console.log(yellow(`\n⏰ Il login${profileLabel(activeProfile)} è scaduto.`));
+  const { again } = await inquirer.prompt([{ type: "confirm", name: "again", message: "Accedere di nuovo e riprovare?", default: true }]);
+  if (!again) return false;
+
+  const { email, password } = await inquirer.prompt([
+    { type: "input", name: "email", message: "📧 Email:", default: config.email },
+    { type: "password", name: "password", message: "🔑 Password:", mask: "●" }
+  ]);
+  const spin = spinner("Login in corso...").start();
+  try {
+    config = { ...config, jwtToken: await requestLogin(email, password) };
+  } catch (err) {
+    spin.fail(`Login fallito: ${err.message}`);
+    throw err;
   }
+  await saveConfig(config);
+  spin.succeed("Login effettuato!");
+  return true;
+};
 
-  const remoteConfig = await fetchRemoteConfig(apiToken);
-  config = remoteConfig ? { ...remoteConfig, jwtToken: apiToken } : { jwtToken: apiToken };
+// Everything piped on stdin, without the trailing newline. Secrets never come from argv,
+// where ps, shell history and CI logs would see them.
+const readStdinSecret = async (option) => {
+  if (process.stdin.isTTY) throw usageError(`${option} legge da una pipe (es. cat segreto.txt | apertodns login ... ${option})`);
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  const value = Buffer.concat(chunks).toString("utf-8").replace(/\r?\n$/, "");
+  if (!value) throw usageError(`${option}: nessun dato su stdin`);
+  return value;
+};
+
+// Provisioning login (Ansible, cloud-init, Dockerfile): no prompts, no TTY.
+//   login --email <e> --password-stdin [--save]   account login, saves the JWT
+//   login --api-key-stdin [--save]                checks an API key, saves it
+// Without --save the credentials are only verified.
+const loginCommand = async () => {
+  if (args.some(arg => arg === "--password" || arg.startsWith("--password="))) {
+    throw usageError("La password non si passa come argomento: usa --password-stdin");
+  }
+  const email = getOption("--email");
+  const usePassword = args.includes("--password-stdin");
+  const useKey = args.includes("--api-key-stdin");
+  if (usePassword === useKey) throw usageError("Uso: login --email <email> --password-stdin [--save] oppure login --api-key-stdin [--save]");
+  if (usePassword && !email) throw usageError("--password-stdin richiede --email <email>");
+
+  const secret = await readStdinSecret(usePassword ? "--password-stdin" : "--api-key-stdin");
+  const spin = !showJson && !isQuiet ? spinner("Verifica credenziali...").start() : null;
+
+  // Errors carry their exit code, so a rejected password is not mistaken for the saved login expiring
+  let credentials;
+  try {
+    if (usePassword) {
+      credentials = { jwtToken: await requestLogin(email, secret) };
+    } else {
+      await fetchDomains({ token: secret, silent: true });
+      credentials = { apiKey: secret };
+    }
+  } catch (err) {
+    const rejected = err.status === 401 || err.status === 403;
+    spin?.fail(rejected ? "Credenziali non valide" : "Verifica non riuscita");
+    const message = rejected
+      ? (usePassword ? "Email o password errate" : "API key rifiutata (errata, revocata o disattivata)")
+      : `Login fallito: ${err.message}`;
+    throw cliError(message, exitCodeFor(err));
+  }
+
+  const token = credentials.jwtToken || credentials.apiKey;
+  const remoteConfig = await fetchRemoteConfig(token);
+  const save = args.includes("--save");
+  if (save) {
+    config = withCredentials(credentials, remoteConfig);
+    await saveConfig(config);
+  }
+  spin?.succeed(save ? `Credenziali salvate in ${CONFIG_PATH}${profileLabel(activeProfile)}` : "Credenziali valide (non salvate: usa --save)");
+
+  const expiry = jwtExpiry(credentials.jwtToken);
+  if (jsonOutput({
+    credentials: credentialType(credentials),
+    profile: activeProfile,
+    saved: save,
+    domain: remoteConfig?.domain || null,
+    expiresAt: expiry ? expiry.toISOString() : null
+  })) return;
+  if (isQuiet) return;
+  if (remoteConfig?.domain) console.log(gray(`   Dominio: ${remoteConfig.domain}`));
+  if (expiry) console.log(gray(`   Login valido fino al ${formatExpiry(expiry)}`));
+  console.log();
+};
+
+const setup = async () => {
+  console.log(cyan("\n🔧 Configurazione ApertoDNS CLI\n"));
+
+  const { hasAccount } = await inquirer.prompt([{
+    type: "list",
+    name: "hasAccount",
+    message: "Seleziona un'opzione:",
+    choices: [
+      { name: green('🔓 Ho già un account - Login'), value: true },
+      { name: blue('📝 Sono nuovo - Registrati sul sito'), value: false }
+    ]
+  }]);
+
+  let apiToken;
+
+  if (hasAccount) {
+    const { email, password } = await inquirer.prompt([
+      { type: "input", name: "email", message: "📧 Email:" },
+      { type: "password", name: "password", message: "🔑 Password:", mask: "●" }
+    ]);
+
+    const spin = spinner("Login in corso...").start();
+    try {
+      apiToken = await requestLogin(email, password);
+    } catch (err) {
+      spin.fail(`Login fallito: ${err.message}`);
+      process.exitCode = exitCodeFor(err);
+      return;
+    }
+    spin.succeed("Login effettuato!");
+  } else {
+    // Registrazione solo via web per sicurezza (captcha)
+    console.log(cyan("\n📝 Per registrarti, visita: ") + orange.bold("https://apertodns.com/register"));
+    console.log(gray("   Dopo la registrazione, torna qui per fare il login.\n"));
+    return;
+  }
+
+  config = withCredentials({ jwtToken: apiToken }, await fetchRemoteConfig(apiToken));
 
   const { save } = await inquirer.prompt([{
     type: "confirm",
@@ -1490,18 +2466,21 @@ const setup = async () => {
   }]);
 
   if (save) {
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
-    console.log(green(`\n✅ Configurazione salvata in ${CONFIG_PATH}`));
-    console.log(yellow("⚠️  Non condividere questo file - contiene il tuo token.\n"));
+    await saveConfig(config);
+    console.log(green(`\n✅ Configurazione salvata in ${CONFIG_PATH}`) + (activeProfile === DEFAULT_PROFILE ? "" : gray(` (profilo ${activeProfile})`)));
+    console.log(yellow("⚠️  Non condividere questo file - contiene il tuo token."));
+    if (!readConfigFile().encryption) console.log(gray("   Per cifrarlo: apertodns config encrypt [--keyring]"));
+    console.log();
   }
 };
 
 const verifyToken = async () => {
+  if (!canPrompt()) throw cliError("Nessun token da verificare: --verify lo chiede solo in un terminale interattivo", EXIT.AUTH);
   const apiToken = await promptInput(cyan("🔍 Token da verificare: "));
   const spin = !showJson ? spinner("Verifica in corso...").start() : null;
 
   try {
-    const res = await fetch(`${API_BASE}/tokens/verify`, {
+    const res = await httpFetch(`${API_BASE}/tokens/verify`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ token: apiToken })
@@ -1511,23 +2490,17 @@ const verifyToken = async () => {
     if (data.valid) {
       spin?.succeed("Token valido!");
 
-      if (showJson) {
-        console.log(JSON.stringify({ valid: true, ...data }));
-      } else {
+      if (!jsonOutput({ valid: true, ...data })) {
         console.log(`   ${gray('Etichetta:')} ${data.label}`);
         console.log(`   ${gray('Creato:')} ${new Date(data.createdAt).toLocaleString("it-IT")}\n`);
       }
     } else {
       spin?.fail("Token non valido");
-      if (showJson) {
-        console.log(JSON.stringify({ valid: false }));
-      }
+      jsonError(cliError("Token non valido", EXIT.AUTH), { valid: false });
     }
   } catch (err) {
     spin?.fail("Errore nella verifica");
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
-    }
+    jsonError(err);
   }
 };
 
@@ -1535,31 +2508,36 @@ const showCurrentStatus = async () => {
   const cliToken = await getCliToken();
   const spin = !showJson ? spinner("Caricamento stato...").start() : null;
 
-  const remote = await fetchRemoteConfig(cliToken);
-  if (!remote) {
+  let remote;
+  try {
+    remote = await loadRemoteConfig(cliToken);
+  } catch (err) {
     spin?.fail("Impossibile caricare la configurazione");
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Configurazione non trovata" }));
-    }
+    jsonError(err);
     return;
   }
 
-  const currentIP = await getCurrentIP(remote.ipService).catch(() => null);
-  const lastIP = loadLastIP();
+  const [currentIP, currentIPv6] = await Promise.all([
+    detectIP("ipv4", { ...remote, ipSources: config.ipSources }),
+    remote.useIPv6 ? detectIP("ipv6", { ...remote, ipSources: config.ipSources }) : null
+  ]);
+  const { ipv4: lastIP, ipv6: lastIPv6 } = loadLastPushed();
 
   spin?.stop();
 
-  if (showJson) {
-    console.log(JSON.stringify({
-      domain: remote.domain,
-      ttl: remote.ttl,
-      currentIp: currentIP?.trim() || null,
-      lastKnownIp: lastIP || null,
-      ipv6Enabled: remote.useIPv6,
-      ipService: remote.ipService
-    }, null, 2));
-    return;
-  }
+  if (jsonOutput({
+    domain: remote.domain,
+    ttl: remote.ttl,
+    currentIp: currentIP?.trim() || null,
+    lastKnownIp: lastIP || null,
+    currentIpv6: currentIPv6 || null,
+    lastKnownIpv6: lastIPv6 || null,
+    ipv6Enabled: remote.useIPv6,
+    ipService: remote.ipService,
+    apiUrl: API_URL,
+    profile: activeProfile,
+    login: loginState()
+  })) return;
 
   console.log(`\n📊 ${chalk.bold('Stato Attuale')}\n`);
 
@@ -1571,6 +2549,20 @@ const showCurrentStatus = async () => {
     [gray('Ultimo IP'), lastIP || gray('N/D')],
     [gray('IPv6'), remote.useIPv6 ? green('Attivo') : gray('Disattivo')]
   );
+  if (remote.useIPv6) {
+    table.push(
+      [gray('IPv6 Attuale'), currentIPv6 ? cyan(currentIPv6) : gray('N/D')],
+      [gray('Ultimo IPv6'), lastIPv6 || gray('N/D')]
+    );
+  }
+  const login = loginState();
+  if (login) {
+    const expiry = formatExpiry(new Date(login.expiresAt));
+    const expiring = Date.parse(login.expiresAt) - Date.now() <= LOGIN_EXPIRY_WARNING;
+    table.push([gray('Login'), login.expired ? red(`Scaduto il ${expiry}`) : expiring ? yellow(`Scade il ${expiry}`) : green(`Valido fino al ${expiry}`)]);
+  }
+  if (activeProfile !== DEFAULT_PROFILE) table.push([gray('Profilo'), chalk.bold(activeProfile)]);
+  if (API_URL !== DEFAULT_API_URL) table.push([gray('API'), yellow(API_URL)]);
 
   console.log(table.toString());
   console.log();
@@ -1578,9 +2570,12 @@ const showCurrentStatus = async () => {
 
 const editConfig = async () => {
   const apiToken = await getAuthToken();
-  const remote = await fetchRemoteConfig(apiToken);
-  if (!remote) {
+  let remote;
+  try {
+    remote = await loadRemoteConfig(apiToken);
+  } catch (err) {
     console.log(red("Impossibile caricare la configurazione."));
+    process.exitCode = exitCodeFor(explainAuthError(err));
     return;
   }
 
@@ -1591,7 +2586,7 @@ const editConfig = async () => {
   ]);
 
   const spin = spinner("Salvataggio...").start();
-  const res = await fetch(`${API_BASE}/cli-config/${remote.id}`, {
+  const res = await httpFetch(`${API_BASE}/cli-config/${remote.id}`, {
     method: "PATCH",
     headers: {
       "Content-Type": "application/json",
@@ -1606,50 +2601,157 @@ const editConfig = async () => {
 
   if (res.ok) {
     spin.succeed("Configurazione aggiornata!");
-    config = { ...remote, ...answers, apiToken };
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+    config = { ...remote, ...answers, ...apiUrlField(), apiToken };
+    await saveConfig(config);
   } else {
     const data = await res.json();
     spin.fail("Errore: " + (data.error || data.message));
+    process.exitCode = exitCodeFor(explainAuthError(httpError(data.error || data.message, res.status)));
+  }
+};
+
+// Address families: A (IPv4 only), AAAA (IPv6 only), both (dual-stack)
+const IP_FAMILIES = { A: ["ipv4"], AAAA: ["ipv6"], BOTH: ["ipv4", "ipv6"] };
+
+// --family on the command line wins over the configured family
+const resolveIpFamily = (configured) => {
+  const family = String(ipFamilyArg || configured || "A").toUpperCase();
+  if (!IP_FAMILIES[family]) {
+    throw usageError(`Famiglia "${ipFamilyArg || configured}" non valida (usa A, AAAA o both)`);
   }
+  return family;
+};
+
+// Last-pushed state is per profile: the default profile keys it by domain, named ones by "profile:domain".
+// Updates and the daemon share it, so alternating them never pushes the same address twice.
+const domainStateKey = (domain) => activeProfile === DEFAULT_PROFILE ? domain : `${activeProfile}:${domain}`;
+
+// { ipv4, ipv6, updatedAt } last pushed for a domain. Older versions kept the configured domain's
+// addresses in last_ip.txt/last_ipv6.txt: they are read until the domain is first updated here.
+const lastPushedOf = (domain) => {
+  const state = loadDomainState(domainStateKey(domain));
+  if (state.updatedAt || activeProfile !== DEFAULT_PROFILE || domain !== config.domain) return state;
+  return { ipv4: loadLastIP(), ipv6: loadLastIPv6(), ...state };
+};
+
+const loadLastPushed = () => {
+  const { ipv4 = null, ipv6 = null } = lastPushedOf(config.domain);
+  return { ipv4, ipv6 };
+};
+
+const saveLastPushed = (ips) => {
+  saveDomainState(domainStateKey(config.domain), { ...ips, updatedAt: new Date().toISOString() });
+};
+
+// Detect the requested families in parallel and load the last pushed address of each
+const detectFamilies = async (keys, settings = config) => {
+  const [ipv4, ipv6] = await Promise.all([
+    keys.includes("ipv4") ? detectIPDetails("ipv4", settings) : null,
+    keys.includes("ipv6") ? detectIPDetails("ipv6", settings) : null
+  ]);
+  return {
+    current: { ipv4: ipv4?.ip || null, ipv6: ipv6?.ip || null },
+    last: loadLastPushed(),
+    detection: {
+      ipv4: ipv4 ? { source: ipv4.source, agreed: ipv4.agreed } : null,
+      ipv6: ipv6 ? { source: ipv6.source, agreed: ipv6.agreed } : null
+    }
+  };
+};
+
+// Helper: HH:MM:SS of an ISO timestamp
+const formatTime = (iso) => new Date(iso).toLocaleTimeString("it-IT");
+
+// Helper: Retry-After of a 429 response in ms, null otherwise
+const retryAfterOf = (res) => res.status === 429 ? parseRetryAfter(res.headers.get("retry-after")) : null;
+
+// Persist an update that failed transiently (network, 5xx, 429) so it is retried before the
+// next scheduled check, even after a restart. Pending retries back off from 30s up to 1h;
+// a Retry-After from the server wins. Pending updates are keyed like the last-pushed state.
+const pendingUpdateOf = (domain) => loadPendingUpdates()[domainStateKey(domain)] || null;
+
+const deferUpdate = (domain, ips, { message, status, retryAfter }) => {
+  const attempts = (pendingUpdateOf(domain)?.attempts || 0) + 1;
+  const delay = retryAfter ?? backoffDelay(attempts - 1, { baseDelay: 30000, maxDelay: 3600000 });
+  const pending = {
+    ...ips,
+    attempts,
+    nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+    lastError: message,
+    lastStatus: status || null
+  };
+  savePendingUpdate(domainStateKey(domain), pending);
+  return pending;
 };
 
 const runUpdate = async () => {
   let apiToken = config.apiToken;
   if (!apiToken) {
+    if (!canPrompt()) throw cliError("Nessun token DDNS configurato: esegui --setup, oppure usa --update --domain <dominio> --token <token>", EXIT.AUTH);
     apiToken = await promptInput(cyan("🔑 Token API: "));
-    const remoteConfig = await fetchRemoteConfig(apiToken);
-    if (!remoteConfig) {
-      if (showJson) {
-        console.log(JSON.stringify({ error: "Configurazione non trovata" }));
-      } else {
-        console.log(red("Configurazione non trovata."));
-      }
+    let remoteConfig;
+    try {
+      remoteConfig = await loadRemoteConfig(apiToken);
+    } catch (err) {
+      if (!jsonError(err)) console.log(red("Configurazione non trovata."));
       return;
     }
-    config = { ...remoteConfig, apiToken };
+    config = { ...remoteConfig, ...apiUrlField(), apiToken };
+  }
+
+  const family = resolveIpFamily(config.family || (config.useIPv6 ? "both" : "A"));
+  const keys = IP_FAMILIES[family];
+
+  // A previous run was rate limited or hit a server error: wait for its retry window
+  const pending = pendingUpdateOf(config.domain);
+  if (pending && !forceUpdate && Date.parse(pending.nextAttemptAt) > Date.now()) {
+    const pendingError = cliError(pending.lastError, pending.lastStatus ? exitCodeForStatus(pending.lastStatus) : EXIT.NETWORK);
+    if (!jsonError(pendingError, { status: "deferred", domain: config.domain, ...pending })) {
+      console.log(yellow(`⏳ Aggiornamento in sospeso per ${config.domain}, nuovo tentativo dopo ${formatTime(pending.nextAttemptAt)}`));
+      console.log(gray(`   Ultimo errore: ${pending.lastError}`));
+    }
+    return;
   }
 
   const spin = !showJson ? spinner("Rilevamento IP...").start() : null;
-  const currentIP = await getCurrentIP(config.ipService).catch(() => null);
-  const currentIPv6 = config.useIPv6 ? await getCurrentIPv6(config.ipv6Service).catch(() => null) : null;
+  const { current, last, detection } = await detectFamilies(keys, config);
+  const detected = keys.filter(key => current[key]);
 
-  if (!currentIP && !currentIPv6) {
+  if (detected.length === 0) {
     spin?.fail("Nessun IP rilevato");
-    if (showJson) {
-      console.log(JSON.stringify({ error: "Nessun IP rilevato" }));
-    }
+    jsonError(cliError("Nessun IP rilevato", EXIT.NETWORK), { status: "failed", domain: config.domain, family });
     return;
   }
 
-  if (spin) spin.text = `IP rilevato: ${currentIP}`;
+  if (spin) spin.text = `IP rilevato: ${detected.map(key => current[key]).join(", ")}`;
+
+  // Each family is compared and pushed on its own: an IPv6 prefix change does not need a new IPv4.
+  // A pending update from an earlier failed run is pushed again regardless.
+  const changed = forceUpdate || pending ? detected : detected.filter(key => current[key] !== last[key]);
+  const families = Object.fromEntries(keys.map(key => [key, {
+    current: current[key] || null,
+    previous: last[key] || null,
+    changed: changed.includes(key),
+    source: detection[key]?.source || null,
+    agreed: detection[key]?.agreed || null
+  }]));
+
+  const result = (status, extra = {}) => ({
+    status,
+    domain: config.domain,
+    family,
+    ip: current.ipv4 || null,
+    previousIp: last.ipv4 || null,
+    ipv6: current.ipv6 || null,
+    previousIpv6: last.ipv6 || null,
+    families,
+    ...extra
+  });
 
-  const lastIP = loadLastIP();
-  if (!forceUpdate && lastIP === currentIP) {
-    spin?.succeed(`IP invariato (${currentIP})`);
-    if (showJson) {
-      console.log(JSON.stringify({ status: "unchanged", ip: currentIP }));
-    }
+  if (changed.length === 0) {
+    spin?.succeed(`IP invariato (${detected.map(key => current[key]).join(", ")})`);
+    process.exitCode = EXIT.UNCHANGED;
+    jsonOutput(result("unchanged"));
     return;
   }
 
@@ -1657,37 +2759,51 @@ const runUpdate = async () => {
 
   const body = {
     name: config.domain,
-    ip: currentIP,
     ttl: config.ttl,
   };
-  if (currentIPv6) body.ipv6 = currentIPv6;
+  if (changed.includes("ipv4")) body.ip = current.ipv4;
+  if (changed.includes("ipv6")) body.ipv6 = current.ipv6;
 
-  const res = await fetch(`${API_BASE}/update-dns`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${config.apiToken}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(body),
-  });
+  const ips = Object.fromEntries(changed.map(key => [key, current[key]]));
+  let res;
+  try {
+    res = await httpFetch(`${API_BASE}/update-dns`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${config.apiToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    }, {
+      retries: 3,
+      onRetry: ({ attempt, wait, status, error }) => {
+        if (spin) spin.text = `${status ? `HTTP ${status}` : error.message}, tentativo ${attempt + 1} tra ${Math.ceil(wait / 1000)}s...`;
+      }
+    });
+  } catch (err) {
+    const deferred = deferUpdate(config.domain, ips, err);
+    spin?.fail(`Errore di rete: ${err.message}`);
+    if (!jsonError(cliError(err.message, EXIT.NETWORK), result("deferred", { nextAttemptAt: deferred.nextAttemptAt }))) {
+      console.log(gray(`   Nuovo tentativo dopo ${formatTime(deferred.nextAttemptAt)}`));
+    }
+    return;
+  }
 
-  const data = await res.json();
+  const data = await res.json().catch(() => ({}));
   if (res.ok && data.results) {
-    saveCurrentIP(currentIP);
-    spin?.succeed(`DNS aggiornato! ${config.domain} → ${currentIP}`);
-    if (showJson) {
-      console.log(JSON.stringify({
-        status: "updated",
-        domain: config.domain,
-        ip: currentIP,
-        previousIp: lastIP,
-        result: data.results[0]
-      }, null, 2));
-    }
+    clearPendingUpdate(domainStateKey(config.domain));
+    saveLastPushed(Object.fromEntries(changed.map(key => [key, current[key]])));
+    spin?.succeed(`DNS aggiornato! ${config.domain} → ${changed.map(key => current[key]).join(", ")}`);
+    jsonOutput(result("updated", { result: data.results[0] }));
   } else {
-    spin?.fail(`Errore: ${data.error || data.details}`);
-    if (showJson) {
-      console.log(JSON.stringify({ error: data.error || data.details }));
+    const message = data.error || data.details || `HTTP ${res.status}`;
+    const deferred = isRetryableStatus(res.status)
+      ? deferUpdate(config.domain, ips, { message, status: res.status, retryAfter: retryAfterOf(res) })
+      : null;
+    spin?.fail(`Errore: ${message}`);
+    const failed = deferred ? result("deferred", { nextAttemptAt: deferred.nextAttemptAt }) : result("failed");
+    if (!jsonError(httpError(message, res.status), failed) && deferred) {
+      console.log(gray(`   Nuovo tentativo dopo ${formatTime(deferred.nextAttemptAt)}`));
     }
   }
 };
@@ -1700,30 +2816,26 @@ const updateSingleDomain = async (domainName) => {
 
   try {
     // Get current IP
-    const currentIP = await getCurrentIP('https://api.ipify.org').catch(() => null);
-    const currentIPv6 = await getCurrentIPv6('https://api6.ipify.org').catch(() => null);
+    const currentIP = await detectIP("ipv4");
+    const currentIPv6 = await detectIP("ipv6");
 
     if (!currentIP && !currentIPv6) {
       spin?.fail("Nessun IP rilevato");
-      if (showJson) {
-        console.log(JSON.stringify({ error: "Nessun IP rilevato" }));
-      }
+      jsonError(cliError("Nessun IP rilevato", EXIT.NETWORK));
       return;
     }
 
     if (spin) spin.text = `Ricerca dominio ${domainName}...`;
 
     // First, get domain list to find the domain ID
-    const listRes = await fetch(`${API_BASE}/domains`, {
+    const listRes = await httpFetch(`${API_BASE}/domains`, {
       headers: getAuthHeaders(token)
     });
 
     if (!listRes.ok) {
       const errData = await listRes.json().catch(() => ({}));
       spin?.fail(`Errore autenticazione: ${errData.error || errData.message || 'Token non valido'}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: errData.error || errData.message || 'Autenticazione fallita' }));
-      }
+      jsonError(httpError(errData.error || errData.message || 'Autenticazione fallita', listRes.status));
       return;
     }
 
@@ -1733,19 +2845,19 @@ const updateSingleDomain = async (domainName) => {
 
     if (!domain) {
       spin?.fail(`Dominio "${domainName}" non trovato nel tuo account`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: `Dominio "${domainName}" non trovato` }));
-      }
+      jsonError(cliError(`Dominio "${domainName}" non trovato`, EXIT.NOT_FOUND));
       return;
     }
 
     if (spin) spin.text = `Aggiornamento DNS per ${domainName}...`;
 
     // Use PATCH /domains/:id to update (supports API Key)
-    const updateBody = { ip: currentIP };
+    // Only the detected families: an IPv6-only host must not send "ip": null
+    const updateBody = {};
+    if (currentIP) updateBody.ip = currentIP;
     if (currentIPv6) updateBody.ipv6 = currentIPv6;
 
-    const res = await fetch(`${API_BASE}/domains/${domain.id}`, {
+    const res = await httpFetch(`${API_BASE}/domains/${domain.id}`, {
       method: "PATCH",
       headers: {
         "Content-Type": "application/json",
@@ -1758,105 +2870,759 @@ const updateSingleDomain = async (domainName) => {
 
     if (res.ok) {
       spin?.succeed(`DNS aggiornato! ${domainName} → ${currentIP}`);
-      if (showJson) {
-        console.log(JSON.stringify({
-          success: true,
-          domain: domainName,
-          ip: currentIP,
-          ipv6: currentIPv6 || null,
-          previousIp: domain.ip,
-          result: data
-        }, null, 2));
-      }
+      const propagation = waitPropagation ? await waitForRecords([
+        ...(currentIP ? [{ name: domainName, type: "A", expect: currentIP }] : []),
+        ...(currentIPv6 ? [{ name: domainName, type: "AAAA", expect: currentIPv6 }] : [])
+      ]) : [];
+      jsonResult({
+        domain: domainName,
+        ip: currentIP,
+        ipv6: currentIPv6 || null,
+        previousIp: domain.ip,
+        result: data,
+        propagation
+      }, propagationError(propagation));
     } else {
       spin?.fail(`Errore: ${data.error || data.details || data.message}`);
-      if (showJson) {
-        console.log(JSON.stringify({ error: data.error || data.details || data.message }));
-      }
+      jsonError(httpError(data.error || data.details || data.message, res.status));
     }
   } catch (err) {
     spin?.fail(err.message);
-    if (showJson) {
-      console.log(JSON.stringify({ error: err.message }));
+    jsonError(err);
+  }
+};
+
+// ==================== STANDALONE UPDATE (DynDNS2) ====================
+
+const standaloneUpdate = async (domain, token, ip) => {
+  if (!domain || !token) {
+    if (!jsonError(usageError("Uso: --update --domain <fqdn> --token <token> [--ip <address>]"))) {
+      console.log(red("\n❌ Uso: --update --domain <fqdn> --token <token> [--ip <address>]"));
+      console.log(gray("   Esempio: --update --domain mio.apertodns.com --token abc123\n"));
     }
+    return;
+  }
+
+  const spin = !showJson ? spinner(`Aggiornamento DynDNS2 per ${domain}...`).start() : null;
+
+  const params = new URLSearchParams({ hostname: domain });
+  if (ip) params.set("myip", ip);
+
+  try {
+    // DynDNS2 clients must not repeat an update on their own
+    const res = await httpFetch(`${API_URL}/nic/update?${params}`, {
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${token}:${token}`).toString("base64")}`
+      }
+    }, { retries: 0 });
+
+    const text = await res.text();
+    // Alcuni server rispondono badauth con 401 e body vuoto
+    const [result] = parseDynDns2Response(text || (res.status === 401 ? "badauth" : "911"));
+
+    if (result.ok) {
+      const shownIp = result.ip || ip || "N/D";
+      if (result.status === "updated") spin?.succeed(`${result.message}! ${domain} → ${shownIp}`);
+      else spin?.succeed(`${result.message} (${shownIp})`);
+    } else {
+      spin?.fail(`${result.code}: ${result.message}`);
+    }
+
+    // nochg is a success with its own exit code
+    process.exitCode = result.exitCode;
+    jsonResult({
+      status: result.status,
+      code: result.code,
+      domain,
+      ip: result.ip || ip || null,
+      message: result.message
+    }, result.ok ? null : cliError(result.message, result.exitCode));
+  } catch (err) {
+    spin?.fail(err.message);
+    jsonError(cliError(err.message, EXIT.NETWORK), { status: "network", code: null, domain, ip: ip || null, message: err.message });
   }
 };
 
 // ==================== DAEMON MODE ====================
 
+// Daemon domain list: --daemon-config file > config.daemon > legacy single domain (config.domain + apiToken)
+const loadDaemonConfig = () => {
+  if (daemonConfigPath) {
+    try {
+      return JSON.parse(fs.readFileSync(daemonConfigPath, "utf-8"));
+    } catch (err) {
+      throw usageError(`Impossibile leggere ${daemonConfigPath}: ${err.message}`);
+    }
+  }
+  if (config.daemon?.domains?.length) return config.daemon;
+  if (config.domain && config.apiToken) {
+    return {
+      domains: [{
+        name: config.domain,
+        token: config.apiToken,
+        family: config.family || (config.useIPv6 ? "both" : "A"),
+        ttl: config.ttl
+      }]
+    };
+  }
+  return { domains: [] };
+};
+
+const normalizeDaemonDomain = (entry, defaults) => {
+  const name = typeof entry === "string" ? entry : entry.name;
+  if (!name) throw usageError("Ogni dominio del daemon richiede un campo \"name\"");
+
+  const family = String(entry.family || defaults.family || ipFamilyArg || "A").toUpperCase();
+  if (!IP_FAMILIES[family]) {
+    throw usageError(`Famiglia "${entry.family}" non valida per ${name} (usa A, AAAA o both)`);
+  }
+
+  // A per-domain credential wins over the shared ones; a token wins over an API key at the same level
+  const token = entry.token || (entry.apiKey ? null : defaults.token);
+  const apiKey = token ? null : entry.apiKey || defaults.apiKey || useApiKey || envApiKey || config.apiKey;
+  if (!token && !apiKey) throw cliError(`Nessun token o API key configurato per ${name}`, EXIT.AUTH);
+
+  // Drift check: compare the published records with the detected IP every cycle
+  const driftCheck = entry.driftCheck ?? defaults.driftCheck ?? driftCheckArg ?? null;
+  if (driftCheck && !["dns", "api"].includes(driftCheck)) {
+    throw usageError(`driftCheck "${driftCheck}" non valido per ${name} (usa dns o api)`);
+  }
+  // Reading the domain list needs an account credential, a domain token is not enough
+  const accountKey = apiKey || getAccountToken();
+  if (driftCheck === "api" && !accountKey) {
+    throw cliError(`Il controllo drift via API per ${name} richiede una API key o il login (--setup)`, EXIT.AUTH);
+  }
+
+  const interval = Number(entry.interval ?? defaults.interval ?? daemonInterval);
+  if (!Number.isInteger(interval) || interval < MIN_DAEMON_INTERVAL) {
+    throw usageError(`interval "${entry.interval ?? defaults.interval}" non valido per ${name} (usa un numero intero di secondi, minimo ${MIN_DAEMON_INTERVAL})`);
+  }
+
+  return {
+    name,
+    token,
+    apiKey,
+    family,
+    ttl: entry.ttl || defaults.ttl || 300,
+    interval,
+    driftCheck,
+    accountKey
+  };
+};
+
+// Error for a failed API response, carrying status and Retry-After for the retry logic
+const responseError = (res, data) => Object.assign(
+  new Error(data.error || data.details || data.message || `HTTP ${res.status}`),
+  { status: res.status, retryAfter: retryAfterOf(res) }
+);
+
+// Push the detected addresses for a single daemon domain; hooks are httpFetch's onRetry/onAttempt
+const pushDaemonUpdate = async (entry, ips, hooks = {}) => {
+  if (entry.token) {
+    const body = { name: entry.name, ttl: entry.ttl };
+    if (ips.ipv4) body.ip = ips.ipv4;
+    if (ips.ipv6) body.ipv6 = ips.ipv6;
+
+    const res = await httpFetch(`${API_BASE}/update-dns`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${entry.token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    }, { retries: 3, ...hooks });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.results) throw responseError(res, data);
+    return data.results[0];
+  }
+
+  // API key: resolve the domain id once, then PATCH /domains/:id
+  if (!entry.id) {
+    const listRes = await httpFetch(`${API_BASE}/domains`, { headers: getAuthHeaders(entry.apiKey) }, { retries: 3, ...hooks });
+    const listData = await listRes.json().catch(() => ({}));
+    if (!listRes.ok) throw responseError(listRes, listData);
+    const domains = listData.domains || listData;
+    const domain = domains.find(d => d.name.toLowerCase() === entry.name.toLowerCase());
+    if (!domain) throw cliError(`Dominio "${entry.name}" non trovato nel tuo account`, EXIT.NOT_FOUND);
+    entry.id = domain.id;
+  }
+
+  const body = { ttl: entry.ttl };
+  if (ips.ipv4) body.ip = ips.ipv4;
+  if (ips.ipv6) body.ipv6 = ips.ipv6;
+
+  const res = await httpFetch(`${API_BASE}/domains/${entry.id}`, {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/json",
+      ...getAuthHeaders(entry.apiKey)
+    },
+    body: JSON.stringify(body)
+  }, { retries: 3, ...hooks });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw responseError(res, data);
+  return data;
+};
+
+// Load and validate the daemon domains and IP settings (at startup and on SIGHUP)
+const loadDaemonSetup = () => {
+  const daemonConfig = loadDaemonConfig();
+  const domains = (daemonConfig.domains || []).map(d => normalizeDaemonDomain(d, daemonConfig));
+
+  if (domains.length === 0) {
+    throw usageError("Nessun dominio configurato per il daemon (usa --setup o --daemon-config <file>)");
+  }
+
+  return {
+    daemonConfig,
+    domains,
+    ipSettings: {
+      ipSources: daemonConfig.ipSources || config.ipSources,
+      ipService: daemonConfig.ipService || config.ipService,
+      ipv6Service: daemonConfig.ipv6Service || config.ipv6Service,
+      ipQuorum: daemonConfig.ipQuorum || config.ipQuorum
+    }
+  };
+};
+
+// One daemon per config: the lock name is derived from the config file path (and profile)
+const daemonLockPath = () => {
+  const source = `${path.resolve(daemonConfigPath || CONFIG_PATH)}${activeProfile === DEFAULT_PROFILE ? "" : `#${activeProfile}`}`;
+  const hash = crypto.createHash("sha1").update(source).digest("hex").substring(0, 12);
+  return path.join(getDataDir(), `daemon-${hash}.lock`);
+};
+
 const runDaemonMode = async () => {
-  console.log(cyan(`\n🔄 Avvio daemon mode (intervallo: ${daemonInterval}s)\n`));
-  console.log(gray("   Premi Ctrl+C per terminare\n"));
+  let { daemonConfig, domains, ipSettings } = loadDaemonSetup();
+
+  const lockPath = daemonLockPath();
+  try {
+    acquireLock(lockPath);
+  } catch (err) {
+    if (err.pid) throw new Error(`Daemon già in esecuzione per questa configurazione (PID ${err.pid})`);
+    throw err;
+  }
+
+  const pidFile = daemonPidFile || daemonConfig.pidFile;
+  if (pidFile) fs.writeFileSync(pidFile, `${process.pid}\n`);
+
+  process.on("exit", () => {
+    releaseLock(lockPath);
+    if (pidFile) releaseLock(pidFile);
+  });
 
-  const update = async () => {
+  const pendingAtStart = domains.filter(d => pendingUpdateOf(d.name)).map(d => d.name);
+  if (!showJson) {
+    console.log(cyan(`\n🔄 Avvio daemon mode (${domains.length} domini)\n`));
+    domains.forEach(d => console.log(gray(`   • ${d.name} [${d.family}] ogni ${d.interval}s`)));
+    if (pendingAtStart.length) {
+      console.log(yellow(`\n   ⏳ Aggiornamenti in sospeso da riprovare: ${pendingAtStart.join(", ")}`));
+    }
+    console.log(gray("\n   Premi Ctrl+C per terminare (SIGHUP ricarica la configurazione, SIGUSR1 forza un controllo)\n"));
+  }
+
+  // With --json every log line becomes one NDJSON event (schemas/event.json)
+  const daemonLog = (msg, event, data = null, error = null) => {
+    if (showJson) {
+      jsonEvent(event, data, error);
+      return;
+    }
     const timestamp = new Date().toISOString().replace("T", " ").substring(0, 19);
+    console.log(`${gray(`[${timestamp}]`)} ${msg}`);
+  };
 
-    try {
-      const currentIP = await getCurrentIP(config.ipService || 'https://api.ipify.org').catch(() => null);
-      const lastIP = loadLastIP();
-
-      if (lastIP === currentIP) {
-        console.log(`${gray(`[${timestamp}]`)} ${gray('IP invariato')} ${currentIP}`);
-      } else {
-        console.log(`${gray(`[${timestamp}]`)} ${yellow('IP cambiato!')} ${lastIP || 'N/D'} → ${green(currentIP)}`);
-
-        // Trigger update
-        if (config.apiToken && config.domain) {
-          const body = { name: config.domain, ip: currentIP, ttl: config.ttl || 300 };
-
-          const res = await fetch(`${API_BASE}/update-dns`, {
-            method: "POST",
-            headers: {
-              Authorization: `Bearer ${config.apiToken}`,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify(body),
-          });
-
-          if (res.ok) {
-            saveCurrentIP(currentIP);
-            console.log(`${gray(`[${timestamp}]`)} ${green('✓ DNS aggiornato')}`);
-          } else {
-            const data = await res.json();
-            console.log(`${gray(`[${timestamp}]`)} ${red('✗ Errore:')} ${data.error || data.details}`);
-          }
-        }
+  // Per-domain health and Prometheus metrics, served by the optional health endpoint
+  const startedAt = Date.now();
+  const healthState = new Map();
+  const healthOf = (name) => {
+    if (!healthState.has(name)) {
+      healthState.set(name, { lastCheckAt: null, lastUpdateAt: null, lastDriftAt: null, consecutiveFailures: 0, lastError: null, current: {} });
+    }
+    return healthState.get(name);
+  };
+
+  const registry = createMetrics();
+  const metrics = {
+    checks: registry.counter("apertodns_checks_total", "IP checks performed"),
+    changes: registry.counter("apertodns_ip_changes_total", "IP address changes detected"),
+    updateSuccesses: registry.counter("apertodns_update_success_total", "Successful DNS updates"),
+    updateFailures: registry.counter("apertodns_update_failures_total", "Failed DNS updates (after retries)"),
+    driftRepairs: registry.counter("apertodns_drift_repairs_total", "Published records found out of sync and repaired"),
+    apiLatency: registry.histogram("apertodns_api_request_duration_seconds", "ApertoDNS API request latency")
+  };
+
+  // Unhealthy after maxFailures consecutive failures, or when a domain has not been checked
+  // for maxStaleness seconds (default: three intervals)
+  const getHealth = () => {
+    const healthConfig = daemonConfig.health || {};
+    const maxFailures = healthConfig.maxFailures || 3;
+    const problems = [];
+    for (const entry of domains) {
+      const health = healthOf(entry.name);
+      const staleAfter = (healthConfig.maxStaleness || entry.interval * 3) * 1000;
+      const lastCheck = health.lastCheckAt ? Date.parse(health.lastCheckAt) : startedAt;
+      if (health.consecutiveFailures >= maxFailures) {
+        problems.push({ domain: entry.name, reason: "failures", consecutiveFailures: health.consecutiveFailures, lastError: health.lastError });
+      }
+      if (Date.now() - lastCheck > staleAfter) {
+        problems.push({ domain: entry.name, reason: "stale", lastCheckAt: health.lastCheckAt });
       }
+    }
+    return { healthy: problems.length === 0, problems, timestamp: new Date().toISOString() };
+  };
+
+  const getStatus = () => {
+    return {
+      pid: process.pid,
+      startedAt: new Date(startedAt).toISOString(),
+      domains: domains.map(entry => {
+        const health = healthOf(entry.name);
+        const { updatedAt = null, ...lastPushed } = lastPushedOf(entry.name);
+        return {
+          name: entry.name,
+          family: entry.family,
+          interval: entry.interval,
+          current: health.current,
+          lastPushed,
+          lastPushedAt: updatedAt || null,
+          lastCheckAt: health.lastCheckAt,
+          lastDriftAt: health.lastDriftAt,
+          consecutiveFailures: health.consecutiveFailures,
+          lastError: health.lastError,
+          pending: pendingUpdateOf(entry.name)
+        };
+      })
+    };
+  };
+
+  const healthListen = healthListenArg || daemonConfig.health?.listen;
+  let healthServer = null;
+  let healthListenUrl = null;
+  if (healthListen) {
+    const { host, port } = parseListenAddress(healthListen);
+    healthServer = await startHealthServer({ host, port, metrics: registry, getHealth, getStatus });
+    healthListenUrl = `http://${host.includes(":") ? `[${host}]` : host}:${port}`;
+    if (!showJson) console.log(gray(`   Health endpoint: ${healthListenUrl}/healthz, /status, /metrics\n`));
+  }
+  if (showJson) {
+    jsonEvent("started", {
+      pid: process.pid,
+      domains: domains.map(({ name, family, interval }) => ({ name, family, interval })),
+      pending: pendingAtStart,
+      health: healthListenUrl
+    });
+  }
+
+  // Domains checked close together share one IP lookup instead of hitting the IP service each time
+  let lookup = { at: 0 };
+  const lookupIP = (key) => {
+    if (Date.now() - lookup.at > 30000) lookup = { at: Date.now() };
+    if (!lookup[key]) {
+      lookup[key] = detectIPDetails(key, ipSettings);
+    }
+    return lookup[key];
+  };
+
+  // Addresses the records currently publish: from the authoritative nameservers, or from the
+  // account's domain list (shared by domains checked close together, like the IP lookup)
+  let domainLists = { at: 0 };
+  const publishedRecords = async (entry, families) => {
+    if (entry.driftCheck === "dns") {
+      const published = {};
+      for (const key of families) published[key] = await resolveAuthoritative(entry.name, key === "ipv4" ? "A" : "AAAA");
+      return published;
+    }
+
+    if (Date.now() - domainLists.at > 30000) domainLists = { at: Date.now() };
+    if (!domainLists[entry.accountKey]) {
+      domainLists[entry.accountKey] = fetchDomains({ token: entry.accountKey, silent: true });
+    }
+    const list = await domainLists[entry.accountKey].catch(err => {
+      delete domainLists[entry.accountKey];
+      throw err;
+    });
+    const domain = (list.domains || list).find(d => d.name.toLowerCase() === entry.name.toLowerCase());
+    if (!domain) throw cliError(`Dominio "${entry.name}" non trovato nel tuo account`, EXIT.NOT_FOUND);
+    return { ipv4: domain.ip ? [domain.ip] : [], ipv6: domain.ipv6 ? [domain.ipv6] : [] };
+  };
+
+  const canonicalIP = (ip) => parseIPv6(ip)?.join(":") ?? ip;
+
+  // Families whose published record differs from the detected address. A failed lookup
+  // is only logged: drift is checked again next cycle.
+  const findDrift = async (entry, current, detected) => {
+    let published;
+    try {
+      published = await publishedRecords(entry, detected);
     } catch (err) {
-      console.log(`${gray(`[${timestamp}]`)} ${red('Errore:')} ${err.message}`);
+      daemonLog(`${chalk.bold(entry.name)} ${yellow('Controllo drift non riuscito:')} ${gray(err.message)}`, "drift_check_failed", { domain: entry.name }, err);
+      return { drifted: [], published: {} };
     }
+    const drifted = detected.filter(key => !published[key].some(ip => canonicalIP(ip) === canonicalIP(current[key])));
+    return { drifted, published };
+  };
+
+  // Returns the delay (ms) before the next attempt when an update is pending, null otherwise
+  const check = async (entry) => {
+    const families = IP_FAMILIES[entry.family];
+    const last = lastPushedOf(entry.name);
+    const pending = pendingUpdateOf(entry.name);
+    const waitPending = pending ? Date.parse(pending.nextAttemptAt) - Date.now() : 0;
+    if (waitPending > 0) {
+      // Waiting out a backoff is still a check: /healthz must not call the daemon stale meanwhile
+      healthOf(entry.name).lastCheckAt = new Date().toISOString();
+      daemonLog(`${chalk.bold(entry.name)} ${yellow('⏳ In sospeso')} ${gray(`nuovo tentativo dopo ${formatTime(pending.nextAttemptAt)}`)}`,
+        "pending", { domain: entry.name, ...pending });
+      return waitPending;
+    }
+
+    const current = {};
+    const detection = {};
+    for (const key of families) {
+      detection[key] = await lookupIP(key);
+      current[key] = detection[key]?.ip || null;
+    }
+
+    const health = healthOf(entry.name);
+    health.lastCheckAt = new Date().toISOString();
+    health.current = current;
+    metrics.checks.inc({ domain: entry.name });
+
+    const detected = families.filter(key => current[key]);
+    if (detected.length === 0) {
+      daemonLog(`${chalk.bold(entry.name)} ${red('Nessun IP rilevato')}`, "no_ip", { domain: entry.name, family: entry.family },
+        cliError("Nessun IP rilevato", EXIT.NETWORK));
+      health.consecutiveFailures++;
+      health.lastError = "Nessun IP rilevato";
+      return null;
+    }
+
+    let changed = pending ? detected : detected.filter(key => current[key] !== last[key]);
+    // The local cache agrees with the detected IP: make sure the records do too
+    const drift = changed.length === 0 && entry.driftCheck ? await findDrift(entry, current, detected) : { drifted: [] };
+    if (drift.drifted.length) changed = drift.drifted;
+
+    const shown = detected.map(key => current[key]).join(", ");
+    if (changed.length === 0) {
+      daemonLog(`${chalk.bold(entry.name)} ${gray('IP invariato')} ${shown}`, "unchanged", { domain: entry.name, current });
+      health.consecutiveFailures = 0;
+      return null;
+    }
+
+    if (pending) {
+      daemonLog(`${chalk.bold(entry.name)} ${yellow('Nuovo tentativo')} ${gray(`(#${pending.attempts + 1}, ultimo errore: ${pending.lastError})`)}`,
+        "retry_pending", { domain: entry.name, current, attempt: pending.attempts + 1, lastError: pending.lastError });
+    } else if (drift.drifted.length) {
+      const diff = changed.map(key => `${drift.published[key].join(" ") || 'nessun record'} → ${green(current[key])}`).join(", ");
+      daemonLog(`${chalk.bold(entry.name)} ${purple('Drift DNS:')} ${diff} ${gray(`(${entry.driftCheck === "dns" ? "DNS autoritativo" : "API"})`)}`,
+        "drift", { domain: entry.name, current, published: drift.published, drifted: changed, source: entry.driftCheck });
+      changed.forEach(key => metrics.driftRepairs.inc({ domain: entry.name, family: key }));
+      health.lastDriftAt = new Date().toISOString();
+    } else {
+      const diff = changed.map(key => `${last[key] || 'N/D'} → ${green(current[key])} ${gray(`(${formatAgreement(detection[key])})`)}`).join(", ");
+      daemonLog(`${chalk.bold(entry.name)} ${yellow('IP cambiato!')} ${diff}`, "ip_changed", { domain: entry.name, current, previous: last, changed });
+      changed.forEach(key => metrics.changes.inc({ domain: entry.name, family: key }));
+    }
+
+    const ips = {};
+    for (const key of changed) ips[key] = current[key];
+    try {
+      await pushDaemonUpdate(entry, ips, {
+        onRetry: ({ attempt, wait, status, error }) => {
+          daemonLog(`${chalk.bold(entry.name)} ${yellow(status ? `HTTP ${status}` : error.message)} ${gray(`tentativo ${attempt + 1} tra ${Math.ceil(wait / 1000)}s`)}`,
+            "retry", { domain: entry.name, attempt: attempt + 1, wait: Math.ceil(wait / 1000), status: status || null },
+            status ? httpError(`HTTP ${status}`, status) : error);
+        },
+        onAttempt: ({ duration, status }) => metrics.apiLatency.observe({ status: status || "error" }, duration)
+      });
+      clearPendingUpdate(domainStateKey(entry.name));
+      saveDomainState(domainStateKey(entry.name), { ...ips, updatedAt: new Date().toISOString() });
+      daemonLog(`${chalk.bold(entry.name)} ${green(drift.drifted.length ? '✓ Drift corretto' : '✓ DNS aggiornato')}`,
+        "updated", { domain: entry.name, ips, drift: drift.drifted.length > 0 });
+      metrics.updateSuccesses.inc({ domain: entry.name });
+      health.consecutiveFailures = 0;
+      health.lastError = null;
+      health.lastUpdateAt = new Date().toISOString();
+      return null;
+    } catch (err) {
+      daemonLog(`${chalk.bold(entry.name)} ${red('✗ Errore:')} ${err.message}`, "update_failed", { domain: entry.name, ips }, err);
+      metrics.updateFailures.inc({ domain: entry.name });
+      health.consecutiveFailures++;
+      health.lastError = err.message;
+      // Auth and validation errors will not fix themselves: wait for the next scheduled check
+      if (err.status && !isRetryableStatus(err.status)) {
+        clearPendingUpdate(domainStateKey(entry.name));
+        return null;
+      }
+      const deferred = deferUpdate(entry.name, ips, err);
+      daemonLog(`${chalk.bold(entry.name)} ${gray(`nuovo tentativo dopo ${formatTime(deferred.nextAttemptAt)}`)}`,
+        "deferred", { domain: entry.name, ...deferred });
+      return Date.parse(deferred.nextAttemptAt) - Date.now();
+    }
+  };
+
+  // At least a second between checks; a delay that is not a number falls back to the default interval
+  const nextCheckDelay = (entry, retryIn) => {
+    const delay = retryIn === null ? entry.interval * 1000 : Math.min(retryIn, entry.interval * 1000);
+    return Number.isFinite(delay) ? Math.max(delay, 1000) : DEFAULT_DAEMON_INTERVAL * 1000;
+  };
+
+  // Each domain runs on its own timer; the next check is scheduled only after the previous one ends.
+  // A pending update is retried at its own (shorter) backoff instead of waiting a full interval.
+  // A reload bumps the generation: checks started under an older one hand over to the new entry.
+  const timers = new Map();
+  const running = new Map();
+  let generation = 0;
+  let stopping = false;
+
+  const schedule = (entry, gen) => {
+    if (stopping || gen !== generation || running.has(entry.name)) return running.get(entry.name);
+
+    const run = check(entry).catch(err => {
+      daemonLog(`${chalk.bold(entry.name)} ${red('Errore:')} ${err.message}`, "error", { domain: entry.name }, err);
+      return null;
+    });
+    running.set(entry.name, run);
+
+    return run.then(retryIn => {
+      running.delete(entry.name);
+      if (stopping) return;
+      if (gen !== generation) {
+        const fresh = domains.find(d => d.name === entry.name);
+        if (fresh) schedule(fresh, generation);
+        return;
+      }
+      timers.set(entry.name, setTimeout(() => schedule(entry, gen), nextCheckDelay(entry, retryIn)));
+    });
+  };
+
+  const scheduleAll = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    return Promise.all(domains.map(entry => schedule(entry, generation)));
   };
 
-  // Initial update
-  await update();
+  // SIGTERM/SIGINT: stop scheduling, let in-flight updates finish (30s at most), then exit
+  const shutdown = async (signal) => {
+    if (stopping) {
+      daemonLog(red(`${signal} ricevuto di nuovo, uscita immediata`), "stopped", { signal, forced: true });
+      process.exit(1);
+    }
+    stopping = true;
+    timers.forEach(timer => clearTimeout(timer));
+    healthServer?.close();
+    daemonLog(gray(`${signal} ricevuto, attendo ${running.size} aggiornamenti in corso...`), "stopping", { signal, running: running.size });
+    await Promise.race([
+      Promise.allSettled(running.values()),
+      new Promise(resolve => setTimeout(resolve, 30000))
+    ]);
+    daemonLog(gray("Daemon terminato"), "stopped", { signal, forced: false });
+    process.exit(0);
+  };
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+
+  // Not available on Windows
+  if (process.platform !== "win32") {
+    // SIGHUP: re-read config.json and the daemon config; keep the old setup if the new one is invalid
+    process.on("SIGHUP", async () => {
+      if (stopping) return;
+      try {
+        config = await unlockConfig(loadConfig());
+        ({ daemonConfig, domains, ipSettings } = loadDaemonSetup());
+      } catch (err) {
+        daemonLog(`${red('Ricarica configurazione fallita:')} ${err.message}`, "reload_failed", null, err);
+        return;
+      }
+      lookup = { at: 0 };
+      generation++;
+      daemonLog(cyan(`Configurazione ricaricata (${domains.length} domini)`), "reloaded", { domains: domains.map(d => d.name) });
+      scheduleAll();
+    });
 
-  // Schedule updates
-  setInterval(update, daemonInterval * 1000);
+    // SIGUSR1: check every domain now instead of waiting for its timer
+    process.on("SIGUSR1", () => {
+      if (stopping) return;
+      daemonLog(cyan("Controllo immediato richiesto"), "check_requested");
+      lookup = { at: 0 };
+      scheduleAll();
+    });
+  }
+
+  await scheduleAll();
+};
+
+// ==================== PROFILES ====================
+
+const profileLabel = (name) => name === DEFAULT_PROFILE ? "" : ` (profilo ${name})`;
+
+const requireProfileName = (action) => {
+  if (!profileNameArg) throw usageError(`Uso: profile ${action} <nome>`);
+  try {
+    return validateProfileName(profileNameArg);
+  } catch (err) {
+    throw usageError(err.message);
+  }
+};
+
+const showProfilesList = () => {
+  const file = readConfigFile();
+  const profiles = profileNames(file).map(name => {
+    const settings = getProfile(file, name);
+    return {
+      name,
+      active: name === activeProfile,
+      credentials: credentialType(settings),
+      domain: settings.domain || null,
+      apiUrl: settings.apiUrl || null
+    };
+  });
+  if (jsonOutput({ profiles, active: activeProfile, count: profiles.length })) return;
+
+  const credentialLabels = { apiKey: "API key", jwt: "Login", token: "Token CLI" };
+  const table = new Table({
+    head: ['', orange.bold('PROFILO'), cyan('CREDENZIALI'), gray('DOMINIO'), gray('API')],
+    style: { head: [], border: ['gray'] }
+  });
+  profiles.forEach(p => table.push([
+    p.active ? green('●') : '',
+    p.active ? chalk.bold(p.name) : p.name,
+    p.credentials ? credentialLabels[p.credentials] : gray('nessuna'),
+    p.domain || gray('—'),
+    p.apiUrl || gray('predefinita')
+  ]));
+
+  console.log(`\n👤 ${chalk.bold('Profili')} (${profiles.length})\n`);
+  console.log(table.toString());
+  console.log(gray(`\n   Attivo: ${activeProfile}. Cambia con: apertodns profile use <nome>\n`));
+};
+
+// New profile from the options on the command line; credentials usually come later with --setup --profile
+const addProfile = async (name) => {
+  if (hasProfile(readConfigFile(), name)) throw usageError(`Il profilo "${name}" esiste già`);
+
+  const apiUrlOption = getOption("--api-url");
+  if (apiUrlOption && !parseApiUrl(apiUrlOption)) throw usageError(`URL API non valido: "${apiUrlOption}"`);
+  const settings = {
+    ...(apiUrlOption && { apiUrl: parseApiUrl(apiUrlOption) }),
+    ...(useApiKey && { apiKey: useApiKey }),
+    ...(getOption("--domain") && { domain: getOption("--domain") }),
+    ...(ipFamilyArg && { family: resolveIpFamily() }),
+    ...(ipSourcesArg.length && { ipSources: ipSourcesArg }),
+    ...(ipQuorumArg && { ipQuorum: ipQuorumArg })
+  };
+  await updateConfigFile(file => setProfile(file, name, settings));
+
+  if (jsonOutput({ profile: name, credentials: credentialType(settings), settings: Object.keys(settings) })) return;
+  console.log(green(`\n✅ Profilo "${name}" creato`));
+  if (!credentialType(settings)) console.log(gray(`   Accedi con: apertodns --setup --profile ${name}`));
+  console.log(gray(`   Usalo con: --profile ${name}, APERTODNS_PROFILE=${name} o apertodns profile use ${name}\n`));
+};
+
+const runProfileCommand = async (action) => {
+  if (!["list", "use", "add", "remove"].includes(action)) {
+    throw usageError(`Azione non valida: "${action}" (usa list, use, add o remove)`);
+  }
+  if (action === "list") return showProfilesList();
+
+  const name = requireProfileName(action);
+  if (action === "add") return addProfile(name);
+
+  if (!hasProfile(readConfigFile(), name)) throw cliError(`Profilo "${name}" non trovato`, EXIT.NOT_FOUND);
+  if (action === "use") {
+    await updateConfigFile(file => setActiveProfile(file, name));
+    if (!jsonOutput({ active: name })) console.log(green(`\n✅ Profilo attivo: ${name}\n`));
+    return;
+  }
+
+  try {
+    await updateConfigFile(file => removeProfile(file, name));
+  } catch (err) {
+    if (err.exitCode) throw err;
+    throw usageError(err.message);
+  }
+  if (!jsonOutput({ removed: name })) console.log(green(`\n✅ Profilo "${name}" rimosso\n`));
+};
+
+// ==================== CONFIG ENCRYPTION ====================
+
+const encryptConfig = async () => {
+  if (readConfigFile().encryption) throw usageError("Le credenziali sono già cifrate (usa config decrypt per tornare in chiaro)");
+
+  let key;
+  let encryption;
+  if (args.includes("--keyring")) {
+    if (!keyringAvailable()) throw usageError("Secret Service non disponibile: servono secret-tool (libsecret) e una sessione D-Bus");
+    key = randomKey();
+    try {
+      keyringStore(key);
+    } catch (err) {
+      throw cliError(err.message);
+    }
+    encryption = newEncryption("keyring", key);
+  } else {
+    const salt = newSalt();
+    key = deriveKey(await readPassphrase({ confirm: true }), salt);
+    encryption = newEncryption("passphrase", key, salt);
+  }
+
+  configKey = key;
+  await updateConfigFile(file => ({ ...file, encryption }));
+  if (jsonOutput({ encrypted: true, method: encryption.method })) return;
+  console.log(green(`\n✅ Credenziali cifrate in ${CONFIG_PATH} (${encryption.method === "keyring" ? "chiave nel portachiavi" : "passphrase"})`));
+  if (encryption.method === "passphrase") {
+    console.log(gray("   Per cron, daemon e servizi imposta APERTODNS_PASSPHRASE o APERTODNS_PASSPHRASE_FILE\n"));
+  } else {
+    console.log();
+  }
+};
+
+const decryptConfig = async () => {
+  const { encryption } = readConfigFile();
+  if (!encryption) throw usageError("Le credenziali non sono cifrate");
+
+  const key = await unlockKey(encryption);
+  await updateConfigFile(file => {
+    const { encryption: removed, ...plain } = decryptSecrets(file, key);
+    return plain;
+  });
+  if (encryption.method === "keyring") keyringClear();
+  if (!jsonOutput({ encrypted: false, method: encryption.method })) {
+    console.log(green(`\n✅ Credenziali salvate in chiaro in ${CONFIG_PATH}\n`));
+  }
+};
+
+const runConfigCommand = (action) => {
+  if (action === "encrypt") return encryptConfig();
+  if (action === "decrypt") return decryptConfig();
+  throw usageError(`Azione non valida: "${action}" (usa encrypt o decrypt; --config modifica la configurazione)`);
 };
 
 // ==================== LOGOUT ====================
 
+// Remove the active profile's settings; the file goes away with its last profile
 const runLogout = async () => {
-  if (fs.existsSync(CONFIG_PATH)) {
+  const file = readConfigFile();
+  const settings = getProfile(file, activeProfile);
+  if (!settings || Object.keys(settings).length === 0) {
+    if (!jsonOutput({ removed: false, profile: activeProfile })) console.log(yellow(`\n⚠️  Nessuna configurazione trovata${profileLabel(activeProfile)}.\n`));
+    return;
+  }
+
+  if (profileNames(file).length === 1 && !file.activeProfile) {
     fs.unlinkSync(CONFIG_PATH);
-    if (showJson) {
-      console.log(JSON.stringify({ success: true, message: "Configurazione rimossa" }));
-    } else {
-      console.log(green("\n✅ Configurazione rimossa.\n"));
-    }
   } else {
-    if (showJson) {
-      console.log(JSON.stringify({ success: true, message: "Nessuna configurazione trovata" }));
-    } else {
-      console.log(yellow("\n⚠️  Nessuna configurazione trovata.\n"));
-    }
+    await updateConfigFile(current => setProfile(current, activeProfile, {}));
   }
+  if (!jsonOutput({ removed: true, profile: activeProfile })) console.log(green(`\n✅ Configurazione rimossa${profileLabel(activeProfile)}.\n`));
 };
 
 // ==================== INTERACTIVE MODE ====================
 
 const interactiveMode = async () => {
-  console.log(gray("  Premi Ctrl+C per uscire\n"));
+  const endpoint = API_URL !== DEFAULT_API_URL ? ` · ${API_URL}` : "";
+  console.log(gray(`  Profilo: ${chalk.bold(activeProfile)}${endpoint}  ·  Premi Ctrl+C per uscire\n`));
 
   while (true) {
     const { action } = await inquirer.prompt([{
@@ -1904,7 +3670,7 @@ const interactiveMode = async () => {
       case "test-dns": await testDnsResolution(); break;
       case "tokens": await showTokensList(); break;
       case "toggle-token":
-        const tokens = await fetchTokens();
+        const tokens = await fetchTokens().catch(() => []);
         if (tokens.length === 0) {
           console.log(yellow("Nessun token disponibile."));
           break;
@@ -1941,47 +3707,262 @@ const interactiveMode = async () => {
   }
 };
 
+// ==================== SYSTEM SERVICE ====================
+
+// Daemon options forwarded from the install command line to the service
+const DAEMON_FORWARDED_OPTIONS = ["--interval", "--health-listen", "--drift-check", "--family", "--ip-source", "--ip-quorum", "--api-url", "--profile"];
+
+
+// The service does not inherit the shell environment: carry over the profile, endpoint and proxy settings
+// Secrets are passed as file paths only, never as values written into the unit
+const serviceEnv = () => Object.fromEntries(["APERTODNS_PROFILE", "APERTODNS_API_URL", "APERTODNS_API_KEY_FILE", "APERTODNS_PASSPHRASE_FILE", "HTTPS_PROXY", "HTTP_PROXY", "NO_PROXY", "NODE_EXTRA_CA_CERTS"]
+  .map(name => [name, process.env[name] || process.env[name.toLowerCase()]])
+  .filter(([, value]) => value));
+
+// A system service running as another user (--run-as, or the user behind sudo) must use that
+// user's config directory. When it is not the one this command reads, refuse instead of writing
+// a unit that points the user at root's files; an explicit APERTODNS_CONFIG_DIR is used as given.
+const checkServiceConfigDir = (user) => {
+  if (!user || process.env.APERTODNS_CONFIG_DIR || user === os.userInfo().username) return;
+  const home = homeDirOf(user);
+  const userDir = home ? configDirIn(home) : null;
+  if (userDir === CONFIG_DIR) return;
+  throw usageError(home
+    ? `Il servizio gira come ${user}, che usa ${userDir}, ma questa configurazione è in ${CONFIG_DIR}. ` +
+      `Esegui: sudo APERTODNS_CONFIG_DIR=${userDir} apertodns service install ... (la directory deve essere leggibile da ${user})`
+    : `Utente "${user}" non trovato: controlla --run-as, oppure imposta APERTODNS_CONFIG_DIR con la directory di configurazione del servizio`);
+};
+
+const serviceDefinition = () => {
+  const initOption = getOption("--init");
+  if (initOption && !["systemd", "openrc"].includes(initOption)) {
+    throw usageError(`--init non valido: "${initOption}" (usa systemd o openrc)`);
+  }
+  const init = initOption || detectInitSystem() || "systemd";
+  const isRoot = process.getuid?.() === 0;
+  const scope = init === "openrc" || args.includes("--system") ? "system"
+    : args.includes("--user") ? "user"
+    : isRoot ? "system" : "user";
+
+  const daemonArgs = ["--daemon", "--quiet"];
+  if (daemonConfigPath) daemonArgs.push("--daemon-config", path.resolve(daemonConfigPath));
+  for (const option of DAEMON_FORWARDED_OPTIONS) {
+    getOptions(option).forEach(value => daemonArgs.push(option, value));
+  }
+  if (caFile) daemonArgs.push("--ca-file", path.resolve(caFile));
+  if (getOption("--api-key-file")) daemonArgs.push("--api-key-file", path.resolve(getOption("--api-key-file")));
+
+  const user = scope === "system" ? getOption("--run-as") || process.env.SUDO_USER || null : null;
+  // Removing or inspecting the service does not depend on where the config lives
+  if (serviceAction === "install" || args.includes("--print")) checkServiceConfigDir(user);
+
+  const definition = {
+    init,
+    scope,
+    command: [process.execPath, fileURLToPath(import.meta.url), ...daemonArgs],
+    env: { APERTODNS_CONFIG_DIR: CONFIG_DIR, ...serviceEnv() },
+    user,
+    writablePaths: [CONFIG_DIR]
+  };
+  definition.path = init === "openrc" ? openRcScriptPath() : systemdUnitPath(scope);
+  definition.content = init === "openrc" ? buildOpenRcScript(definition) : buildSystemdUnit(definition);
+  return definition;
+};
+
+// Run an init-system tool; returns { ok, output } instead of throwing
+const runInitTool = (command, commandArgs) => {
+  try {
+    return { ok: true, output: execFileSync(command, commandArgs, { encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] }).trim() };
+  } catch (err) {
+    return { ok: false, output: (err.stdout || err.stderr || err.message).toString().trim() };
+  }
+};
+
+const systemctl = (scope, ...commandArgs) => runInitTool("systemctl", scope === "user" ? ["--user", ...commandArgs] : commandArgs);
+
+const installService = (definition) => {
+  if (process.platform !== "linux") throw new Error("I servizi sono supportati solo su Linux (usa --print per generare la unit)");
+  if (definition.scope === "system" && process.getuid?.() !== 0) {
+    throw new Error("Servono i permessi di root per un servizio di sistema (usa sudo, oppure --user)");
+  }
+
+  // Refuse to install a daemon with nothing to update
+  loadDaemonSetup();
+
+  fs.mkdirSync(path.dirname(definition.path), { recursive: true });
+  fs.writeFileSync(definition.path, definition.content, { mode: definition.init === "openrc" ? 0o755 : 0o644 });
+
+  const steps = definition.init === "openrc"
+    ? [runInitTool("rc-update", ["add", SERVICE_NAME, "default"]), runInitTool("rc-service", [SERVICE_NAME, "restart"])]
+    : [systemctl(definition.scope, "daemon-reload"), systemctl(definition.scope, "enable", "--now", SERVICE_NAME)];
+  const failed = steps.find(step => !step.ok);
+
+  return { installed: true, started: !failed, error: failed?.output || null };
+};
+
+const uninstallService = (definition) => {
+  if (!fs.existsSync(definition.path)) throw cliError(`Servizio non installato (${definition.path} non trovato)`, EXIT.NOT_FOUND);
+
+  if (definition.init === "openrc") {
+    runInitTool("rc-service", [SERVICE_NAME, "stop"]);
+    runInitTool("rc-update", ["del", SERVICE_NAME, "default"]);
+    fs.unlinkSync(definition.path);
+  } else {
+    systemctl(definition.scope, "disable", "--now", SERVICE_NAME);
+    fs.unlinkSync(definition.path);
+    systemctl(definition.scope, "daemon-reload");
+  }
+  return { installed: false };
+};
+
+const serviceStatus = (definition) => {
+  const installed = fs.existsSync(definition.path);
+  if (!installed) return { installed, enabled: false, active: false, state: "not-installed" };
+
+  if (definition.init === "openrc") {
+    const status = runInitTool("rc-service", [SERVICE_NAME, "status"]);
+    const enabled = runInitTool("rc-update", ["show", "default"]).output.split("\n").some(line => line.trim().startsWith(`${SERVICE_NAME} `));
+    return { installed, enabled, active: status.ok, state: status.output.replace(/^\s*\*\s*status:\s*/i, "") || "unknown" };
+  }
+
+  const active = systemctl(definition.scope, "is-active", SERVICE_NAME);
+  const enabled = systemctl(definition.scope, "is-enabled", SERVICE_NAME);
+  return { installed, enabled: enabled.ok, active: active.ok, state: active.output || "unknown" };
+};
+
+const runServiceCommand = async (action) => {
+  if (!["install", "uninstall", "status"].includes(action)) {
+    throw usageError(`Azione non valida: "${action}" (usa install, uninstall o status)`);
+  }
+
+  const definition = serviceDefinition();
+
+  if (args.includes("--print")) {
+    process.stdout.write(definition.content);
+    return;
+  }
+
+  const result = action === "install" ? installService(definition)
+    : action === "uninstall" ? uninstallService(definition)
+    : serviceStatus(definition);
+  const summary = { action, init: definition.init, scope: definition.scope, path: definition.path, ...result };
+  const failure = result.error ? cliError(result.error)
+    : !result.installed && action === "status" ? cliError("Servizio non installato", EXIT.NOT_FOUND)
+    : null;
+  if (jsonResult(summary, failure)) return;
+
+  const where = `${definition.init}${definition.init === "systemd" ? ` (${definition.scope === "user" ? "utente" : "sistema"})` : ""}`;
+  const userFlag = definition.scope === "user" ? " --user" : "";
+
+  if (action === "install") {
+    console.log(green(`\n✅ Servizio installato: ${definition.path}`) + gray(` [${where}]`));
+    if (result.error) {
+      console.log(yellow(`⚠️  Avvio non riuscito: ${result.error}`));
+    } else {
+      console.log(green("   Servizio abilitato e avviato"));
+    }
+    if (definition.init === "systemd") {
+      console.log(gray(`\n   Log:     journalctl${userFlag} -u ${SERVICE_NAME} -f`));
+      console.log(gray(`   Reload:  systemctl${userFlag} reload ${SERVICE_NAME}`));
+    }
+    if (definition.scope === "user") {
+      console.log(yellow(`\n   Per tenerlo attivo dopo il logout: loginctl enable-linger ${os.userInfo().username}`));
+    }
+    console.log();
+  } else if (action === "uninstall") {
+    console.log(green(`\n✅ Servizio rimosso: ${definition.path}`) + gray(` [${where}]\n`));
+  } else {
+    console.log(`\n${chalk.bold("Servizio")} ${SERVICE_NAME} ${gray(`[${where}]`)}`);
+    console.log(`   File:       ${result.installed ? definition.path : gray("non installato")}`);
+    if (result.installed) {
+      console.log(`   Abilitato:  ${result.enabled ? green("sì") : gray("no")}`);
+      console.log(`   Stato:      ${result.active ? green(result.state) : yellow(result.state)}`);
+    }
+    console.log();
+  }
+};
+
 // ==================== MAIN ====================
 
+// Re-login needs a person at a terminal; --cron and --json fail with AUTH_EXPIRED instead
+const canRelogin = () => process.stdin.isTTY && process.stdout.isTTY && !showJson && !isCron && !runDaemon;
+
+const dispatch = async () => {
+  if (logout) await runCommand("logout", () => runLogout());
+  else if (runLogin) await runCommand("login", () => loginCommand());
+  else if (runStandaloneUpdate) await runCommand("update.standalone", () => standaloneUpdate(standaloneDomain, standaloneToken, standaloneIp));
+  else if (txtSetArgs) await runCommand("txt.set", () => setTxtRecord(txtSetArgs.hostname, txtSetArgs.name, txtSetArgs.value));
+  else if (txtDeleteArgs) await runCommand("txt.delete", () => deleteTxtRecord(txtDeleteArgs.hostname, txtDeleteArgs.name, txtDeleteArgs.value));
+  else if (showMyIp) await runCommand("ip", () => showMyIpCommand());
+  else if (runDaemon) await runCommand("daemon", () => runDaemonMode());
+  else if (serviceAction) await runCommand(`service.${serviceAction}`, () => runServiceCommand(serviceAction));
+  else if (enableTokenId) await runCommand("tokens.enable", () => updateTokenState(enableTokenId, true));
+  else if (disableTokenId) await runCommand("tokens.disable", () => updateTokenState(disableTokenId, false));
+  else if (toggleTokenId) await runCommand("tokens.toggle", () => updateTokenState(toggleTokenId, null));
+  else if (showDashboard) await runCommand("dashboard", () => showDashboardCommand());
+  else if (listDomains) await runCommand("domains.list", () => showDomainsList());
+  else if (addDomainArg) await runCommand("domains.add", () => addDomain(addDomainArg));
+  else if (deleteDomainArg) await runCommand("domains.delete", () => deleteDomain(deleteDomainArg));
+  else if (updateDomainArg) await runCommand("domains.update", () => updateSingleDomain(updateDomainArg));
+  else if (testDns) await runCommand("test", () => testDnsResolution(testDns));
+  else if (propagationName) await runCommand("propagation", () => propagationCommand(propagationName));
+  else if (certbotAction) await runCommand(subcommand, () => certbotHook(certbotAction));
+  else if (acmeAction !== null) await runCommand(acmeAction ? `acme.${acmeAction}` : "acme", () => acmeCommand(acmeAction));
+  else if (txtAction) await runCommand(`txt.${txtAction}`, () => txtCommand(txtAction, txtHostArg));
+  else if (configAction !== null) await runCommand(configAction ? `config.${configAction}` : "config", () => runConfigCommand(configAction));
+  else if (profileAction) await runCommand(`profile.${profileAction}`, () => runProfileCommand(profileAction));
+  else if (recordsAction) await runCommand(`records.${recordsAction}`, () => recordsCommand(recordsAction, recordsHostArg));
+  else if (listTokens) await runCommand("tokens.list", () => showTokensList());
+  else if (showStats) await runCommand("stats", () => showStatsCommand());
+  else if (showLogs) await runCommand("logs", () => showLogsCommand());
+  else if (listWebhooks) await runCommand("webhooks", () => showWebhooksList());
+  else if (listApiKeys) await runCommand("api-keys.list", () => showApiKeysList());
+  else if (createApiKeyArg) await runCommand("api-keys.create", () => createApiKey(createApiKeyArg));
+  else if (deleteApiKeyArg) await runCommand("api-keys.delete", () => deleteApiKey(deleteApiKeyArg));
+  else if (showScopes) await runCommand("scopes", () => showScopesCommand());
+  else if (runSetup) await runCommand("setup", () => setup());
+  else if (runVerify) await runCommand("verify", () => verifyToken());
+  else if (showStatus) await runCommand("status", () => showCurrentStatus());
+  else if (runConfigEdit) await runCommand("config", () => editConfig());
+  else if (runInteractive) await runCommand("interactive", () => interactiveMode());
+  else if (subcommand) throw usageError(`Comando sconosciuto: "${subcommand}" (vedi --help)`);
+  else await runCommand("update", () => runUpdate());
+};
+
 const main = async () => {
   try {
-    if (logout) await runLogout();
-    else if (txtSetArgs) await setTxtRecord(txtSetArgs.hostname, txtSetArgs.name, txtSetArgs.value);
-    else if (txtDeleteArgs) await deleteTxtRecord(txtDeleteArgs.hostname, txtDeleteArgs.name, txtDeleteArgs.value);
-    else if (showMyIp) await showMyIpCommand();
-    else if (runDaemon) await runDaemonMode();
-    else if (enableTokenId) await updateTokenState(enableTokenId, true);
-    else if (disableTokenId) await updateTokenState(disableTokenId, false);
-    else if (toggleTokenId) await updateTokenState(toggleTokenId, null);
-    else if (showDashboard) await showDashboardCommand();
-    else if (listDomains) await showDomainsList();
-    else if (addDomainArg) await addDomain(addDomainArg);
-    else if (deleteDomainArg) await deleteDomain(deleteDomainArg);
-    else if (updateDomainArg) await updateSingleDomain(updateDomainArg);
-    else if (testDns) await testDnsResolution(testDns);
-    else if (listTokens) await showTokensList();
-    else if (showStats) await showStatsCommand();
-    else if (showLogs) await showLogsCommand();
-    else if (listWebhooks) await showWebhooksList();
-    else if (listApiKeys) await showApiKeysList();
-    else if (createApiKeyArg) await createApiKey(createApiKeyArg);
-    else if (deleteApiKeyArg) await deleteApiKey(deleteApiKeyArg);
-    else if (showScopes) await showScopesCommand();
-    else if (runSetup) await setup();
-    else if (runVerify) await verifyToken();
-    else if (showStatus) await showCurrentStatus();
-    else if (runConfigEdit) await editConfig();
-    else if (runInteractive) await interactiveMode();
-    else await runUpdate();
-  } catch (err) {
-    if (err.message !== 'User force closed the prompt') {
-      if (showJson) {
-        console.log(JSON.stringify({ error: err.message }));
-      } else {
-        console.error(red("\n❌ Errore:"), err.message);
+    if (!API_URL) throw usageError(`URL API non valido: "${apiUrlSetting}" (es. https://api.example.com)`);
+    // --setup creates the profile it logs into; everything else needs an existing one
+    if (!hasProfile(readConfigFile(), activeProfile) && !runSetup && !runLogin && !profileAction) {
+      throw usageError(`Profilo "${activeProfile}" non trovato (vedi apertodns profile list)`);
+    }
+    if (secretFileError) throw secretFileError;
+    if (optionError) throw optionError;
+    // Commands that never read the active profile's credentials do not ask for the key
+    if (!logout && !runLogin && !runStandaloneUpdate && !showMyIp && !profileAction && configAction === null) config = await unlockConfig(config);
+    if (!isQuiet && !isCron && !showJson) showLoginExpiryWarning();
+
+    try {
+      await dispatch();
+    } catch (err) {
+      if (exitCodeFor(explainAuthError(err)) !== EXIT.AUTH_EXPIRED || !canRelogin()) throw err;
+      process.exitCode = EXIT.AUTH_EXPIRED;
+    }
+    // An expired login, reported by the command or thrown, gets one interactive re-login and retry
+    if (process.exitCode === EXIT.AUTH_EXPIRED) {
+      if (canRelogin() && await relogin()) {
+        process.exitCode = undefined;
+        await dispatch();
+      } else if (!showJson) {
+        console.error(yellow(`\n${loginExpiredError().message}`));
       }
     }
-    process.exit(1);
+  } catch (rawErr) {
+    const err = explainAuthError(rawErr);
+    if (err.message !== 'User force closed the prompt' && !jsonError(err)) {
+      console.error(red("\n❌ Errore:"), err.message);
+    }
+    process.exit(exitCodeFor(err));
   }
 };
 
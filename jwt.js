@@ -0,0 +1,31 @@
+// Expiry of the login JWT saved by --setup. The signature is not checked: the server does that,
+// the CLI only reads "exp" to warn before the login runs out and to explain a 401.
+
+// Payload of a JWT, or null for anything else (API keys, CLI tokens)
+export const decodeJwt = (token) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf-8"));
+    return payload && typeof payload === "object" ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+// Expiry as a Date, or null when the token has no "exp"
+export const jwtExpiry = (token) => {
+  const exp = decodeJwt(token)?.exp;
+  return Number.isFinite(exp) ? new Date(exp * 1000) : null;
+};
+
+export const isJwtExpired = (token, now = Date.now()) => {
+  const expiry = jwtExpiry(token);
+  return expiry !== null && expiry.getTime() <= now;
+};
+
+// Expired, or expiring within the next `within` ms
+export const jwtExpiresWithin = (token, within, now = Date.now()) => {
+  const expiry = jwtExpiry(token);
+  return expiry !== null && expiry.getTime() - now <= within;
+};
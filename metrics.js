@@ -0,0 +1,119 @@
+import http from "http";
+
+// Minimal Prometheus registry (text exposition format 0.0.4) and the daemon's
+// local health endpoint: /healthz, /status and /metrics.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+};
+
+export const createMetrics = () => {
+  const metrics = new Map();
+
+  const define = (name, type, help, extra = {}) => {
+    if (!metrics.has(name)) metrics.set(name, { name, type, help, series: new Map(), ...extra });
+    return metrics.get(name);
+  };
+
+  const series = (metric, labels, init) => {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+    return metric.series.get(key);
+  };
+
+  return {
+    counter: (name, help) => {
+      const metric = define(name, "counter", help);
+      return {
+        inc: (labels = {}, value = 1) => { series(metric, labels, () => ({ value: 0 })).value += value; }
+      };
+    },
+
+    gauge: (name, help) => {
+      const metric = define(name, "gauge", help);
+      return {
+        set: (labels = {}, value) => { series(metric, labels, () => ({ value: 0 })).value = value; }
+      };
+    },
+
+    histogram: (name, help, buckets = DEFAULT_BUCKETS) => {
+      const metric = define(name, "histogram", help, { buckets });
+      return {
+        observe: (labels = {}, value) => {
+          const s = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, i) => { if (value <= bound) s.counts[i]++; });
+          s.sum += value;
+          s.count++;
+        }
+      };
+    },
+
+    render: () => {
+      const lines = [];
+      for (const metric of metrics.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const s of metric.series.values()) {
+          if (metric.type !== "histogram") {
+            lines.push(`${metric.name}${formatLabels(s.labels)} ${s.value}`);
+            continue;
+          }
+          metric.buckets.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+      }
+      return lines.join("\n") + "\n";
+    }
+  };
+};
+
+// "9477", ":9477", "0.0.0.0:9477" or "[::1]:9477" → { host, port }; loopback unless a host is given
+export const parseListenAddress = (value) => {
+  const match = String(value).match(/^(?:\[?([^\]]*?)\]?:)?(\d+)$/);
+  if (!match) throw new Error(`Invalid listen address "${value}"`);
+  return { host: match[1] || "127.0.0.1", port: parseInt(match[2]) };
+};
+
+// getHealth() → { healthy, ... }, getStatus() → object; both serialized as JSON
+export const startHealthServer = ({ host, port, metrics, getHealth, getStatus }) => new Promise((resolve, reject) => {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      return res.end();
+    }
+
+    const json = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body, null, 2));
+    };
+
+    switch (url.pathname) {
+      case "/healthz": {
+        const health = getHealth();
+        return json(health.healthy ? 200 : 503, health);
+      }
+      case "/status":
+        return json(200, getStatus());
+      case "/metrics":
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+        return res.end(metrics.render());
+      default:
+        return json(404, { error: "Not found" });
+    }
+  });
+
+  server.once("error", reject);
+  server.listen(port, host, () => resolve(server));
+});
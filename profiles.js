@@ -0,0 +1,65 @@
+// Named profiles inside config.json. The top-level fields are the "default" profile, so a
+// config written before profiles existed keeps working unchanged:
+//   { "jwtToken": "...", "domain": "...",
+//     "activeProfile": "work",
+//     "profiles": { "work": { "apiKey": "...", "apiUrl": "...", "domain": "..." } } }
+
+export const DEFAULT_PROFILE = "default";
+
+const PROFILE_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+export const validateProfileName = (name) => {
+  if (!name || !PROFILE_NAME_REGEX.test(name)) {
+    throw new Error(`Profile name "${name || ""}" is not valid (letters, digits, "-" and "_", up to 32 characters)`);
+  }
+  return name;
+};
+
+// Top-level fields that belong to the file, not to the default profile
+const FILE_FIELDS = ["activeProfile", "profiles", "encryption"];
+
+export const profileNames = (file) => [DEFAULT_PROFILE, ...Object.keys(file.profiles || {})];
+
+export const hasProfile = (file, name) => name === DEFAULT_PROFILE || Object.hasOwn(file.profiles || {}, name);
+
+// Settings of one profile, or null when it does not exist
+export const getProfile = (file, name) => {
+  if (name === DEFAULT_PROFILE) {
+    return Object.fromEntries(Object.entries(file).filter(([key]) => !FILE_FIELDS.includes(key)));
+  }
+  return file.profiles?.[name] ?? null;
+};
+
+// A new file object with the profile replaced by settings
+export const setProfile = (file, name, settings) => {
+  if (name === DEFAULT_PROFILE) {
+    const kept = Object.fromEntries(FILE_FIELDS.filter(key => file[key] !== undefined).map(key => [key, file[key]]));
+    return { ...settings, ...kept };
+  }
+  return { ...file, profiles: { ...file.profiles, [name]: settings } };
+};
+
+// A new file object without the profile; the active profile falls back to the default one
+export const removeProfile = (file, name) => {
+  if (name === DEFAULT_PROFILE) throw new Error(`The ${DEFAULT_PROFILE} profile cannot be removed`);
+  const { [name]: removed, ...profiles } = file.profiles || {};
+  const next = { ...file, profiles };
+  if (Object.keys(profiles).length === 0) delete next.profiles;
+  if (next.activeProfile === name) delete next.activeProfile;
+  return next;
+};
+
+// A new file object with name as the profile used when neither --profile nor APERTODNS_PROFILE is set
+export const setActiveProfile = (file, name) => {
+  const next = { ...file, activeProfile: name };
+  if (name === DEFAULT_PROFILE) delete next.activeProfile;
+  return next;
+};
+
+// Which kind of credential a profile holds, for listings
+export const credentialType = (settings) => {
+  if (settings?.apiKey) return "apiKey";
+  if (settings?.jwtToken) return "jwt";
+  if (settings?.cliToken || settings?.apiToken) return "token";
+  return null;
+};
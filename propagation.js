@@ -0,0 +1,107 @@
+import { expandServerSpec, newResolver, queryRecord } from "./resolver.js";
+import { parseIPv6 } from "./address.js";
+
+// Poll a set of resolvers until enough of them publish an expected record value.
+
+export const DEFAULT_PROPAGATION_RESOLVERS = ["8.8.8.8", "1.1.1.1", "9.9.9.9", "authoritative"];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Addresses compare in canonical form, host names without case or trailing dot, TXT verbatim
+const normalizeValue = (type, value) => {
+  if (type === "AAAA") return parseIPv6(value)?.join(":") ?? value;
+  if (["CNAME", "MX"].includes(type)) return value.toLowerCase().replace(/\.$/, "");
+  return value;
+};
+
+// Matches needed to call a record propagated: "all" counts only the usable resolvers,
+// a number is capped at the resolvers queried
+export const requiredMatches = (quorum, total, unavailable = 0) =>
+  quorum === "all" ? total - unavailable : Math.min(Number(quorum), total);
+
+// quorum: number of resolvers that must match, or "all".
+// onProgress(report) is called after every polling round with the report so far.
+export const waitForPropagation = async ({
+  name, type, expect, resolvers = DEFAULT_PROPAGATION_RESOLVERS, quorum = "all", timeout = 300, interval = 5, onProgress
+}) => {
+  const started = Date.now();
+  const deadline = started + timeout * 1000;
+  const expected = normalizeValue(type, expect);
+
+  const targets = (await Promise.all(resolvers.map(spec =>
+    expandServerSpec(spec, name).catch(err => [{ label: spec, servers: [], error: err.message }])
+  ))).flat();
+
+  const states = targets.map(target => {
+    const state = {
+      resolver: target.label,
+      servers: target.servers,
+      matched: false,
+      matchedAt: null,
+      values: [],
+      ttl: null,
+      time: null,
+      attempts: 0,
+      error: target.error || null
+    };
+    if (!state.error) {
+      try {
+        state.client = newResolver(target.servers);
+      } catch (err) {
+        state.error = err.message;
+      }
+    }
+    return state;
+  });
+
+  if (states.length === 0) throw new Error("no resolvers to query");
+  // A resolver that failed at setup (no nameservers found, bad address) can never match
+  const unavailable = states.filter(s => !s.client);
+  if (unavailable.length === states.length) {
+    throw new Error(`no usable resolvers (${unavailable.map(s => `${s.resolver}: ${s.error}`).join(", ")})`);
+  }
+  const needed = requiredMatches(quorum, states.length, unavailable.length);
+
+  const report = (status) => ({
+    name,
+    type,
+    expect,
+    status,
+    propagated: status === "propagated",
+    quorum: needed,
+    matched: states.filter(s => s.matched).length,
+    total: states.length,
+    unavailable: unavailable.map(s => s.resolver),
+    elapsed: Math.round((Date.now() - started) / 1000),
+    resolvers: states.map(({ client, ...state }) => state),
+    timestamp: new Date().toISOString()
+  });
+
+  for (;;) {
+    // A resolver that has seen the value once stays matched
+    await Promise.all(states.filter(s => s.client && !s.matched).map(async (state) => {
+      const answer = await queryRecord(state.client, name, type);
+      state.attempts++;
+      state.values = answer.values;
+      state.ttl = answer.ttl;
+      state.time = answer.time;
+      state.error = answer.error;
+      if (answer.values.some(value => normalizeValue(type, value) === expected)) {
+        state.matched = true;
+        state.matchedAt = new Date().toISOString();
+      }
+    }));
+
+    const matched = states.filter(s => s.matched).length;
+    if (matched >= needed) {
+      onProgress?.(report("propagated"));
+      return report("propagated");
+    }
+    if (Date.now() + interval * 1000 > deadline) {
+      onProgress?.(report("timeout"));
+      return report("timeout");
+    }
+    onProgress?.(report("waiting"));
+    await sleep(interval * 1000);
+  }
+};
@@ -0,0 +1,98 @@
+// Client-side validation for the record types managed through the IETF update endpoint.
+// Values use zone-file presentation format:
+//   CNAME  <target>
+//   MX     <priority> <exchange>
+//   CAA    <flags> <tag> "<value>"
+//   SRV    <priority> <weight> <port> <target>
+
+export const MANAGED_RECORD_TYPES = ["CNAME", "MX", "CAA", "SRV"];
+
+const CAA_TAGS = ["issue", "issuewild", "iodef"];
+
+const HOSTNAME_REGEX = /^(?=.{1,253}$)([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*$/i;
+
+const isHostname = (value) => HOSTNAME_REGEX.test(value.replace(/\.$/, ""));
+
+const parseUint = (value, max, label) => {
+  if (!/^\d+$/.test(value) || Number(value) > max) throw new Error(`${label} must be an integer between 0 and ${max}`);
+  return Number(value);
+};
+
+const parseHost = (value, label) => {
+  if (!value || !isHostname(value)) throw new Error(`${label} "${value || ""}" is not a valid host name`);
+  return value.replace(/\.$/, "").toLowerCase();
+};
+
+// Record name relative to the hostname: "@" for the hostname itself, or labels below it
+export const validateRecordName = (name) => {
+  if (name === "@") return name;
+  if (!name || !isHostname(name)) throw new Error(`Record name "${name || ""}" is not valid (use @ or a relative name like www)`);
+  return name.toLowerCase();
+};
+
+const PARSERS = {
+  CNAME: (parts, name) => {
+    if (name === "@") throw new Error("A CNAME cannot be placed on the hostname itself (@)");
+    if (parts.length !== 1) throw new Error("CNAME value must be a single target host name");
+    return { target: parseHost(parts[0], "CNAME target") };
+  },
+
+  MX: (parts) => {
+    if (parts.length !== 2) throw new Error('MX value must be "<priority> <exchange>", e.g. "10 mail.example.com"');
+    const exchange = parts[1] === "." ? "." : parseHost(parts[1], "MX exchange");
+    return { priority: parseUint(parts[0], 65535, "MX priority"), exchange };
+  },
+
+  CAA: (parts) => {
+    if (parts.length < 3) throw new Error('CAA value must be "<flags> <tag> <value>", e.g. "0 issue letsencrypt.org"');
+    const flags = parseUint(parts[0], 255, "CAA flags");
+    const tag = parts[1].toLowerCase();
+    if (!CAA_TAGS.includes(tag)) throw new Error(`CAA tag "${parts[1]}" is not supported (use ${CAA_TAGS.join(", ")})`);
+    const value = parts.slice(2).join(" ").replace(/^"(.*)"$/, "$1");
+
+    if (tag === "iodef") {
+      if (!/^(mailto:[^@\s]+@[^@\s]+|https?:\/\/\S+)$/.test(value)) throw new Error("CAA iodef value must be a mailto: or http(s): URL");
+    } else {
+      // "letsencrypt.org", "letsencrypt.org; accounturi=...", or ";" to forbid issuance
+      const issuer = value.split(";")[0].trim();
+      if (issuer && !isHostname(issuer)) throw new Error(`CAA issuer "${issuer}" is not a valid domain`);
+    }
+    return { flags, tag, value };
+  },
+
+  SRV: (parts, name) => {
+    if (!/^_[a-z0-9-]+\._(tcp|udp|tls|sctp)(\.|$)/i.test(name)) {
+      throw new Error('SRV record name must start with "_service._proto", e.g. _sip._tcp');
+    }
+    if (parts.length !== 4) throw new Error('SRV value must be "<priority> <weight> <port> <target>", e.g. "10 5 5060 sip.example.com"');
+    return {
+      priority: parseUint(parts[0], 65535, "SRV priority"),
+      weight: parseUint(parts[1], 65535, "SRV weight"),
+      port: parseUint(parts[2], 65535, "SRV port"),
+      target: parts[3] === "." ? "." : parseHost(parts[3], "SRV target")
+    };
+  }
+};
+
+// Presentation text for parsed fields, as sent in "value" and shown in tables
+export const formatRecordValue = (type, fields) => {
+  switch (type) {
+    case "CNAME": return fields.target;
+    case "MX": return `${fields.priority} ${fields.exchange}`;
+    case "CAA": return `${fields.flags} ${fields.tag} "${fields.value}"`;
+    case "SRV": return `${fields.priority} ${fields.weight} ${fields.port} ${fields.target}`;
+    default: return String(fields.value ?? "");
+  }
+};
+
+// type, relative name and presentation value → { type, name, value, fields }, or throws
+export const parseRecord = (type, name, value) => {
+  const recordType = String(type || "").toUpperCase();
+  if (!PARSERS[recordType]) throw new Error(`Record type "${type || ""}" is not supported (use ${MANAGED_RECORD_TYPES.join(", ")})`);
+  const recordName = validateRecordName(name);
+  const parts = String(value || "").trim().match(/"[^"]*"|\S+/g) || [];
+  if (parts.length === 0) throw new Error(`A value is required for ${recordType} records`);
+
+  const fields = PARSERS[recordType](parts, recordName);
+  return { type: recordType, name: recordName, value: formatRecordValue(recordType, fields), fields };
+};
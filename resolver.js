@@ -0,0 +1,137 @@
+import dns from "dns";
+
+// DNS lookups built on Node's resolver: per-type queries against any server, and lookups
+// straight against a zone's authoritative nameservers, bypassing resolver caches.
+
+const NS_CACHE_TTL = 60 * 60 * 1000;
+const nsCache = new Map();
+
+const NO_ANSWER = new Set(["ENODATA", "ENOTFOUND", "NXDOMAIN"]);
+
+export const RECORD_TYPES = ["A", "AAAA", "TXT", "CNAME", "MX", "CAA"];
+
+export const newResolver = (servers) => {
+  const resolver = new dns.promises.Resolver({ timeout: 3000, tries: 2 });
+  if (servers) resolver.setServers(servers);
+  return resolver;
+};
+
+// Walk up the name until a label has NS records: "home.apertodns.com" → apertodns.com's nameservers
+const findZoneNameservers = async (name) => {
+  const resolver = newResolver();
+  const labels = name.replace(/\.$/, "").split(".");
+
+  for (let i = 0; i < labels.length - 1; i++) {
+    const zone = labels.slice(i).join(".");
+    let hosts;
+    try {
+      hosts = await resolver.resolveNs(zone);
+    } catch (err) {
+      if (NO_ANSWER.has(err.code)) continue;
+      throw err;
+    }
+    if (hosts.length === 0) continue;
+
+    const nameservers = [];
+    for (const host of hosts) {
+      const hostAddresses = [];
+      for (const lookup of [resolver.resolve4.bind(resolver), resolver.resolve6.bind(resolver)]) {
+        try {
+          hostAddresses.push(...await lookup(host));
+        } catch {
+          // A nameserver without addresses of this family
+        }
+      }
+      if (hostAddresses.length) nameservers.push({ host, addresses: hostAddresses });
+    }
+    const addresses = nameservers.flatMap(ns => ns.addresses);
+    if (addresses.length) return { zone, hosts, addresses, nameservers };
+  }
+  throw new Error(`no authoritative nameservers found for ${name}`);
+};
+
+export const getAuthoritativeServers = async (name) => {
+  const key = name.toLowerCase();
+  const cached = nsCache.get(key);
+  if (cached && Date.now() - cached.at < NS_CACHE_TTL) return cached.servers;
+
+  const servers = await findZoneNameservers(key);
+  nsCache.set(key, { at: Date.now(), servers });
+  return servers;
+};
+
+// Addresses currently published for name ("A" or "AAAA"); [] when there is no such record
+export const resolveAuthoritative = async (name, rrtype) => {
+  const { addresses } = await getAuthoritativeServers(name);
+  const resolver = newResolver(addresses);
+  try {
+    return rrtype === "AAAA" ? await resolver.resolve6(name) : await resolver.resolve4(name);
+  } catch (err) {
+    if (NO_ANSWER.has(err.code)) return [];
+    throw err;
+  }
+};
+
+// ==================== RECORD QUERIES ====================
+
+const RESOLVE = {
+  A: (resolver, name) => resolver.resolve4(name, { ttl: true }),
+  AAAA: (resolver, name) => resolver.resolve6(name, { ttl: true }),
+  TXT: (resolver, name) => resolver.resolveTxt(name),
+  CNAME: (resolver, name) => resolver.resolveCname(name),
+  MX: (resolver, name) => resolver.resolveMx(name),
+  CAA: (resolver, name) => resolver.resolveCaa(name)
+};
+
+// Answer → presentation text (as in a zone file)
+const formatAnswer = (type, answer) => {
+  switch (type) {
+    case "A":
+    case "AAAA": return answer.address;
+    case "TXT": return answer.join("");
+    case "MX": return `${answer.priority} ${answer.exchange}`;
+    case "CAA": {
+      const tag = ["issue", "issuewild", "iodef", "contactemail", "contactphone"].find(t => t in answer);
+      return `${answer.critical} ${tag} "${answer[tag]}"`;
+    }
+    default: return String(answer);
+  }
+};
+
+// { values, ttl, time (ms), error }. Node only exposes TTLs for A and AAAA answers.
+// A missing name or record type is an empty answer, not an error.
+export const queryRecord = async (resolver, name, type) => {
+  const started = process.hrtime.bigint();
+  const elapsed = () => Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+  try {
+    const answers = await RESOLVE[type](resolver, name);
+    const ttls = answers.map(a => a.ttl).filter(ttl => ttl !== undefined);
+    return {
+      values: answers.map(a => formatAnswer(type, a)),
+      ttl: ttls.length ? Math.min(...ttls) : null,
+      time: elapsed(),
+      error: null
+    };
+  } catch (err) {
+    if (NO_ANSWER.has(err.code)) return { values: [], ttl: null, time: elapsed(), error: null };
+    return { values: [], ttl: null, time: elapsed(), error: err.code || err.message };
+  }
+};
+
+// "system", "authoritative" (or "auth"), or a server address with optional port
+// ("9.9.9.9", "9.9.9.9:5353", "[2620:fe::fe]:53") → { label, servers }
+export const resolveServerSpec = async (spec, name) => {
+  if (spec === "system") return { label: "system", servers: dns.getServers() };
+  if (spec === "authoritative" || spec === "auth") {
+    const { hosts, addresses } = await getAuthoritativeServers(name);
+    return { label: `authoritative (${hosts[0]})`, servers: addresses };
+  }
+  return { label: spec, servers: [spec] };
+};
+
+// Like resolveServerSpec, but "authoritative" becomes one entry per nameserver
+export const expandServerSpec = async (spec, name) => {
+  if (spec !== "authoritative" && spec !== "auth") return [await resolveServerSpec(spec, name)];
+  const { nameservers } = await getAuthoritativeServers(name);
+  return nameservers.map(ns => ({ label: ns.host, servers: ns.addresses }));
+};
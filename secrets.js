@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+
+// Credentials in config.json: owner-only file permissions, optional encryption at rest and
+// secrets mounted as files. Encrypted values replace the plain ones in place, so the rest of
+// the file (profiles, domains, API URL) stays readable without the key:
+//   { "jwtToken": "enc:v1:<iv>:<tag>:<data>",
+//     "encryption": { "method": "passphrase", "salt": "...", "check": "enc:v1:..." } }
+
+// Fields holding credentials, in the default profile and in every named one
+export const SECRET_FIELDS = ["jwtToken", "apiKey", "cliToken", "apiToken"];
+
+const PREFIX = "enc:v1:";
+const CHECK_TEXT = "apertodns";
+
+export const isEncrypted = (value) => typeof value === "string" && value.startsWith(PREFIX);
+
+// ==================== FILES ====================
+
+// Readable or writable by group or others; always false on Windows, which has no modes
+export const isTooOpen = (file) => {
+  if (process.platform === "win32" || !fs.existsSync(file)) return false;
+  return (fs.statSync(file).mode & 0o077) !== 0;
+};
+
+// Write through a temporary file created 0600, so the content is never readable by others
+export const writePrivateFile = (file, content) => {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(temp, content, { mode: 0o600 });
+  fs.chmodSync(temp, 0o600);
+  fs.renameSync(temp, file);
+};
+
+// A secret mounted as a file (Docker and Kubernetes secrets); the trailing newline is dropped
+export const readSecretFile = (file) => {
+  let value;
+  try {
+    value = fs.readFileSync(file, "utf-8").replace(/\r?\n$/, "");
+  } catch (err) {
+    throw new Error(`Cannot read secret file ${file}: ${err.message}`);
+  }
+  if (!value) throw new Error(`Secret file ${file} is empty`);
+  return value;
+};
+
+// ==================== ENCRYPTION ====================
+
+export const encryptValue = (value, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(String(value), "utf-8"), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString("base64url")).join(":");
+};
+
+export const decryptValue = (value, key) => {
+  const [iv, tag, data] = value.slice(PREFIX.length).split(":").map(part => Buffer.from(part, "base64url"));
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf-8");
+  } catch {
+    throw new Error("Cannot decrypt the stored credentials: wrong passphrase or key");
+  }
+};
+
+export const randomKey = () => crypto.randomBytes(32);
+
+export const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, Buffer.from(salt, "base64url"), 32);
+
+// "encryption" settings for config.json; check lets a wrong passphrase be told apart later
+export const newEncryption = (method, key, salt) => ({ method, ...(salt && { salt }), check: encryptValue(CHECK_TEXT, key) });
+
+export const newSalt = () => crypto.randomBytes(16).toString("base64url");
+
+// Throws when the key does not open the file's check value
+export const verifyKey = (encryption, key) => {
+  if (decryptValue(encryption.check, key) !== CHECK_TEXT) {
+    throw new Error("Cannot decrypt the stored credentials: wrong passphrase or key");
+  }
+  return key;
+};
+
+const mapSettings = (settings, fn) => Object.fromEntries(Object.entries(settings).map(([name, value]) =>
+  [name, SECRET_FIELDS.includes(name) && typeof value === "string" ? fn(value) : value]
+));
+
+// Apply fn to every credential of every profile
+export const mapSecrets = (file, fn) => {
+  const next = mapSettings(file, fn);
+  if (file.profiles) {
+    next.profiles = Object.fromEntries(Object.entries(file.profiles).map(([name, settings]) => [name, mapSettings(settings, fn)]));
+  }
+  return next;
+};
+
+export const hasEncryptedSecrets = (settings) => SECRET_FIELDS.some(name => isEncrypted(settings?.[name]));
+
+// Credentials of any profile still stored in clear
+export const hasPlainSecrets = (file) => [file, ...Object.values(file.profiles || {})]
+  .some(settings => SECRET_FIELDS.some(name => typeof settings[name] === "string" && !isEncrypted(settings[name])));
+
+export const encryptSecrets = (file, key) => mapSecrets(file, value => isEncrypted(value) ? value : encryptValue(value, key));
+
+export const decryptSecrets = (file, key) => mapSecrets(file, value => isEncrypted(value) ? decryptValue(value, key) : value);
+
+// ==================== KEYRING ====================
+
+// The freedesktop Secret Service (GNOME Keyring, KWallet) through libsecret's secret-tool
+const KEYRING_ATTRIBUTES = ["service", "apertodns", "account", "config-key"];
+
+const secretTool = (toolArgs, input) => spawnSync("secret-tool", toolArgs, { input, encoding: "utf-8", timeout: 10000 });
+
+export const keyringAvailable = () => {
+  if (process.platform !== "linux" || !process.env.DBUS_SESSION_BUS_ADDRESS) return false;
+  return !secretTool(["--help"]).error;
+};
+
+export const keyringLoad = () => {
+  const res = secretTool(["lookup", ...KEYRING_ATTRIBUTES]);
+  if (res.error || res.status !== 0 || !res.stdout.trim()) return null;
+  return Buffer.from(res.stdout.trim(), "base64url");
+};
+
+export const keyringStore = (key) => {
+  const res = secretTool(["store", "--label=ApertoDNS CLI configuration key", ...KEYRING_ATTRIBUTES], key.toString("base64url"));
+  if (res.error || res.status !== 0) {
+    throw new Error(`Cannot store the key in the keyring: ${res.error?.message || res.stderr.trim() || `secret-tool exited with ${res.status}`}`);
+  }
+};
+
+export const keyringClear = () => {
+  secretTool(["clear", ...KEYRING_ATTRIBUTES]);
+};
@@ -0,0 +1,144 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { execFileSync } from "child_process";
+
+// Service definitions that run the daemon under systemd (per-user or system-wide) or OpenRC.
+
+export const SERVICE_NAME = "apertodns";
+
+// Quote a value for a systemd directive ("%" starts a specifier) or a shell script
+const systemdQuote = (value) => {
+  const escaped = value.replace(/%/g, "%%");
+  return /^[\w@+=:,./-]+$/.test(escaped) ? escaped : `"${escaped.replace(/(["\\])/g, "\\$1")}"`;
+};
+// ExecStart= also expands $VAR
+const systemdExecQuote = (value) => systemdQuote(value).replace(/\$/g, "$$$$");
+const shellQuote = (value) => /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+
+export const systemdUnitPath = (scope) => {
+  if (scope === "system") return `/etc/systemd/system/${SERVICE_NAME}.service`;
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "systemd", "user", `${SERVICE_NAME}.service`);
+};
+
+export const openRcScriptPath = () => `/etc/init.d/${SERVICE_NAME}`;
+
+// Home directory of a local or directory-service user, or null when it cannot be looked up
+export const homeDirOf = (user) => {
+  try {
+    return execFileSync("getent", ["passwd", user], { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] }).split(":")[5] || null;
+  } catch {
+    return null;
+  }
+};
+
+// Prefer the init system that is actually running
+export const detectInitSystem = () => {
+  if (fs.existsSync("/run/systemd/system")) return "systemd";
+  if (fs.existsSync("/sbin/openrc-run") || fs.existsSync("/run/openrc")) return "openrc";
+  return null;
+};
+
+// command: [node, script, ...args]; env: variables the daemon needs to find its configuration;
+// writablePaths: directories the sandbox must leave writable (config and state)
+export const buildSystemdUnit = ({ scope, command, env = {}, user, writablePaths = [] }) => {
+  const lines = [
+    "[Unit]",
+    "Description=ApertoDNS dynamic DNS daemon",
+    "Documentation=https://apertodns.com/docs"
+  ];
+  if (scope === "system") lines.push("Wants=network-online.target", "After=network-online.target");
+
+  lines.push(
+    "",
+    "[Service]",
+    "Type=simple",
+    `ExecStart=${command.map(systemdExecQuote).join(" ")}`,
+    "ExecReload=/bin/kill -HUP $MAINPID",
+    "Restart=on-failure",
+    "RestartSec=30",
+    "TimeoutStopSec=45"
+  );
+  for (const [key, value] of Object.entries(env)) lines.push(`Environment=${systemdQuote(`${key}=${value}`)}`);
+  if (scope === "system" && user) lines.push(`User=${user}`);
+
+  // Hardening available to unprivileged user managers too
+  lines.push(
+    "",
+    "NoNewPrivileges=yes",
+    "UMask=0077",
+    "LockPersonality=yes",
+    "RestrictRealtime=yes",
+    "RestrictSUIDSGID=yes",
+    "SystemCallArchitectures=native"
+  );
+
+  // Node's JIT needs writable+executable memory, so MemoryDenyWriteExecute stays off.
+  // AF_NETLINK is needed to read interface addresses, AF_UNIX for local resolvers.
+  if (scope === "system") {
+    lines.push(
+      "ProtectSystem=strict",
+      "ProtectHome=read-only",
+      ...writablePaths.map(p => `ReadWritePaths=${systemdQuote(p)}`),
+      "PrivateTmp=yes",
+      "PrivateDevices=yes",
+      "ProtectClock=yes",
+      "ProtectHostname=yes",
+      "ProtectKernelTunables=yes",
+      "ProtectKernelModules=yes",
+      "ProtectKernelLogs=yes",
+      "ProtectControlGroups=yes",
+      "RestrictNamespaces=yes",
+      "RestrictAddressFamilies=AF_INET AF_INET6 AF_UNIX AF_NETLINK",
+      "CapabilityBoundingSet=",
+      "AmbientCapabilities="
+    );
+  }
+
+  lines.push(
+    "",
+    "[Install]",
+    `WantedBy=${scope === "system" ? "multi-user.target" : "default.target"}`,
+    ""
+  );
+  return lines.join("\n");
+};
+
+export const buildOpenRcScript = ({ command, env = {}, user }) => {
+  const [executable, ...commandArgs] = command;
+  const lines = [
+    "#!/sbin/openrc-run",
+    "",
+    'name="ApertoDNS"',
+    'description="ApertoDNS dynamic DNS daemon"',
+    "",
+    "supervisor=supervise-daemon",
+    `command=${shellQuote(executable)}`,
+    `command_args=${shellQuote(commandArgs.map(shellQuote).join(" "))}`
+  ];
+  if (user) lines.push(`command_user=${shellQuote(user)}`);
+  lines.push(
+    `pidfile="/run/\${RC_SVCNAME}.pid"`,
+    "respawn_delay=30",
+    "umask=077",
+    "extra_started_commands=\"reload\"",
+    ""
+  );
+  for (const [key, value] of Object.entries(env)) lines.push(`export ${key}=${shellQuote(value)}`);
+  lines.push(
+    "",
+    "depend() {",
+    "\tneed net",
+    "\tafter firewall",
+    "}",
+    "",
+    "reload() {",
+    "\tebegin \"Reloading ${RC_SVCNAME}\"",
+    "\tsupervise-daemon \"${RC_SVCNAME}\" --signal HUP",
+    "\teend $?",
+    "}",
+    ""
+  );
+  return lines.join("\n");
+};
@@ -0,0 +1,78 @@
+// lego's exec provider in RAW mode, run with the exact argv lego produces against a local API
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+
+let server;
+let configDir;
+const updates = [];
+
+before(async () => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url === "/api/domains") return res.end(JSON.stringify([{ id: 1, name: "example.apertodns.com" }]));
+      if (req.url === "/.well-known/apertodns/v1/info") return res.end("{}");
+      if (req.url === "/.well-known/apertodns/v1/update" && req.method === "POST") {
+        updates.push(JSON.parse(body));
+        return res.end(JSON.stringify({ success: true }));
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const runCli = (argv) => new Promise((resolve) => {
+  const env = {
+    ...process.env,
+    APERTODNS_CONFIG_DIR: configDir,
+    APERTODNS_API_URL: `http://127.0.0.1:${server.address().port}`,
+    APERTODNS_API_KEY: "apertodns_live_test"
+  };
+  execFile(process.execPath, [CLI, ...argv], { env, timeout: 20000 }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, stdout, stderr });
+  });
+});
+
+const token = "LHDhK3oGRvkiefQnx7OOczTY5Tic_xZ6HcMOc_gvH7k";
+const keyAuth = `${token}.MWDW9sfqD8hNZFHDvhdnNWzNPVF1jkQT2-XiWgJqgyU`;
+const value = crypto.createHash("sha256").update(keyAuth).digest("base64url");
+
+test("acme present -- <domain> <token> <keyAuth> sets the derived challenge value", async () => {
+  updates.length = 0;
+  const { code, stderr } = await runCli(["acme", "present", "--", "example.apertodns.com.", token, keyAuth]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(updates, [{ hostname: "example.apertodns.com", txt: { name: "_acme-challenge", value, action: "set" } }]);
+});
+
+test("acme cleanup -- <domain> <token> <keyAuth> removes only that value", async () => {
+  updates.length = 0;
+  const { code, stderr } = await runCli(["acme", "cleanup", "--", "example.apertodns.com.", token, keyAuth]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(updates, [{ hostname: "example.apertodns.com", txt: { name: "_acme-challenge", value, action: "delete" } }]);
+});
+
+test("acme present -- without the key authorization is a usage error", async () => {
+  updates.length = 0;
+  const { code } = await runCli(["acme", "present", "--", "example.apertodns.com.", token]);
+  assert.equal(code, 2);
+  assert.equal(updates.length, 0);
+});
@@ -0,0 +1,82 @@
+// A self-hosted API under a path prefix: endpoint precedence and IETF base discovery
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+
+let server;
+let configDir;
+let root;
+const hits = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      hits.push(`${req.method} ${req.url}`);
+      res.setHeader("Content-Type", "application/json");
+      // Only the prefixed paths exist, as behind a reverse proxy
+      if (req.url === "/dns/api/domains") return res.end(JSON.stringify([{ id: 1, name: "example.apertodns.com" }]));
+      if (req.url === "/dns/.well-known/apertodns/v1/info") return res.end("{}");
+      if (req.url === "/dns/.well-known/apertodns/v1/update" && req.method === "POST") return res.end(JSON.stringify({ success: true }));
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  root = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  hits.length = 0;
+});
+
+afterEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+after(() => {
+  server.close();
+});
+
+const runCli = (argv, env = {}) => new Promise((resolve) => {
+  const childEnv = { ...process.env, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_KEY: "apertodns_live_test", ...env };
+  execFile(process.execPath, [CLI, ...argv], { env: childEnv, timeout: 20000 }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, stdout, stderr });
+  });
+});
+
+const ACME_PRESENT = ["acme", "present", "--", "example.apertodns.com.", "token", "token.thumbprint"];
+
+test("finds the IETF endpoint under the API URL's path", async () => {
+  const { code, stderr } = await runCli(ACME_PRESENT, { APERTODNS_API_URL: `${root}/dns/` });
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(hits, [
+    "GET /dns/api/domains",
+    "GET /.well-known/apertodns/v1/info",
+    "GET /dns/.well-known/apertodns/v1/info",
+    "POST /dns/.well-known/apertodns/v1/update"
+  ]);
+});
+
+test("--api-url wins over APERTODNS_API_URL", async () => {
+  const { code, stderr } = await runCli([...ACME_PRESENT, "--api-url", `${root}/dns`], { APERTODNS_API_URL: "http://127.0.0.1:9" });
+  assert.equal(code, 0, stderr);
+  assert.equal(hits[0], "GET /dns/api/domains");
+});
+
+test("an API URL that is not http(s) or carries a query is a usage error", async () => {
+  for (const url of ["ftp://api.example.com", `${root}/dns?x=1`, "api.example.com"]) {
+    const { code } = await runCli(["domains"], { APERTODNS_API_URL: url });
+    assert.equal(code, 2, url);
+  }
+  assert.deepEqual(hits, []);
+});
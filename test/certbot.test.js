@@ -0,0 +1,92 @@
+// certbot manual hooks against a local API, with only the legacy CLI token configured
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+
+let server;
+let configDir;
+const requests = [];
+
+before(async () => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  fs.writeFileSync(path.join(configDir, "config.json"), JSON.stringify({ cliToken: "legacy-cli-token" }), { mode: 0o600 });
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.headers.authorization !== "Bearer legacy-cli-token") {
+        res.statusCode = 401;
+        return res.end("{}");
+      }
+      if (req.url === "/api/domains") return res.end(JSON.stringify([{ id: 1, name: "example.apertodns.com" }]));
+      if (req.url === "/.well-known/apertodns/v1/info") return res.end("{}");
+      if (req.url === "/.well-known/apertodns/v1/update" && req.method === "POST") {
+        requests.push(JSON.parse(body));
+        return res.end(JSON.stringify({ success: true }));
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const runHook = (hook, certbotEnv) => new Promise((resolve) => {
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+  const env = {
+    ...parentEnv,
+    ...certbotEnv,
+    APERTODNS_CONFIG_DIR: configDir,
+    APERTODNS_API_URL: `http://127.0.0.1:${server.address().port}`
+  };
+  execFile(process.execPath, [CLI, hook], { env, timeout: 20000 }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, stdout, stderr });
+  });
+});
+
+const storedChallenges = () => {
+  const file = path.join(configDir, ".data", "acme_challenges.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")).map(c => c.value) : [];
+};
+
+test("certbot-auth sets the challenge with the CLI token and defers the wait", async () => {
+  requests.length = 0;
+  const apex = await runHook("certbot-auth", { CERTBOT_DOMAIN: "example.apertodns.com", CERTBOT_VALIDATION: "apex-value", CERTBOT_REMAINING_CHALLENGES: "1" });
+  assert.equal(apex.code, 0, apex.stderr);
+  const wildcard = await runHook("certbot-auth", { CERTBOT_DOMAIN: "*.example.apertodns.com", CERTBOT_VALIDATION: "wildcard-value", CERTBOT_REMAINING_CHALLENGES: "1" });
+  assert.equal(wildcard.code, 0, wildcard.stderr);
+
+  assert.deepEqual(requests, [
+    { hostname: "example.apertodns.com", txt: { name: "_acme-challenge", value: "apex-value", action: "set" } },
+    { hostname: "example.apertodns.com", txt: { name: "_acme-challenge", value: "wildcard-value", action: "set" } }
+  ]);
+  assert.deepEqual(storedChallenges(), ["apex-value", "wildcard-value"]);
+});
+
+test("certbot-cleanup removes and forgets only its own value", async () => {
+  requests.length = 0;
+  const { code, stderr } = await runHook("certbot-cleanup", { CERTBOT_DOMAIN: "example.apertodns.com", CERTBOT_VALIDATION: "apex-value" });
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(requests, [{ hostname: "example.apertodns.com", txt: { name: "_acme-challenge", value: "apex-value", action: "delete" } }]);
+  assert.deepEqual(storedChallenges(), ["wildcard-value"]);
+});
+
+test("the hooks are a usage error outside certbot", async () => {
+  requests.length = 0;
+  const { code } = await runHook("certbot-auth", {});
+  assert.equal(code, 2);
+  assert.equal(requests.length, 0);
+});
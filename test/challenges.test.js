@@ -0,0 +1,53 @@
+// ACME challenges remembered between certbot-auth and certbot-cleanup runs
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// utils.js creates its data directory on import: keep it out of the real config
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+process.env.APERTODNS_CONFIG_DIR = configDir;
+const { loadAcmeChallenges, addAcmeChallenge, removeAcmeChallenge, clearAcmeChallenges } = await import("../utils.js");
+
+const challengesFile = path.join(configDir, ".data", "acme_challenges.json");
+const pairs = () => loadAcmeChallenges().map(c => `${c.fqdn}=${c.value}`);
+
+beforeEach(() => {
+  clearAcmeChallenges();
+});
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test("keeps every challenge of a multi-domain certificate once", () => {
+  addAcmeChallenge("_acme-challenge.home.apertodns.com", "a1");
+  addAcmeChallenge("_acme-challenge.home.apertodns.com", "a2");
+  addAcmeChallenge("_acme-challenge.nas.apertodns.com", "b1");
+  addAcmeChallenge("_acme-challenge.home.apertodns.com", "a1");
+  assert.deepEqual(pairs().sort(), [
+    "_acme-challenge.home.apertodns.com=a1",
+    "_acme-challenge.home.apertodns.com=a2",
+    "_acme-challenge.nas.apertodns.com=b1"
+  ]);
+});
+
+test("forgets only the challenge that was cleaned up", () => {
+  addAcmeChallenge("_acme-challenge.home.apertodns.com", "a1");
+  addAcmeChallenge("_acme-challenge.nas.apertodns.com", "b1");
+
+  removeAcmeChallenge("_acme-challenge.home.apertodns.com", "a1");
+  assert.deepEqual(pairs(), ["_acme-challenge.nas.apertodns.com=b1"]);
+
+  removeAcmeChallenge("_acme-challenge.nas.apertodns.com", "b1");
+  assert.deepEqual(pairs(), []);
+  assert.equal(fs.existsSync(challengesFile), false, "the file goes away with the last challenge");
+});
+
+test("drops challenges left by a run older than an hour", () => {
+  const stale = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(challengesFile, JSON.stringify([{ fqdn: "_acme-challenge.old.apertodns.com", value: "x", at: stale }]));
+  addAcmeChallenge("_acme-challenge.home.apertodns.com", "a1");
+  assert.deepEqual(pairs(), ["_acme-challenge.home.apertodns.com=a1"]);
+});
@@ -0,0 +1,85 @@
+// IP quorum voting and the public-address checks its answers go through
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseIPv4, parseIPv6, isPublicIP, describeBogon } from "../address.js";
+
+// utils.js creates its data directory on import: keep it out of the real config
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+process.env.APERTODNS_CONFIG_DIR = configDir;
+const { pickConsensus } = await import("../utils.js");
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test("accepts the address reported by enough services", () => {
+  const answers = [
+    { service: "a", ip: "8.8.8.8" },
+    { service: "b", ip: "8.8.8.8" },
+    { service: "c", ip: "1.1.1.1" },
+    { service: "d", error: "timeout" }
+  ];
+  assert.deepEqual(pickConsensus(answers, 2), { ip: "8.8.8.8", agreed: ["a", "b"] });
+});
+
+test("refuses when the best address is short of the quorum", () => {
+  const answers = [{ service: "a", ip: "8.8.8.8" }, { service: "b", error: "HTTP 503" }];
+  assert.equal(pickConsensus(answers, 2), null);
+  assert.deepEqual(pickConsensus(answers, 1), { ip: "8.8.8.8", agreed: ["a"] });
+});
+
+test("refuses a tie between two addresses", () => {
+  const answers = [
+    { service: "a", ip: "8.8.8.8" },
+    { service: "b", ip: "1.1.1.1" }
+  ];
+  assert.equal(pickConsensus(answers, 1), null);
+});
+
+test("does not count answers that carry an error", () => {
+  const answers = [
+    { service: "a", ip: "192.168.1.1", error: "private address" },
+    { service: "b", ip: "192.168.1.1", error: "private address" },
+    { service: "c", ip: "8.8.8.8" }
+  ];
+  assert.deepEqual(pickConsensus(answers, 1), { ip: "8.8.8.8", agreed: ["c"] });
+  assert.equal(pickConsensus([], 1), null);
+});
+
+test("parses addresses strictly", () => {
+  assert.deepEqual(parseIPv4("8.8.4.4"), [8, 8, 4, 4]);
+  for (const bad of ["8.8.4", "8.8.4.256", "08.8.4.4", " 8.8.4.4", "8.8.4.4\n"]) assert.equal(parseIPv4(bad), null, bad);
+
+  assert.deepEqual(parseIPv6("2606:4700::1"), [0x2606, 0x4700, 0, 0, 0, 0, 0, 1]);
+  assert.deepEqual(parseIPv6("::ffff:1.2.3.4"), [0, 0, 0, 0, 0, 0xffff, 0x0102, 0x0304]);
+  for (const bad of ["2606::4700::1", "2606:4700:0:0:0:0:0:0:1", "fe80::1%eth0", "2606:47000::1", "8.8.8.8"]) {
+    assert.equal(parseIPv6(bad), null, bad);
+  }
+});
+
+test("only globally routable addresses are public", () => {
+  for (const ip of ["8.8.8.8", "1.1.1.1", "100.63.255.255", "100.128.0.1"]) assert.equal(isPublicIP(ip, "ipv4"), true, ip);
+  for (const ip of ["10.1.2.3", "100.64.0.1", "127.0.0.1", "169.254.1.1", "172.16.0.1", "192.168.1.1",
+    "192.0.2.1", "198.51.100.1", "203.0.113.1", "224.0.0.1", "255.255.255.255", "0.0.0.0"]) {
+    assert.equal(isPublicIP(ip, "ipv4"), false, ip);
+  }
+
+  for (const ip of ["2606:4700::1", "2a00:1450:4001::200e"]) assert.equal(isPublicIP(ip, "ipv6"), true, ip);
+  for (const ip of ["::1", "fe80::1", "fd00::1", "2001:db8::1", "2001::1", "ff02::1", "::ffff:8.8.8.8"]) {
+    assert.equal(isPublicIP(ip, "ipv6"), false, ip);
+  }
+});
+
+test("explains why an address was refused", () => {
+  assert.equal(describeBogon("300.1.1.1", "ipv4"), "not a valid IPv4 address");
+  assert.equal(describeBogon("100.64.0.1", "ipv4"), "carrier-grade NAT address");
+  assert.equal(describeBogon("192.168.1.1", "ipv4"), "private address");
+  assert.equal(describeBogon("127.0.0.1", "ipv4"), "reserved or non-routable address");
+  assert.equal(describeBogon("nope", "ipv6"), "not a valid IPv6 address");
+  assert.equal(describeBogon("fe80::1", "ipv6"), "link-local address");
+  assert.equal(describeBogon("fd12::1", "ipv6"), "unique-local address");
+  assert.equal(describeBogon("2001:db8::1", "ipv6"), "reserved or non-routable address");
+});
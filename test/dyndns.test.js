@@ -0,0 +1,51 @@
+// DynDNS2 return codes and how they map to exit codes
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DYNDNS2_RESULTS, parseDynDns2Response } from "../dyndns.js";
+import { EXIT } from "../errors.js";
+
+test("every DynDNS2 return code maps to its exit code", () => {
+  const expected = {
+    good: EXIT.OK,
+    nochg: EXIT.UNCHANGED,
+    badauth: EXIT.AUTH,
+    "!donator": EXIT.AUTH,
+    notfqdn: EXIT.USAGE,
+    nohost: EXIT.NOT_FOUND,
+    numhost: EXIT.USAGE,
+    abuse: EXIT.RATE_LIMITED,
+    badagent: EXIT.API,
+    dnserr: EXIT.API,
+    "911": EXIT.API
+  };
+  assert.deepEqual(Object.keys(DYNDNS2_RESULTS).sort(), Object.keys(expected).sort());
+  for (const [code, exitCode] of Object.entries(expected)) {
+    assert.equal(DYNDNS2_RESULTS[code].exitCode, exitCode, code);
+    assert.equal(DYNDNS2_RESULTS[code].ok, exitCode === EXIT.OK || exitCode === EXIT.UNCHANGED, code);
+  }
+});
+
+test("parses the address that follows good and nochg", () => {
+  const [good] = parseDynDns2Response("good 203.0.113.7\n");
+  assert.equal(good.code, "good");
+  assert.equal(good.ip, "203.0.113.7");
+  assert.equal(good.status, "updated");
+
+  const [nochg] = parseDynDns2Response("nochg");
+  assert.equal(nochg.ip, null);
+  assert.equal(nochg.exitCode, EXIT.UNCHANGED);
+});
+
+test("returns one result per non-empty line", () => {
+  const results = parseDynDns2Response("good 203.0.113.7\r\n\r\n  nohost  \n");
+  assert.deepEqual(results.map(r => r.code), ["good", "nohost"]);
+  assert.equal(results[1].exitCode, EXIT.NOT_FOUND);
+});
+
+test("an unknown answer is an API error", () => {
+  const [result] = parseDynDns2Response("teapot 418");
+  assert.equal(result.ok, false);
+  assert.equal(result.status, "unknown");
+  assert.equal(result.exitCode, EXIT.API);
+  assert.match(result.message, /teapot 418/);
+});
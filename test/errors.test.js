@@ -0,0 +1,67 @@
+// The shared exit-code contract
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { EXIT, exitCodeFor, exitCodeForStatus, cliError, usageError, httpError, errorCodeFor } from "../errors.js";
+
+test("exit codes are stable", () => {
+  assert.deepEqual(EXIT, {
+    OK: 0, ERROR: 1, USAGE: 2, AUTH: 3, NOT_FOUND: 4, RATE_LIMITED: 5, NETWORK: 6, API: 7, UNCHANGED: 8, AUTH_EXPIRED: 9
+  });
+});
+
+test("HTTP statuses map to exit codes", () => {
+  assert.equal(exitCodeForStatus(401), EXIT.AUTH);
+  assert.equal(exitCodeForStatus(403), EXIT.AUTH);
+  assert.equal(exitCodeForStatus(404), EXIT.NOT_FOUND);
+  assert.equal(exitCodeForStatus(429), EXIT.RATE_LIMITED);
+  for (const status of [400, 409, 422, 500, 502, 503]) assert.equal(exitCodeForStatus(status), EXIT.API, String(status));
+});
+
+test("an explicit exit code wins over the HTTP status", () => {
+  assert.equal(exitCodeFor(cliError("expired", EXIT.AUTH_EXPIRED)), EXIT.AUTH_EXPIRED);
+  assert.equal(exitCodeFor(Object.assign(httpError("gone", 404), { exitCode: EXIT.UNCHANGED })), EXIT.UNCHANGED);
+  assert.equal(exitCodeFor(cliError("plain")), EXIT.ERROR);
+  assert.equal(exitCodeFor(usageError("bad flag")), EXIT.USAGE);
+  assert.equal(exitCodeFor(httpError("denied", 403)), EXIT.AUTH);
+});
+
+test("network failures map to NETWORK", () => {
+  assert.equal(exitCodeFor(Object.assign(new Error("refused"), { code: "ECONNREFUSED" })), EXIT.NETWORK);
+  assert.equal(exitCodeFor(Object.assign(new Error("fetch failed"), { cause: { code: "ENOTFOUND" } })), EXIT.NETWORK);
+  assert.equal(exitCodeFor(Object.assign(new Error("aborted"), { name: "AbortError" })), EXIT.NETWORK);
+  assert.equal(exitCodeFor(Object.assign(new Error("request failed"), { type: "system" })), EXIT.NETWORK);
+});
+
+test("anything else is a generic error", () => {
+  assert.equal(exitCodeFor(new Error("boom")), EXIT.ERROR);
+  assert.equal(exitCodeFor(Object.assign(new Error("odd"), { code: "EACCES" })), EXIT.ERROR);
+  assert.equal(exitCodeFor(null), EXIT.ERROR);
+});
+
+test("error codes name the exit code for --json output", () => {
+  assert.equal(errorCodeFor(httpError("missing", 404)), "NOT_FOUND");
+  assert.equal(errorCodeFor(cliError("expired", EXIT.AUTH_EXPIRED)), "AUTH_EXPIRED");
+  assert.equal(errorCodeFor(Object.assign(new Error("timeout"), { code: "ETIMEDOUT" })), "NETWORK");
+  assert.equal(errorCodeFor(cliError("weird", 42)), "ERROR");
+});
+
+test("a command without credentials exits AUTH instead of prompting when not on a terminal", async () => {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+  // Nothing listens on port 9: a request would fail with NETWORK (6)
+  const env = { ...parentEnv, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_URL: "http://127.0.0.1:9" };
+  try {
+    for (const argv of [["domains"], ["domains", "--json"]]) {
+      const { code } = await new Promise(resolve => execFile(process.execPath, [fileURLToPath(new URL("../index.js", import.meta.url)), ...argv],
+        { env, timeout: 20000 }, (err) => resolve({ code: err ? err.code : 0 })));
+      assert.equal(code, EXIT.AUTH, argv.join(" "));
+    }
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,37 @@
+// UPnP device descriptions: picking the WAN connection service's control URL
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findControlUrl } from "../gateway.js";
+
+const LOCATION = "http://192.168.1.1:5000/rootDesc.xml";
+
+const service = (serviceType, controlUrl) =>
+  `<service><serviceType>${serviceType}</serviceType><controlURL>${controlUrl}</controlURL></service>`;
+
+test("resolves the control URL against the description location", () => {
+  const xml = `<root><device>${service("urn:schemas-upnp-org:service:WANIPConnection:1", "/ctl/IPConn")}</device></root>`;
+  assert.deepEqual(findControlUrl(xml, LOCATION), {
+    serviceType: "urn:schemas-upnp-org:service:WANIPConnection:1",
+    controlUrl: "http://192.168.1.1:5000/ctl/IPConn"
+  });
+});
+
+test("prefers URLBase over the location", () => {
+  const xml = `<root><URLBase> http://192.168.1.1:49152/ </URLBase>${service("urn:schemas-upnp-org:service:WANPPPConnection:1", "upnp/control/ppp")}</root>`;
+  assert.equal(findControlUrl(xml, LOCATION).controlUrl, "http://192.168.1.1:49152/upnp/control/ppp");
+});
+
+test("prefers WANIPConnection:2 over older services", () => {
+  const xml = "<root>" +
+    service("urn:schemas-upnp-org:service:WANPPPConnection:1", "/ppp") +
+    service("urn:schemas-upnp-org:service:WANIPConnection:1", "/ip1") +
+    service("urn:schemas-upnp-org:service:WANIPConnection:2", "/ip2") +
+    "</root>";
+  assert.equal(findControlUrl(xml, LOCATION).serviceType, "urn:schemas-upnp-org:service:WANIPConnection:2");
+  assert.equal(findControlUrl(xml, LOCATION).controlUrl, "http://192.168.1.1:5000/ip2");
+});
+
+test("returns null without a WAN connection service", () => {
+  const xml = `<root>${service("urn:schemas-upnp-org:service:Layer3Forwarding:1", "/l3f")}</root>`;
+  assert.equal(findControlUrl(xml, LOCATION), null);
+});
@@ -0,0 +1,93 @@
+// Minimal authoritative DNS server on loopback UDP for resolver tests.
+// records: { "<name>": { A: [[ttl, "1.2.3.4"]], AAAA, TXT, CNAME, MX: [[ttl, "10 mx.example.com"]] } }
+// is read on every query, so tests can change it between lookups. Unknown names get NXDOMAIN.
+import dgram from "node:dgram";
+
+const TYPES = { A: 1, CNAME: 5, MX: 15, TXT: 16, AAAA: 28 };
+
+const encodeName = (name) => Buffer.concat([
+  ...name.replace(/\.$/, "").split(".").map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+  Buffer.from([0])
+]);
+
+const encodeIPv6 = (ip) => {
+  const [head, tail = ""] = ip.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const groups = ip.includes("::") ? [...left, ...Array(8 - left.length - right.length).fill("0"), ...right] : left;
+  return Buffer.from(groups.flatMap(g => [parseInt(g, 16) >> 8, parseInt(g, 16) & 0xff]));
+};
+
+const encodeData = (type, value) => {
+  switch (type) {
+    case "A": return Buffer.from(value.split(".").map(Number));
+    case "AAAA": return encodeIPv6(value);
+    case "CNAME": return encodeName(value);
+    case "TXT": return Buffer.concat([Buffer.from([Buffer.byteLength(value)]), Buffer.from(value)]);
+    case "MX": {
+      const [priority, exchange] = value.split(" ");
+      const pref = Buffer.alloc(2);
+      pref.writeUInt16BE(Number(priority));
+      return Buffer.concat([pref, encodeName(exchange)]);
+    }
+    default: throw new Error(`unsupported type ${type}`);
+  }
+};
+
+const readQuestion = (msg) => {
+  const labels = [];
+  let offset = 12;
+  while (msg[offset]) {
+    labels.push(msg.subarray(offset + 1, offset + 1 + msg[offset]).toString());
+    offset += msg[offset] + 1;
+  }
+  offset++;
+  return { name: labels.join(".").toLowerCase(), qtype: msg.readUInt16BE(offset), end: offset + 4 };
+};
+
+export const startDnsServer = async (records) => {
+  const socket = dgram.createSocket("udp4");
+  const queries = [];
+
+  socket.on("message", (msg, rinfo) => {
+    const { name, qtype, end } = readQuestion(msg);
+    const type = Object.keys(TYPES).find(t => TYPES[t] === qtype);
+    queries.push({ name, type });
+
+    const zone = records[name];
+    const answers = (zone && type && zone[type]) || [];
+    const header = Buffer.alloc(12);
+    msg.copy(header, 0, 0, 2);
+    header.writeUInt16BE(0x8400 | (zone ? 0 : 3), 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(answers.length, 6);
+
+    const body = answers.map(([ttl, value]) => {
+      const data = encodeData(type, value);
+      const rr = Buffer.alloc(12);
+      rr.writeUInt16BE(0xc00c, 0);
+      rr.writeUInt16BE(qtype, 2);
+      rr.writeUInt16BE(1, 4);
+      rr.writeUInt32BE(ttl, 6);
+      rr.writeUInt16BE(data.length, 10);
+      return Buffer.concat([rr, data]);
+    });
+    socket.send(Buffer.concat([header, msg.subarray(12, end), ...body]), rinfo.port, rinfo.address);
+  });
+
+  await new Promise(resolve => socket.bind(0, "127.0.0.1", resolve));
+  return {
+    address: `127.0.0.1:${socket.address().port}`,
+    queries,
+    close: () => socket.close()
+  };
+};
+
+// A loopback UDP port with nothing listening, for resolvers that must fail
+export const closedDnsAddress = async () => {
+  const socket = dgram.createSocket("udp4");
+  await new Promise(resolve => socket.bind(0, "127.0.0.1", resolve));
+  const { port } = socket.address();
+  await new Promise(resolve => socket.close(resolve));
+  return `127.0.0.1:${port}`;
+};
@@ -0,0 +1,73 @@
+// Just enough JSON Schema to check --json output against schemas/: type, const, enum, required,
+// properties, items, allOf, oneOf, if/then/else and $ref within and between the schema files.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SCHEMAS_DIR = fileURLToPath(new URL("../../schemas/", import.meta.url));
+const files = new Map();
+
+export const schemaFiles = () => fs.readdirSync(SCHEMAS_DIR).filter(file => file.endsWith(".json")).sort();
+
+export const loadSchema = (file) => {
+  if (!files.has(file)) files.set(file, JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), "utf-8")));
+  return files.get(file);
+};
+
+// "envelope.json#/$defs/error" or "#/$defs/error" (relative to file) → { schema, file }
+export const resolveRef = (ref, file) => {
+  const [target, pointer = ""] = ref.split("#");
+  const refFile = target || file;
+  let schema = loadSchema(refFile);
+  for (const part of pointer.split("/").filter(Boolean)) schema = schema?.[part];
+  if (schema === undefined) throw new Error(`Unresolved $ref "${ref}" in ${file}`);
+  return { schema, file: refFile };
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const hasType = (value, types) => [types].flat().some(type => type === typeOf(value) || (type === "number" && typeof value === "number"));
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const check = (schema, value, file, at, errors) => {
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, file);
+    check(target.schema, value, target.file, at, errors);
+  }
+  if (schema.type && !hasType(value, schema.type)) errors.push(`${at}: expected ${[schema.type].flat().join(" or ")}, got ${typeOf(value)}`);
+  if ("const" in schema && !same(value, schema.const)) errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.some(option => same(value, option))) errors.push(`${at}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+
+  if (typeOf(value) === "object") {
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${at}: missing "${name}"`);
+    }
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      if (name in value) check(property, value[name], file, `${at}.${name}`, errors);
+    }
+  }
+  if (Array.isArray(value) && schema.items) value.forEach((item, i) => check(schema.items, item, file, `${at}[${i}]`, errors));
+
+  for (const part of schema.allOf || []) check(part, value, file, at, errors);
+  if (schema.oneOf && schema.oneOf.filter(part => errorsFor(part, value, file).length === 0).length !== 1) {
+    errors.push(`${at}: must match exactly one of oneOf`);
+  }
+  if (schema.if) {
+    const branch = errorsFor(schema.if, value, file).length === 0 ? schema.then : schema.else;
+    if (branch) check(branch, value, file, at, errors);
+  }
+};
+
+const errorsFor = (schema, value, file, at = "$") => {
+  const errors = [];
+  check(schema, value, file, at, errors);
+  return errors;
+};
+
+// Validation errors of value against a schema file, [] when it is valid
+export const validate = (file, value) => errorsFor(loadSchema(file), value, file);
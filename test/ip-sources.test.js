@@ -0,0 +1,71 @@
+// IP source specs and the source chain, using only local sources (file, command)
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// utils.js creates its data directory on import: keep it out of the real config
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+process.env.APERTODNS_CONFIG_DIR = configDir;
+const { parseIpSource, describeIpSource, detectPublicIP } = await import("../utils.js");
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test("parses type:value source specs", () => {
+  assert.deepEqual(parseIpSource("http"), { type: "http", url: null });
+  assert.deepEqual(parseIpSource("http:https://ip.example.com"), { type: "http", url: "https://ip.example.com" });
+  assert.deepEqual(parseIpSource("interface:eth0"), { type: "interface", name: "eth0" });
+  assert.deepEqual(parseIpSource("command:curl -s ip.example.com"), { type: "command", command: "curl -s ip.example.com" });
+  assert.deepEqual(parseIpSource("file:/run/wan_ip"), { type: "file", path: "/run/wan_ip" });
+  assert.deepEqual(parseIpSource("metadata"), { type: "metadata", provider: "aws" });
+  assert.deepEqual(parseIpSource("metadata:gcp"), { type: "metadata", provider: "gcp" });
+  assert.deepEqual(parseIpSource("natpmp:192.168.1.1"), { type: "natpmp", gateway: "192.168.1.1" });
+  assert.deepEqual(parseIpSource(" gateway "), { type: "gateway" });
+});
+
+test("passes object sources through and rejects unknown types", () => {
+  const source = { type: "file", path: "/run/wan_ip", family: "ipv4" };
+  assert.equal(parseIpSource(source), source);
+  assert.throws(() => parseIpSource("carrier-pigeon"), /Unknown IP source "carrier-pigeon"/);
+});
+
+test("describes a source the way it is written", () => {
+  assert.equal(describeIpSource(parseIpSource("file:/run/wan_ip")), "file:/run/wan_ip");
+  assert.equal(describeIpSource(parseIpSource("upnp")), "upnp");
+  assert.equal(describeIpSource(parseIpSource("http")), "http");
+});
+
+test("takes the first public address found in a file", async () => {
+  const file = path.join(configDir, "wan.txt");
+  fs.writeFileSync(file, "lan 192.168.1.10\nwan 8.8.8.8/24, 1.1.1.1\n");
+  const result = await detectPublicIP("ipv4", { sources: [`file:${file}`] });
+  assert.equal(result.ip, "8.8.8.8");
+  assert.equal(result.source, `file:${file}`);
+  assert.equal(result.agreed, null);
+});
+
+test("falls through the chain until a source yields an address", async () => {
+  const missing = path.join(configDir, "missing.txt");
+  const result = await detectPublicIP("ipv4", { sources: [`file:${missing}`, "command:echo 10.0.0.1", "command:echo 9.9.9.9"] });
+  assert.equal(result.ip, "9.9.9.9");
+  assert.equal(result.source, "command:echo 9.9.9.9");
+});
+
+test("skips sources limited to the other family", async () => {
+  const sources = [
+    { type: "command", command: "echo 2001:db8::1", family: "ipv6" },
+    { type: "command", command: "echo 9.9.9.9", command6: "echo 2606:4700::1" }
+  ];
+  assert.equal((await detectPublicIP("ipv4", { sources })).ip, "9.9.9.9");
+  assert.equal((await detectPublicIP("ipv6", { sources })).ip, "2606:4700::1");
+});
+
+test("reports every source that failed", async () => {
+  await assert.rejects(
+    detectPublicIP("ipv4", { sources: ["command:echo 192.168.1.1", "command:exit 3"] }),
+    /Unable to detect ipv4 address \(command:echo 192\.168\.1\.1: no ipv4 address; command:exit 3: /
+  );
+});
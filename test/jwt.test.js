@@ -0,0 +1,78 @@
+// Login JWT expiry
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { decodeJwt, jwtExpiry, isJwtExpired, jwtExpiresWithin } from "../jwt.js";
+
+const NOW = Date.parse("2026-06-01T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+const jwt = (payload) => ["{\"alg\":\"HS256\"}", JSON.stringify(payload), "signature"]
+  .map((part, i) => i < 2 ? Buffer.from(part).toString("base64url") : part).join(".");
+
+test("decodes the payload of a JWT only", () => {
+  assert.deepEqual(decodeJwt(jwt({ sub: "42", exp: 1 })), { sub: "42", exp: 1 });
+  for (const token of ["apertodns_live_abc", "a.b", "a.%%%.c", `x.${Buffer.from("42").toString("base64url")}.y`, null, undefined]) {
+    assert.equal(decodeJwt(token), null, String(token));
+  }
+});
+
+test("reads the expiry from exp", () => {
+  assert.deepEqual(jwtExpiry(jwt({ exp: NOW / 1000 })), new Date(NOW));
+  assert.equal(jwtExpiry(jwt({ sub: "42" })), null);
+  assert.equal(jwtExpiry(jwt({ exp: "tomorrow" })), null);
+  assert.equal(jwtExpiry("apertodns_live_abc"), null);
+});
+
+test("tells expired and expiring tokens apart", () => {
+  const expired = jwt({ exp: (NOW - HOUR) / 1000 });
+  const soon = jwt({ exp: (NOW + HOUR) / 1000 });
+  const later = jwt({ exp: (NOW + 30 * 24 * HOUR) / 1000 });
+
+  assert.equal(isJwtExpired(expired, NOW), true);
+  assert.equal(isJwtExpired(soon, NOW), false);
+  assert.equal(isJwtExpired(jwt({ exp: NOW / 1000 }), NOW), true, "expires at exp itself");
+
+  assert.equal(jwtExpiresWithin(expired, 24 * HOUR, NOW), true);
+  assert.equal(jwtExpiresWithin(soon, 24 * HOUR, NOW), true);
+  assert.equal(jwtExpiresWithin(later, 24 * HOUR, NOW), false);
+
+  // Tokens without exp never count as expired
+  assert.equal(isJwtExpired("apertodns_live_abc", NOW), false);
+  assert.equal(jwtExpiresWithin(jwt({}), 24 * HOUR, NOW), false);
+});
+
+test("a 401 on an expired saved login exits AUTH_EXPIRED", async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(401, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Unauthorized" }));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+  const env = { ...parentEnv, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_URL: `http://127.0.0.1:${server.address().port}` };
+
+  const run = async (exp) => {
+    fs.writeFileSync(path.join(configDir, "config.json"), JSON.stringify({ jwtToken: jwt({ exp }) }), { mode: 0o600 });
+    return new Promise(resolve => execFile(process.execPath,
+      [fileURLToPath(new URL("../index.js", import.meta.url)), "domains", "--json"], { env, timeout: 20000 },
+      (err, stdout) => resolve({ code: err ? err.code : 0, output: JSON.parse(stdout) })));
+  };
+
+  try {
+    const expired = await run(Math.floor(Date.now() / 1000) - 3600);
+    assert.equal(expired.code, 9);
+    assert.equal(expired.output.error.code, "AUTH_EXPIRED");
+
+    const valid = await run(Math.floor(Date.now() / 1000) + 30 * 24 * 3600);
+    assert.equal(valid.code, 3, "a rejected login that has not expired is a plain AUTH failure");
+  } finally {
+    server.close();
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,42 @@
+// Single-instance lock and PID file
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// utils.js creates its data directory on import: keep it out of the real config
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+process.env.APERTODNS_CONFIG_DIR = configDir;
+const { acquireLock, releaseLock } = await import("../utils.js");
+
+const lockPath = path.join(configDir, "daemon.lock");
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test("writes this process's PID and releases it", () => {
+  acquireLock(lockPath);
+  assert.equal(fs.readFileSync(lockPath, "utf-8"), `${process.pid}\n`);
+  releaseLock(lockPath);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test("refuses a lock held by a running process", () => {
+  // PID 1 always exists
+  fs.writeFileSync(lockPath, "1\n");
+  assert.throws(() => acquireLock(lockPath), err => err.pid === 1 && /held by PID 1/.test(err.message));
+  releaseLock(lockPath);
+  assert.equal(fs.readFileSync(lockPath, "utf-8"), "1\n", "another process's lock is left alone");
+  fs.unlinkSync(lockPath);
+});
+
+test("takes over a lock left by a process that exited", () => {
+  const { pid } = spawnSync(process.execPath, ["-e", ""]);
+  fs.writeFileSync(lockPath, `${pid}\n`);
+  acquireLock(lockPath);
+  assert.equal(fs.readFileSync(lockPath, "utf-8"), `${process.pid}\n`);
+  releaseLock(lockPath);
+});
@@ -0,0 +1,105 @@
+// Non-interactive login with secrets read from stdin
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+const EXP = Math.floor(Date.parse("2030-01-01T00:00:00Z") / 1000);
+const JWT = ["{\"alg\":\"HS256\"}", JSON.stringify({ sub: "42", exp: EXP })].map(part => Buffer.from(part).toString("base64url")).join(".") + ".sig";
+
+let server;
+let configDir;
+const logins = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url === "/api/auth/cli-login" && req.method === "POST") {
+        const { email, password } = JSON.parse(body);
+        logins.push({ email, password });
+        if (password !== "correct horse") {
+          res.statusCode = 401;
+          return res.end(JSON.stringify({ error: "Invalid credentials" }));
+        }
+        return res.end(JSON.stringify({ token: JWT }));
+      }
+      if (req.url === "/api/domains") {
+        if (req.headers["x-api-key"] !== "apertodns_live_good") {
+          res.statusCode = 401;
+          return res.end("{}");
+        }
+        return res.end("[]");
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+});
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  logins.length = 0;
+});
+
+afterEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+after(() => {
+  server.close();
+});
+
+const login = (argv, stdin) => new Promise((resolve) => {
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+  const env = { ...parentEnv, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_URL: `http://127.0.0.1:${server.address().port}` };
+  const child = execFile(process.execPath, [CLI, "login", ...argv, "--json"], { env, timeout: 20000 }, (err, stdout) => {
+    resolve({ code: err ? err.code : 0, output: JSON.parse(stdout) });
+  });
+  child.stdin.end(stdin);
+});
+
+const savedConfig = () => {
+  const file = path.join(configDir, "config.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null;
+};
+
+test("--password-stdin logs in and --save keeps the JWT", async () => {
+  const { code, output } = await login(["--email", "me@example.com", "--password-stdin", "--save"], "correct horse\n");
+  assert.equal(code, 0);
+  assert.deepEqual(logins, [{ email: "me@example.com", password: "correct horse" }]);
+  assert.deepEqual(output.data, { credentials: "jwt", profile: "default", saved: true, domain: null, expiresAt: "2030-01-01T00:00:00.000Z" });
+  assert.equal(savedConfig().jwtToken, JWT);
+});
+
+test("a wrong password is an AUTH failure and saves nothing", async () => {
+  const { code, output } = await login(["--email", "me@example.com", "--password-stdin", "--save"], "wrong\n");
+  assert.equal(code, 3);
+  assert.equal(output.error.message, "Email o password errate");
+  assert.equal(savedConfig(), null);
+});
+
+test("--api-key-stdin only verifies the key without --save", async () => {
+  const { code, output } = await login(["--api-key-stdin"], "apertodns_live_good");
+  assert.equal(code, 0);
+  assert.equal(output.data.credentials, "apiKey");
+  assert.equal(output.data.saved, false);
+  assert.equal(savedConfig(), null);
+
+  assert.equal((await login(["--api-key-stdin"], "apertodns_live_revoked\n")).code, 3);
+});
+
+test("refuses a password on the command line or an empty stdin", async () => {
+  assert.equal((await login(["--email", "me@example.com", "--password", "correct horse"], "")).code, 2);
+  assert.equal((await login(["--email", "me@example.com", "--password-stdin"], "")).code, 2);
+  assert.equal((await login(["--password-stdin"], "correct horse")).code, 2);
+  assert.deepEqual(logins, []);
+});
@@ -0,0 +1,87 @@
+// Prometheus registry, listen addresses and the daemon's health endpoint
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMetrics, parseListenAddress, startHealthServer } from "../metrics.js";
+
+test("renders counters and gauges with escaped labels", () => {
+  const metrics = createMetrics();
+  const updates = metrics.counter("apertodns_updates_total", "DNS updates sent");
+  updates.inc({ domain: "home.apertodns.com", result: "success" });
+  updates.inc({ domain: "home.apertodns.com", result: "success" }, 2);
+  metrics.gauge("apertodns_up", "Daemon running").set({ note: 'say "hi"\\\n' }, 1);
+
+  assert.equal(metrics.render(), [
+    "# HELP apertodns_updates_total DNS updates sent",
+    "# TYPE apertodns_updates_total counter",
+    'apertodns_updates_total{domain="home.apertodns.com",result="success"} 3',
+    "# HELP apertodns_up Daemon running",
+    "# TYPE apertodns_up gauge",
+    'apertodns_up{note="say \\"hi\\"\\\\\\n"} 1',
+    ""
+  ].join("\n"));
+});
+
+test("renders cumulative histogram buckets, sum and count", () => {
+  const metrics = createMetrics();
+  const duration = metrics.histogram("apertodns_request_seconds", "API request duration", [0.1, 1]);
+  duration.observe({}, 0.05);
+  duration.observe({}, 0.5);
+  duration.observe({}, 3);
+
+  const lines = metrics.render().trim().split("\n");
+  assert.deepEqual(lines.slice(2), [
+    'apertodns_request_seconds_bucket{le="0.1"} 1',
+    'apertodns_request_seconds_bucket{le="1"} 2',
+    'apertodns_request_seconds_bucket{le="+Inf"} 3',
+    "apertodns_request_seconds_sum 3.55",
+    "apertodns_request_seconds_count 3"
+  ]);
+});
+
+test("defining a metric twice keeps its series", () => {
+  const metrics = createMetrics();
+  metrics.counter("apertodns_checks_total", "Checks").inc();
+  metrics.counter("apertodns_checks_total", "Checks").inc();
+  assert.match(metrics.render(), /^apertodns_checks_total 2$/m);
+});
+
+test("parses listen addresses, loopback by default", () => {
+  assert.deepEqual(parseListenAddress("9477"), { host: "127.0.0.1", port: 9477 });
+  assert.deepEqual(parseListenAddress(":9477"), { host: "127.0.0.1", port: 9477 });
+  assert.deepEqual(parseListenAddress("0.0.0.0:9477"), { host: "0.0.0.0", port: 9477 });
+  assert.deepEqual(parseListenAddress("[::1]:9477"), { host: "::1", port: 9477 });
+  assert.throws(() => parseListenAddress("localhost"), /Invalid listen address "localhost"/);
+});
+
+test("serves /healthz, /status and /metrics", async () => {
+  const metrics = createMetrics();
+  metrics.gauge("apertodns_up", "Daemon running").set({}, 1);
+  let healthy = true;
+  const server = await startHealthServer({
+    host: "127.0.0.1",
+    port: 0,
+    metrics,
+    getHealth: () => ({ healthy }),
+    getStatus: () => ({ domains: ["home.apertodns.com"] })
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    assert.equal((await fetch(`${base}/healthz`)).status, 200);
+    healthy = false;
+    const unhealthy = await fetch(`${base}/healthz`);
+    assert.equal(unhealthy.status, 503);
+    assert.deepEqual(await unhealthy.json(), { healthy: false });
+
+    assert.deepEqual(await (await fetch(`${base}/status`)).json(), { domains: ["home.apertodns.com"] });
+
+    const scrape = await fetch(`${base}/metrics`);
+    assert.equal(scrape.headers.get("content-type"), "text/plain; version=0.0.4");
+    assert.match(await scrape.text(), /^apertodns_up 1$/m);
+
+    assert.equal((await fetch(`${base}/other`)).status, 404);
+    assert.equal((await fetch(`${base}/status`, { method: "POST" })).status, 405);
+  } finally {
+    server.close();
+  }
+});
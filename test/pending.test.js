@@ -0,0 +1,44 @@
+// Pending updates persisted between daemon checks
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// utils.js creates its data directory on import: keep it out of the real config
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+process.env.APERTODNS_CONFIG_DIR = configDir;
+const { loadPendingUpdates, savePendingUpdate, clearPendingUpdate } = await import("../utils.js");
+
+const pendingFile = path.join(configDir, ".data", "pending_updates.json");
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test("starts with no pending updates", () => {
+  assert.deepEqual(loadPendingUpdates(), {});
+});
+
+test("keeps one pending update per domain across loads", () => {
+  const first = { ipv4: "8.8.8.8", attempts: 1, nextAttemptAt: "2026-01-01T00:00:30.000Z", lastError: "HTTP 503" };
+  savePendingUpdate("home.apertodns.com", first);
+  savePendingUpdate("nas.apertodns.com", { ipv6: "2606:4700::1", attempts: 1 });
+  savePendingUpdate("home.apertodns.com", { ...first, attempts: 2 });
+
+  const pending = loadPendingUpdates();
+  assert.deepEqual(Object.keys(pending).sort(), ["home.apertodns.com", "nas.apertodns.com"]);
+  assert.equal(pending["home.apertodns.com"].attempts, 2);
+  assert.deepEqual(JSON.parse(fs.readFileSync(pendingFile, "utf-8")), pending);
+});
+
+test("clears only the given domain", () => {
+  clearPendingUpdate("home.apertodns.com");
+  clearPendingUpdate("unknown.apertodns.com");
+  assert.deepEqual(Object.keys(loadPendingUpdates()), ["nas.apertodns.com"]);
+});
+
+test("treats a corrupt file as empty", () => {
+  fs.writeFileSync(pendingFile, "{not json");
+  assert.deepEqual(loadPendingUpdates(), {});
+});
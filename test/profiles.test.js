@@ -0,0 +1,90 @@
+// Named profiles inside config.json
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  DEFAULT_PROFILE, validateProfileName, profileNames, hasProfile, getProfile, setProfile, removeProfile, setActiveProfile, credentialType
+} from "../profiles.js";
+
+const legacy = { jwtToken: "jwt", domain: "home.apertodns.com" };
+
+test("the top-level fields are the default profile", () => {
+  const file = { ...legacy, activeProfile: "work", encryption: { method: "keyring" }, profiles: { work: { apiKey: "k" } } };
+  assert.deepEqual(getProfile(file, DEFAULT_PROFILE), legacy);
+  assert.deepEqual(getProfile(file, "work"), { apiKey: "k" });
+  assert.equal(getProfile(file, "missing"), null);
+  assert.deepEqual(profileNames(file), ["default", "work"]);
+  assert.deepEqual(profileNames(legacy), ["default"]);
+});
+
+test("profile lookups ignore inherited keys", () => {
+  assert.equal(hasProfile(legacy, DEFAULT_PROFILE), true);
+  assert.equal(hasProfile({ profiles: { work: {} } }, "work"), true);
+  assert.equal(hasProfile({ profiles: {} }, "constructor"), false);
+});
+
+test("setting the default profile keeps the file fields", () => {
+  const file = { ...legacy, activeProfile: "work", profiles: { work: { apiKey: "k" } } };
+  assert.deepEqual(setProfile(file, DEFAULT_PROFILE, { apiKey: "new" }), { apiKey: "new", activeProfile: "work", profiles: { work: { apiKey: "k" } } });
+  assert.deepEqual(setProfile(legacy, "work", { apiKey: "k" }), { ...legacy, profiles: { work: { apiKey: "k" } } });
+  assert.deepEqual(legacy, { jwtToken: "jwt", domain: "home.apertodns.com" }, "the input is not modified");
+});
+
+test("removing the active profile falls back to the default one", () => {
+  const file = { ...legacy, activeProfile: "work", profiles: { work: { apiKey: "k" }, lab: {} } };
+  assert.deepEqual(removeProfile(file, "work"), { ...legacy, profiles: { lab: {} } });
+  assert.deepEqual(removeProfile(removeProfile(file, "work"), "lab"), legacy);
+  assert.throws(() => removeProfile(file, DEFAULT_PROFILE), /cannot be removed/);
+});
+
+test("the default profile is never written as activeProfile", () => {
+  assert.deepEqual(setActiveProfile(legacy, "work"), { ...legacy, activeProfile: "work" });
+  assert.deepEqual(setActiveProfile({ ...legacy, activeProfile: "work" }, DEFAULT_PROFILE), legacy);
+});
+
+test("profile names are short identifiers", () => {
+  for (const name of ["work", "home-nas", "lab_2", "A".repeat(32)]) assert.equal(validateProfileName(name), name);
+  for (const name of ["", undefined, "-work", "my profile", "../x", "A".repeat(33)]) {
+    assert.throws(() => validateProfileName(name), /is not valid/, String(name));
+  }
+});
+
+test("credential types for listings", () => {
+  assert.equal(credentialType({ apiKey: "k", jwtToken: "j" }), "apiKey");
+  assert.equal(credentialType({ jwtToken: "j" }), "jwt");
+  assert.equal(credentialType({ apiToken: "t" }), "token");
+  assert.equal(credentialType({}), null);
+  assert.equal(credentialType(null), null);
+});
+
+test("profile add, use and --profile select the profile's settings", async () => {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  const run = (argv) => new Promise((resolve) => {
+    const { APERTODNS_API_KEY, APERTODNS_PROFILE, ...parentEnv } = process.env;
+    execFile(process.execPath, [fileURLToPath(new URL("../index.js", import.meta.url)), ...argv, "--json"],
+      { env: { ...parentEnv, APERTODNS_CONFIG_DIR: configDir }, timeout: 20000 },
+      (err, stdout) => resolve({ code: err ? err.code : 0, output: JSON.parse(stdout) }));
+  });
+
+  try {
+    assert.equal((await run(["profile", "add", "work", "--api-key", "apertodns_live_work", "--ip-quorum", "3"])).code, 0);
+    const bad = await run(["profile", "add", "lab", "--ip-quorum", "two"]);
+    assert.equal(bad.code, 2);
+    assert.equal(bad.output.error.code, "USAGE");
+
+    const config = JSON.parse(fs.readFileSync(path.join(configDir, "config.json"), "utf-8"));
+    assert.deepEqual(Object.keys(config.profiles), ["work"]);
+    assert.equal(config.profiles.work.ipQuorum, 3);
+
+    assert.equal((await run(["profile", "use", "work"])).code, 0);
+    const list = (await run(["profile", "list"])).output.data;
+    assert.equal(list.active, "work");
+    assert.equal((await run(["profile", "use", "nope"])).code, 4);
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,100 @@
+// Propagation quorum and polling, against DNS servers on loopback
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiredMatches, waitForPropagation } from "../propagation.js";
+import { startDnsServer } from "./helpers/dns-server.js";
+
+const NAME = "home.apertodns.com";
+
+let early;
+let late;
+let lateRecords;
+
+before(async () => {
+  early = await startDnsServer({ [NAME]: { A: [[60, "8.8.8.8"]], AAAA: [[60, "2606:4700:0:0::1"]] } });
+  lateRecords = { [NAME]: { A: [[60, "1.1.1.1"]] } };
+  late = await startDnsServer(lateRecords);
+});
+
+after(() => {
+  early.close();
+  late.close();
+});
+
+test("a numeric quorum is capped at the resolvers queried", () => {
+  assert.equal(requiredMatches("2", 4), 2);
+  assert.equal(requiredMatches(5, 3), 3);
+});
+
+test("\"all\" counts only the resolvers that could be queried", () => {
+  assert.equal(requiredMatches("all", 4), 4);
+  assert.equal(requiredMatches("all", 4, 1), 3);
+});
+
+test("waits until every resolver publishes the value", async () => {
+  lateRecords[NAME].A = [[60, "1.1.1.1"]];
+  const rounds = [];
+  const report = await waitForPropagation({
+    name: NAME,
+    type: "A",
+    expect: "8.8.8.8",
+    resolvers: [early.address, late.address],
+    interval: 0.05,
+    timeout: 10,
+    onProgress: (progress) => {
+      rounds.push(progress.status);
+      lateRecords[NAME].A = [[60, "8.8.8.8"]];
+    }
+  });
+
+  assert.equal(report.status, "propagated");
+  assert.equal(report.propagated, true);
+  assert.deepEqual([report.quorum, report.matched, report.total], [2, 2, 2]);
+  assert.deepEqual(rounds, ["waiting", "propagated"]);
+  assert.equal(report.resolvers[0].attempts, 1, "a matched resolver is not queried again");
+  assert.equal(report.resolvers[1].attempts, 2);
+  assert.ok(!("client" in report.resolvers[0]));
+});
+
+test("stops at a numeric quorum", async () => {
+  lateRecords[NAME].A = [[60, "1.1.1.1"]];
+  const report = await waitForPropagation({
+    name: NAME, type: "A", expect: "8.8.8.8", resolvers: [early.address, late.address], quorum: 1, interval: 0.05, timeout: 10
+  });
+  assert.equal(report.status, "propagated");
+  assert.equal(report.matched, 1);
+});
+
+test("compares IPv6 addresses in canonical form", async () => {
+  const report = await waitForPropagation({
+    name: NAME, type: "AAAA", expect: "2606:4700::0:1", resolvers: [early.address], interval: 0.05, timeout: 10
+  });
+  assert.equal(report.status, "propagated");
+});
+
+test("reports a timeout with what each resolver returned", async () => {
+  lateRecords[NAME].A = [[60, "1.1.1.1"]];
+  const report = await waitForPropagation({
+    name: NAME, type: "A", expect: "8.8.8.8", resolvers: [late.address], interval: 0.05, timeout: 0.2
+  });
+  assert.equal(report.status, "timeout");
+  assert.equal(report.propagated, false);
+  assert.deepEqual(report.resolvers[0].values, ["1.1.1.1"]);
+});
+
+test("\"all\" leaves out resolvers that failed at setup", async () => {
+  const report = await waitForPropagation({
+    name: NAME, type: "A", expect: "8.8.8.8", resolvers: [early.address, "not-a-resolver"], interval: 0.05, timeout: 10
+  });
+  assert.equal(report.status, "propagated");
+  assert.deepEqual([report.quorum, report.total], [1, 2]);
+  assert.deepEqual(report.unavailable, ["not-a-resolver"]);
+  assert.ok(report.resolvers[1].error);
+});
+
+test("refuses to wait when no resolver can be queried", async () => {
+  await assert.rejects(
+    waitForPropagation({ name: NAME, type: "A", expect: "8.8.8.8", resolvers: ["not-a-resolver"], timeout: 1 }),
+    /no usable resolvers \(not-a-resolver: /
+  );
+});
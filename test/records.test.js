@@ -0,0 +1,90 @@
+// Client-side validation of CNAME, MX, CAA and SRV records
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseRecord, validateRecordName, formatRecordValue } from "../records.js";
+
+test("record names are @ or relative host names", () => {
+  assert.equal(validateRecordName("@"), "@");
+  assert.equal(validateRecordName("WWW"), "www");
+  assert.equal(validateRecordName("_sip._tcp"), "_sip._tcp");
+  for (const bad of ["", undefined, "-www", "www-", "a..b", "www example", `${"a".repeat(64)}`]) {
+    assert.throws(() => validateRecordName(bad), /is not valid/, String(bad));
+  }
+});
+
+test("parses a CNAME, normalizing the target", () => {
+  assert.deepEqual(parseRecord("cname", "www", "Home.ApertoDNS.com."), {
+    type: "CNAME",
+    name: "www",
+    value: "home.apertodns.com",
+    fields: { target: "home.apertodns.com" }
+  });
+  assert.throws(() => parseRecord("CNAME", "@", "home.apertodns.com"), /cannot be placed on the hostname itself/);
+  assert.throws(() => parseRecord("CNAME", "www", "a b"), /single target/);
+});
+
+test("parses an MX with its priority", () => {
+  assert.equal(parseRecord("MX", "@", "10 mail.apertodns.com").value, "10 mail.apertodns.com");
+  assert.equal(parseRecord("MX", "@", "0 .").value, "0 .", "null MX");
+  assert.throws(() => parseRecord("MX", "@", "mail.apertodns.com"), /"<priority> <exchange>"/);
+  assert.throws(() => parseRecord("MX", "@", "70000 mail.apertodns.com"), /MX priority must be an integer between 0 and 65535/);
+  assert.throws(() => parseRecord("MX", "@", "10 mail_.apertodns.com!"), /MX exchange .* is not a valid host name/);
+});
+
+test("parses CAA issue, issuewild and iodef values", () => {
+  assert.deepEqual(parseRecord("CAA", "@", "0 issue letsencrypt.org").fields, { flags: 0, tag: "issue", value: "letsencrypt.org" });
+  assert.equal(parseRecord("CAA", "@", '128 ISSUEWILD "letsencrypt.org; accounturi=https://acme.example/acct/1"').value,
+    '128 issuewild "letsencrypt.org; accounturi=https://acme.example/acct/1"');
+  assert.equal(parseRecord("CAA", "@", '0 issue ";"').value, '0 issue ";"', "forbid issuance");
+  assert.equal(parseRecord("CAA", "@", "0 iodef mailto:security@apertodns.com").fields.value, "mailto:security@apertodns.com");
+
+  assert.throws(() => parseRecord("CAA", "@", "0 issue"), /"<flags> <tag> <value>"/);
+  assert.throws(() => parseRecord("CAA", "@", "256 issue letsencrypt.org"), /CAA flags/);
+  assert.throws(() => parseRecord("CAA", "@", "0 contactemail a@b.c"), /CAA tag "contactemail" is not supported/);
+  assert.throws(() => parseRecord("CAA", "@", "0 iodef security@apertodns.com"), /mailto: or http\(s\): URL/);
+  assert.throws(() => parseRecord("CAA", "@", "0 issue not_a_domain!"), /CAA issuer "not_a_domain!" is not a valid domain/);
+});
+
+test("parses an SRV under a _service._proto name", () => {
+  assert.deepEqual(parseRecord("SRV", "_sip._tcp", "10 5 5060 sip.apertodns.com").fields, {
+    priority: 10, weight: 5, port: 5060, target: "sip.apertodns.com"
+  });
+  assert.equal(parseRecord("SRV", "_imaps._tcp.mail", "0 0 0 .").value, "0 0 0 .");
+  assert.throws(() => parseRecord("SRV", "sip", "10 5 5060 sip.apertodns.com"), /must start with "_service._proto"/);
+  assert.throws(() => parseRecord("SRV", "_sip._tcp", "10 5 sip.apertodns.com"), /"<priority> <weight> <port> <target>"/);
+  assert.throws(() => parseRecord("SRV", "_sip._tcp", "10 5 99999 sip.apertodns.com"), /SRV port/);
+});
+
+test("rejects unsupported types and empty values", () => {
+  assert.throws(() => parseRecord("A", "www", "8.8.8.8"), /Record type "A" is not supported \(use CNAME, MX, CAA, SRV\)/);
+  assert.throws(() => parseRecord("MX", "@", "  "), /A value is required for MX records/);
+});
+
+test("formats API fields back to presentation text", () => {
+  assert.equal(formatRecordValue("CNAME", { target: "home.apertodns.com" }), "home.apertodns.com");
+  assert.equal(formatRecordValue("MX", { priority: 10, exchange: "mail.apertodns.com" }), "10 mail.apertodns.com");
+  assert.equal(formatRecordValue("CAA", { flags: 0, tag: "issue", value: "letsencrypt.org" }), '0 issue "letsencrypt.org"');
+  assert.equal(formatRecordValue("SRV", { priority: 1, weight: 2, port: 443, target: "web.apertodns.com" }), "1 2 443 web.apertodns.com");
+  assert.equal(formatRecordValue("TXT", {}), "");
+});
+
+test("records add rejects a bad --ttl before any request", async () => {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  // Nothing listens on port 9: a request would fail with NETWORK (6), not USAGE (2)
+  const env = { ...process.env, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_URL: "http://127.0.0.1:9", APERTODNS_API_KEY: "apertodns_live_test" };
+  const argv = [fileURLToPath(new URL("../index.js", import.meta.url)), "records", "add", "home.apertodns.com",
+    "--type", "CNAME", "--name", "www", "--value", "example.com", "--ttl", "1h", "--json"];
+  try {
+    const { code, stdout } = await new Promise(resolve => execFile(process.execPath, argv, { env, timeout: 20000 },
+      (err, stdout) => resolve({ code: err ? err.code : 0, stdout })));
+    assert.equal(code, 2);
+    assert.match(JSON.parse(stdout).error.message, /--ttl/);
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+// Record queries through Node's resolver, against a DNS server on loopback
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { newResolver, queryRecord, resolveServerSpec } from "../resolver.js";
+import { startDnsServer, closedDnsAddress } from "./helpers/dns-server.js";
+
+let dns;
+
+before(async () => {
+  dns = await startDnsServer({
+    "home.apertodns.com": {
+      A: [[300, "8.8.8.8"], [60, "1.1.1.1"]],
+      AAAA: [[120, "2606:4700::1"]],
+      TXT: [[60, "v=spf1 -all"]],
+      MX: [[60, "10 mx.apertodns.com"]]
+    },
+    "www.apertodns.com": { CNAME: [[60, "home.apertodns.com"]] }
+  });
+});
+
+after(() => {
+  dns.close();
+});
+
+test("returns every address and the lowest TTL", async () => {
+  const result = await queryRecord(newResolver([dns.address]), "home.apertodns.com", "A");
+  assert.deepEqual(result.values.sort(), ["1.1.1.1", "8.8.8.8"]);
+  assert.equal(result.ttl, 60);
+  assert.equal(result.error, null);
+  assert.ok(Number.isInteger(result.time));
+});
+
+test("formats answers as zone file text", async () => {
+  const resolver = newResolver([dns.address]);
+  assert.deepEqual((await queryRecord(resolver, "home.apertodns.com", "AAAA")).values, ["2606:4700::1"]);
+  assert.deepEqual((await queryRecord(resolver, "home.apertodns.com", "TXT")).values, ["v=spf1 -all"]);
+  assert.deepEqual((await queryRecord(resolver, "home.apertodns.com", "MX")).values, ["10 mx.apertodns.com"]);
+  assert.deepEqual((await queryRecord(resolver, "www.apertodns.com", "CNAME")).values, ["home.apertodns.com"]);
+  // Node does not report TTLs outside A and AAAA
+  assert.equal((await queryRecord(resolver, "home.apertodns.com", "TXT")).ttl, null);
+});
+
+test("a missing record or name is an empty answer", async () => {
+  const resolver = newResolver([dns.address]);
+  assert.deepEqual(await queryRecord(resolver, "www.apertodns.com", "AAAA").then(r => [r.values, r.error]), [[], null]);
+  assert.deepEqual(await queryRecord(resolver, "nope.apertodns.com", "A").then(r => [r.values, r.error]), [[], null]);
+});
+
+test("a resolver that does not answer is an error", async () => {
+  const result = await queryRecord(newResolver([await closedDnsAddress()]), "home.apertodns.com", "A");
+  assert.deepEqual(result.values, []);
+  assert.ok(result.error);
+});
+
+test("server specs name a resolver address or the system resolvers", async () => {
+  assert.deepEqual(await resolveServerSpec("9.9.9.9:5353", "home.apertodns.com"), { label: "9.9.9.9:5353", servers: ["9.9.9.9:5353"] });
+  const system = await resolveServerSpec("system", "home.apertodns.com");
+  assert.equal(system.label, "system");
+  assert.ok(Array.isArray(system.servers));
+});
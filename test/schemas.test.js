@@ -0,0 +1,79 @@
+// --json output against the published JSON Schemas
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { EXIT } from "../errors.js";
+import { waitForPropagation } from "../propagation.js";
+import { schemaFiles, loadSchema, resolveRef, validate } from "./helpers/json-schema.js";
+import { startDnsServer } from "./helpers/dns-server.js";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+// Nothing listens on port 9, so a command that reaches the API fails with NETWORK
+const runCli = (argv) => new Promise((resolve) => {
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+  const env = { ...parentEnv, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_URL: "http://127.0.0.1:9" };
+  execFile(process.execPath, [CLI, ...argv], { env, timeout: 20000 }, (err, stdout) => {
+    resolve({ code: err ? err.code : 0, output: JSON.parse(stdout) });
+  });
+});
+
+const refsIn = (node) => {
+  if (!node || typeof node !== "object") return [];
+  return Object.entries(node).flatMap(([key, value]) => key === "$ref" ? [value] : refsIn(value));
+};
+
+test("every schema parses and its references resolve", () => {
+  for (const file of schemaFiles()) {
+    const schema = loadSchema(file);
+    assert.equal(schema.$schema, "https://json-schema.org/draft/2020-12/schema", file);
+    for (const ref of refsIn(schema)) assert.doesNotThrow(() => resolveRef(ref, file), `${file}: ${ref}`);
+  }
+});
+
+test("the envelope lists every failure exit code", () => {
+  const codes = resolveRef("#/$defs/error", "envelope.json").schema.properties.code.enum;
+  const failures = Object.keys(EXIT).filter(name => !["OK", "UNCHANGED"].includes(name));
+  assert.deepEqual([...codes].sort(), failures.sort());
+});
+
+test("rejects documents that break the envelope", () => {
+  assert.notDeepEqual(validate("version.json", { ok: true, command: "version", data: {}, error: null, schemaVersion: 1 }), []);
+  assert.notDeepEqual(validate("version.json", { ok: false, command: "version", data: null, error: null, schemaVersion: 1 }), []);
+});
+
+test("--version --json matches its schema", async () => {
+  const { code, output } = await runCli(["--version", "--json"]);
+  assert.equal(code, 0);
+  assert.deepEqual(validate("version.json", output), []);
+});
+
+test("a failure is an error envelope with the exit code's name", async () => {
+  const { code, output } = await runCli(["domains", "--json"]);
+  assert.equal(code, EXIT.AUTH);
+  assert.equal(output.ok, false);
+  assert.equal(output.error.code, "AUTH");
+  assert.deepEqual(validate("domains.list.json", output), []);
+});
+
+test("a propagation report matches its schema", async () => {
+  const dns = await startDnsServer({ "home.apertodns.com": { A: [[60, "8.8.8.8"]] } });
+  try {
+    const data = await waitForPropagation({
+      name: "home.apertodns.com", type: "A", expect: "8.8.8.8", resolvers: [dns.address, "not-a-resolver"], interval: 0.05, timeout: 5
+    });
+    const output = { ok: true, command: "propagation", data, error: null, schemaVersion: 1 };
+    assert.deepEqual(validate("propagation.json", output), []);
+  } finally {
+    dns.close();
+  }
+});
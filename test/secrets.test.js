@@ -0,0 +1,98 @@
+// Private config files, secret files and credential encryption at rest
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  isEncrypted, isTooOpen, writePrivateFile, readSecretFile, encryptValue, decryptValue, randomKey, deriveKey,
+  newEncryption, newSalt, verifyKey, hasEncryptedSecrets, hasPlainSecrets, encryptSecrets, decryptSecrets
+} from "../secrets.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+const posix = process.platform !== "win32";
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("writes private files 0600, replacing open ones", { skip: !posix }, () => {
+  const file = path.join(dir, "config.json");
+  fs.writeFileSync(file, "{}", { mode: 0o644 });
+  fs.chmodSync(file, 0o644);
+  assert.equal(isTooOpen(file), true);
+
+  writePrivateFile(file, '{"apiKey":"k"}');
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.equal(isTooOpen(file), false);
+  assert.equal(fs.readFileSync(file, "utf-8"), '{"apiKey":"k"}');
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith(".tmp")), []);
+  assert.equal(isTooOpen(path.join(dir, "missing.json")), false);
+});
+
+test("reads secret files without the trailing newline", () => {
+  const file = path.join(dir, "api_key");
+  fs.writeFileSync(file, "apertodns_live_abc\r\n");
+  assert.equal(readSecretFile(file), "apertodns_live_abc");
+  fs.writeFileSync(file, "\n");
+  assert.throws(() => readSecretFile(file), /is empty/);
+  assert.throws(() => readSecretFile(path.join(dir, "nope")), /Cannot read secret file/);
+});
+
+test("encrypted values round-trip and fail with another key", () => {
+  const key = randomKey();
+  const value = encryptValue("apertodns_live_abc", key);
+  assert.equal(isEncrypted(value), true);
+  assert.match(value, /^enc:v1:[\w-]+:[\w-]+:[\w-]+$/);
+  assert.notEqual(encryptValue("apertodns_live_abc", key), value, "a fresh IV every time");
+  assert.equal(decryptValue(value, key), "apertodns_live_abc");
+  assert.throws(() => decryptValue(value, randomKey()), /wrong passphrase or key/);
+  assert.equal(isEncrypted("apertodns_live_abc"), false);
+});
+
+test("a passphrase derives the same key from the saved salt", () => {
+  const salt = newSalt();
+  const encryption = newEncryption("passphrase", deriveKey("correct horse", salt), salt);
+  assert.equal(encryption.salt, salt);
+  assert.ok(verifyKey(encryption, deriveKey("correct horse", salt)));
+  assert.throws(() => verifyKey(encryption, deriveKey("wrong horse", salt)), /wrong passphrase or key/);
+  assert.equal("salt" in newEncryption("keyring", randomKey()), false);
+});
+
+test("encrypts the credentials of every profile and nothing else", () => {
+  const key = randomKey();
+  const file = {
+    jwtToken: "jwt", domain: "home.apertodns.com",
+    profiles: { work: { apiKey: "apertodns_live_work", apiUrl: "https://dns.example.com" }, empty: {} }
+  };
+  assert.equal(hasPlainSecrets(file), true);
+
+  const encrypted = encryptSecrets(file, key);
+  assert.equal(encrypted.domain, "home.apertodns.com");
+  assert.equal(encrypted.profiles.work.apiUrl, "https://dns.example.com");
+  assert.ok(isEncrypted(encrypted.jwtToken) && isEncrypted(encrypted.profiles.work.apiKey));
+  assert.equal(hasPlainSecrets(encrypted), false);
+  assert.equal(hasEncryptedSecrets(encrypted.profiles.work), true);
+  assert.equal(hasEncryptedSecrets(encrypted.profiles.empty), false);
+
+  assert.deepEqual(encryptSecrets(encrypted, key), encrypted, "already encrypted values are kept");
+  assert.deepEqual(decryptSecrets(encrypted, key), file);
+});
+
+test("--api-key-file saves the key in a 0600 config.json", { skip: !posix }, async () => {
+  const configDir = fs.mkdtempSync(path.join(dir, "config-"));
+  const keyFile = path.join(dir, "mounted_key");
+  fs.writeFileSync(keyFile, "apertodns_live_fromfile\n");
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+
+  const code = await new Promise(resolve => execFile(process.execPath,
+    [fileURLToPath(new URL("../index.js", import.meta.url)), "profile", "add", "work", "--api-key-file", keyFile, "--json"],
+    { env: { ...parentEnv, APERTODNS_CONFIG_DIR: configDir }, timeout: 20000 }, (err) => resolve(err ? err.code : 0)));
+
+  assert.equal(code, 0);
+  const configFile = path.join(configDir, "config.json");
+  assert.equal(fs.statSync(configFile).mode & 0o777, 0o600);
+  assert.equal(JSON.parse(fs.readFileSync(configFile, "utf-8")).profiles.work.apiKey, "apertodns_live_fromfile");
+});
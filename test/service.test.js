@@ -0,0 +1,77 @@
+// systemd unit and OpenRC script generation
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { buildSystemdUnit, buildOpenRcScript, systemdUnitPath, openRcScriptPath } from "../service.js";
+
+const COMMAND = ["/usr/bin/node", "/opt/apertodns/index.js", "--daemon", "--interval", "300"];
+
+test("a user unit runs the daemon without the system sandbox", () => {
+  const unit = buildSystemdUnit({ scope: "user", command: COMMAND, env: { APERTODNS_CONFIG_DIR: "/home/me/.config/apertodns" } });
+  const lines = unit.split("\n");
+  assert.ok(lines.includes("ExecStart=/usr/bin/node /opt/apertodns/index.js --daemon --interval 300"));
+  assert.ok(lines.includes("Environment=APERTODNS_CONFIG_DIR=/home/me/.config/apertodns"));
+  assert.ok(lines.includes("ExecReload=/bin/kill -HUP $MAINPID"));
+  assert.ok(lines.includes("NoNewPrivileges=yes"));
+  assert.ok(lines.includes("WantedBy=default.target"));
+  assert.ok(!lines.some(l => /^(User|ProtectSystem|After)=/.test(l)));
+});
+
+test("a system unit waits for the network, drops privileges and is sandboxed", () => {
+  const unit = buildSystemdUnit({
+    scope: "system",
+    command: COMMAND,
+    user: "apertodns",
+    writablePaths: ["/var/lib/apertodns", "/etc/aperto dns"]
+  });
+  const lines = unit.split("\n");
+  assert.ok(lines.includes("After=network-online.target"));
+  assert.ok(lines.includes("User=apertodns"));
+  assert.ok(lines.includes("ProtectSystem=strict"));
+  assert.ok(lines.includes("ReadWritePaths=/var/lib/apertodns"));
+  assert.ok(lines.includes('ReadWritePaths="/etc/aperto dns"'));
+  assert.ok(lines.includes("CapabilityBoundingSet="));
+  assert.ok(lines.includes("WantedBy=multi-user.target"));
+});
+
+test("quotes systemd specifiers, variables and spaces", () => {
+  const unit = buildSystemdUnit({
+    scope: "user",
+    command: ["/usr/bin/node", "/opt/my apps/index.js", "--ip-source", "command:echo $IP 100%"],
+    env: { APERTODNS_CONFIG_DIR: "/srv/100% dns" }
+  });
+  assert.match(unit, /^ExecStart=\/usr\/bin\/node "\/opt\/my apps\/index\.js" --ip-source "command:echo \$\$IP 100%%"$/m);
+  assert.match(unit, /^Environment="APERTODNS_CONFIG_DIR=\/srv\/100%% dns"$/m);
+});
+
+test("an OpenRC script supervises the daemon and quotes for the shell", () => {
+  const script = buildOpenRcScript({
+    command: ["/usr/bin/node", "/opt/apertodns/index.js", "--daemon", "--ip-source", "command:echo it's"],
+    env: { APERTODNS_CONFIG_DIR: "/etc/apertodns" },
+    user: "apertodns"
+  });
+  const lines = script.split("\n");
+  assert.equal(lines[0], "#!/sbin/openrc-run");
+  assert.ok(lines.includes("supervisor=supervise-daemon"));
+  assert.ok(lines.includes("command=/usr/bin/node"));
+  assert.ok(lines.includes("command_user=apertodns"));
+  assert.ok(lines.includes("export APERTODNS_CONFIG_DIR=/etc/apertodns"));
+
+  // openrc-run assigns command_args, then word-splits it with eval
+  const assignment = lines.find(l => l.startsWith("command_args="));
+  const { stdout } = spawnSync("sh", ["-c", `${assignment}; eval "set -- $command_args"; printf '%s\\n' "$@"`], { encoding: "utf-8" });
+  assert.deepEqual(stdout.split("\n").slice(0, -1), ["/opt/apertodns/index.js", "--daemon", "--ip-source", "command:echo it's"]);
+});
+
+test("service files live where the init system looks for them", () => {
+  assert.equal(systemdUnitPath("system"), "/etc/systemd/system/apertodns.service");
+  assert.equal(openRcScriptPath(), "/etc/init.d/apertodns");
+  const previous = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = "/home/me/.config";
+  try {
+    assert.equal(systemdUnitPath("user"), "/home/me/.config/systemd/user/apertodns.service");
+  } finally {
+    if (previous === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = previous;
+  }
+});
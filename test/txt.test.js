@@ -0,0 +1,129 @@
+// txt list, prune and apply against a local API
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+const HOST = "example.apertodns.com";
+
+let server;
+let configDir;
+let capabilities;
+let records;
+const updates = [];
+
+const ago = (hours) => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+
+before(async () => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url === "/.well-known/apertodns/v1/info") return res.end(JSON.stringify({ capabilities }));
+      if (req.url === `/.well-known/apertodns/v1/domains/${HOST}/txt`) return res.end(JSON.stringify({ records }));
+      if (req.url === "/.well-known/apertodns/v1/update" && req.method === "POST") {
+        updates.push(JSON.parse(body));
+        return res.end(JSON.stringify({ success: true }));
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+});
+
+beforeEach(() => {
+  capabilities = ["txt_list"];
+  records = [
+    { name: "_acme-challenge", value: "old", ttl: 60, createdAt: ago(48) },
+    { name: "_acme-challenge", value: "new", ttl: 60, createdAt: ago(0.1) },
+    { name: "_acme-challenge", value: "undated", ttl: 60 },
+    { name: "_dmarc", value: "v=DMARC1; p=none", ttl: 300, created_at: ago(100) }
+  ];
+  updates.length = 0;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const runCli = (argv) => new Promise((resolve) => {
+  const env = {
+    ...process.env,
+    APERTODNS_CONFIG_DIR: configDir,
+    APERTODNS_API_URL: `http://127.0.0.1:${server.address().port}`,
+    APERTODNS_API_KEY: "apertodns_live_test"
+  };
+  execFile(process.execPath, [CLI, ...argv, "--json"], { env, timeout: 20000 }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, result: stdout ? JSON.parse(stdout) : null, stderr });
+  });
+});
+
+test("txt list filters by name", async () => {
+  const { code, result, stderr } = await runCli(["txt", "list", HOST, "--name", "_dmarc"]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(result.data.records, [{ name: "_dmarc", value: "v=DMARC1; p=none", ttl: 300, createdAt: records[3].created_at }]);
+});
+
+test("txt list needs the txt_list capability", async () => {
+  capabilities = { records_list: true };
+  const { code, result } = await runCli(["txt", "list", HOST]);
+  assert.equal(code, 1);
+  assert.match(result.error.message, /capability "txt_list"/);
+});
+
+test("txt prune deletes only dated values older than the limit", async () => {
+  const { code, result, stderr } = await runCli(["txt", "prune", HOST, "--name", "_acme-challenge", "--older-than", "1d"]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(updates, [{ hostname: HOST, txt: { name: "_acme-challenge", value: "old", action: "delete" } }]);
+  assert.deepEqual(result.data.skipped.map(r => r.value), ["undated"]);
+  assert.equal(result.data.kept, 2);
+});
+
+test("txt prune with nothing to delete exits UNCHANGED", async () => {
+  const { code } = await runCli(["txt", "prune", HOST, "--name", "_acme-challenge", "--older-than", "7d"]);
+  assert.equal(code, 8);
+  assert.equal(updates.length, 0);
+});
+
+test("txt prune rejects a malformed duration", async () => {
+  const { code } = await runCli(["txt", "prune", HOST, "--name", "_acme-challenge", "--older-than", "1w"]);
+  assert.equal(code, 2);
+});
+
+test("txt apply skips values already in place", async () => {
+  const file = path.join(configDir, "records.json");
+  fs.writeFileSync(file, JSON.stringify({
+    hostname: HOST,
+    records: [
+      { name: "_dmarc", value: "v=DMARC1; p=none" },
+      { name: "_acme-challenge", value: "fresh" },
+      { name: "_acme-challenge", value: "old", action: "delete" },
+      { name: "_gone", action: "delete" }
+    ]
+  }));
+
+  const { code, result, stderr } = await runCli(["txt", "apply", "-f", file]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(result.data.results.map(r => r.status), ["unchanged", "applied", "applied", "unchanged"]);
+  assert.deepEqual(updates, [
+    { hostname: HOST, txt: { name: "_acme-challenge", action: "set", value: "fresh" } },
+    { hostname: HOST, txt: { name: "_acme-challenge", action: "delete", value: "old" } }
+  ]);
+});
+
+test("txt apply rejects an entry without a value", async () => {
+  const file = path.join(configDir, "bad.json");
+  fs.writeFileSync(file, JSON.stringify([{ hostname: HOST, name: "_acme-challenge" }]));
+  const { code, result } = await runCli(["txt", "apply", "-f", file]);
+  assert.equal(code, 2);
+  assert.match(result.error.message, /Record #1/);
+});
@@ -0,0 +1,203 @@
+// Updates against a local API, with addresses from local command sources
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile, spawn } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../index.js", import.meta.url));
+const DOMAIN = "home.apertodns.com";
+
+let server;
+let configDir;
+const pushes = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url === "/api/update-dns" && req.method === "POST") {
+        pushes.push(JSON.parse(body));
+        return res.end(JSON.stringify({ results: [{ domain: DOMAIN, success: true }] }));
+      }
+      if (req.url === "/api/domains") return res.end(JSON.stringify([{ id: 7, name: DOMAIN, ip: "9.9.9.9" }]));
+      if (req.url === "/api/domains/7" && req.method === "PATCH") {
+        pushes.push(JSON.parse(body));
+        return res.end(JSON.stringify({ success: true }));
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+});
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), "apertodns-test-"));
+  pushes.length = 0;
+});
+
+afterEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+after(() => {
+  server.close();
+});
+
+// config.json for a host whose addresses are printed by local commands
+const writeConfig = ({ ipv4, ipv6, ...settings }) => {
+  const source = { type: "command", command: `echo ${ipv4 || "none"}`, command6: `echo ${ipv6 || "none"}` };
+  fs.writeFileSync(path.join(configDir, "config.json"), JSON.stringify({ apiToken: "ddns-token", domain: DOMAIN, ipSources: [source], ...settings }), { mode: 0o600 });
+};
+
+const runCli = (argv) => new Promise((resolve) => {
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+  const env = { ...parentEnv, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_URL: `http://127.0.0.1:${server.address().port}` };
+  execFile(process.execPath, [CLI, ...argv, "--json"], { env, timeout: 20000 }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, output: stdout ? JSON.parse(stdout) : null, stderr });
+  });
+});
+
+test("pushes a new address once, then reports it unchanged", async () => {
+  writeConfig({ ipv4: "8.8.8.8" });
+  const first = await runCli([]);
+  assert.equal(first.code, 0, first.stderr);
+  assert.equal(first.output.data.status, "updated");
+  assert.deepEqual(pushes, [{ name: DOMAIN, ip: "8.8.8.8" }]);
+
+  const second = await runCli([]);
+  assert.equal(second.code, 8);
+  assert.equal(second.output.data.status, "unchanged");
+  assert.equal(pushes.length, 1);
+
+  const state = JSON.parse(fs.readFileSync(path.join(configDir, ".data", "domains_state.json"), "utf-8"));
+  assert.equal(state[DOMAIN].ipv4, "8.8.8.8");
+});
+
+test("reads the address saved by older versions until the first update", async () => {
+  writeConfig({ ipv4: "8.8.8.8" });
+  fs.mkdirSync(path.join(configDir, ".data"), { recursive: true });
+  fs.writeFileSync(path.join(configDir, ".data", "last_ip.txt"), "8.8.8.8\n");
+  assert.equal((await runCli([])).code, 8);
+  assert.equal(pushes.length, 0);
+
+  writeConfig({ ipv4: "1.1.1.1" });
+  const changed = await runCli([]);
+  assert.equal(changed.code, 0, changed.stderr);
+  assert.equal(changed.output.data.previousIp, "8.8.8.8");
+  assert.deepEqual(pushes, [{ name: DOMAIN, ip: "1.1.1.1" }]);
+});
+
+test("named profiles keep their own last-pushed state", async () => {
+  writeConfig({ ipv4: "8.8.8.8", profiles: { work: { apiToken: "ddns-token", domain: DOMAIN, ipSources: [{ type: "command", command: "echo 8.8.8.8" }] } } });
+  assert.equal((await runCli([])).code, 0);
+  const work = await runCli(["--profile", "work"]);
+  assert.equal(work.code, 0, work.stderr);
+  assert.equal(pushes.length, 2);
+  assert.equal((await runCli(["--profile", "work"])).code, 8);
+});
+
+// Run the daemon until it logs one of the given events, call whileRunning, then stop it
+const runDaemonUntil = async (argv, events, { env: extraEnv = {}, whileRunning } = {}) => {
+  const { APERTODNS_API_KEY, ...parentEnv } = process.env;
+  const env = { ...parentEnv, APERTODNS_CONFIG_DIR: configDir, APERTODNS_API_URL: `http://127.0.0.1:${server.address().port}`, ...extraEnv };
+  const daemon = spawn(process.execPath, [CLI, "--daemon", "--interval", "300", "--json", ...argv], { env });
+  const exited = new Promise(resolve => daemon.on("exit", resolve));
+  const seen = [];
+  const timer = setTimeout(() => daemon.kill(), 15000);
+  try {
+    await new Promise((resolve) => {
+      let buffer = "";
+      daemon.stdout.on("data", (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          seen.push(JSON.parse(line).event);
+          if (events.includes(seen.at(-1))) resolve();
+        }
+      });
+      exited.then(resolve);
+    });
+    await whileRunning?.();
+  } finally {
+    clearTimeout(timer);
+    // Let it stop before its config directory is removed
+    daemon.kill();
+    await exited;
+  }
+  return seen;
+};
+
+test("the daemon starts from the address the last update pushed", async () => {
+  writeConfig({ ipv4: "8.8.8.8" });
+  assert.equal((await runCli([])).code, 0);
+
+  const events = await runDaemonUntil([], ["unchanged", "updated", "update_failed", "error"]);
+  assert.ok(events.includes("unchanged"), events.join(", "));
+  assert.equal(pushes.length, 1);
+});
+
+test("pushes only the family whose address changed", async () => {
+  writeConfig({ ipv4: "8.8.8.8", ipv6: "2606:4700::1", family: "both" });
+  assert.equal((await runCli([])).code, 0);
+  assert.deepEqual(pushes, [{ name: DOMAIN, ip: "8.8.8.8", ipv6: "2606:4700::1" }]);
+
+  writeConfig({ ipv4: "8.8.8.8", ipv6: "2606:4700::2", family: "both" });
+  const changed = await runCli([]);
+  assert.equal(changed.code, 0, changed.stderr);
+  assert.deepEqual(pushes[1], { name: DOMAIN, ipv6: "2606:4700::2" });
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(changed.output.data.families).map(([key, f]) => [key, f.changed])),
+    { ipv4: false, ipv6: true }
+  );
+});
+
+test("update <domain> sends only the families that were detected", async () => {
+  writeConfig({ ipv6: "2606:4700::1" });
+  const { code, stderr } = await runCli(["update", DOMAIN]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(pushes, [{ ipv6: "2606:4700::1" }]);
+});
+
+test("the daemon repairs a record that drifted from the pushed address", async () => {
+  writeConfig({ ipv4: "8.8.8.8" });
+  assert.equal((await runCli([])).code, 0);
+
+  // The API still publishes 9.9.9.9, although 8.8.8.8 was pushed
+  const events = await runDaemonUntil(["--drift-check", "api"], ["updated", "update_failed", "error", "unchanged"],
+    { env: { APERTODNS_API_KEY: "apertodns_live_test" } });
+  assert.deepEqual(events.filter(e => ["drift", "updated"].includes(e)), ["drift", "updated"], events.join(", "));
+  assert.deepEqual(pushes.map(p => [p.name, p.ip]), [[DOMAIN, "8.8.8.8"], [DOMAIN, "8.8.8.8"]]);
+});
+
+test("a domain waiting out a backoff still counts as checked", async () => {
+  writeConfig({ ipv4: "8.8.8.8" });
+  fs.mkdirSync(path.join(configDir, ".data"), { recursive: true });
+  const nextAttemptAt = new Date(Date.now() + 3600 * 1000).toISOString();
+  fs.writeFileSync(path.join(configDir, ".data", "pending_updates.json"),
+    JSON.stringify({ [DOMAIN]: { ipv4: "8.8.8.8", attempts: 1, nextAttemptAt, lastError: "HTTP 503", lastStatus: 503 } }));
+
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, "127.0.0.1", resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+
+  let status;
+  const events = await runDaemonUntil(["--health-listen", `127.0.0.1:${port}`], ["pending", "updated", "error"], {
+    whileRunning: async () => {
+      status = await (await fetch(`http://127.0.0.1:${port}/status`)).json();
+    }
+  });
+  assert.ok(events.includes("pending"), events.join(", "));
+  assert.equal(pushes.length, 0);
+  assert.ok(status.domains[0].lastCheckAt, "lastCheckAt is set while the update is pending");
+  assert.equal(status.domains[0].pending.nextAttemptAt, nextAttemptAt);
+});
@@ -2,12 +2,21 @@ import fetch from "node-fetch";
 import fs from "fs";
 import path from "path";
 import os from "os";
+import { exec } from "child_process";
 import { fileURLToPath } from "url";
+import { getUpnpExternalIP, getNatPmpExternalIP } from "./gateway.js";
+import { isPublicIP, describeBogon } from "./address.js";
+import { httpFetch } from "./http.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Get config directory based on platform (XDG compliant)
 export const getConfigDir = () => {
+  // Explicit override (used by the generated service units)
+  if (process.env.APERTODNS_CONFIG_DIR) {
+    return process.env.APERTODNS_CONFIG_DIR;
+  }
+
   // Check for XDG config home first (Linux standard)
   if (process.env.XDG_CONFIG_HOME) {
     return path.join(process.env.XDG_CONFIG_HOME, "apertodns");
@@ -21,17 +30,14 @@ export const getConfigDir = () => {
     return path.join(process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming"), "apertodns");
   }
 
-  // macOS and Linux: use ~/.config/apertodns or ~/.apertodns
-  const configDir = path.join(os.homedir(), ".config", "apertodns");
-
-  // Fallback to ~/.apertodns if .config doesn't exist
-  if (!fs.existsSync(path.join(os.homedir(), ".config"))) {
-    return path.join(os.homedir(), ".apertodns");
-  }
-
-  return configDir;
+  return configDirIn(os.homedir());
 };
 
+// macOS and Linux: ~/.config/apertodns, or ~/.apertodns if .config doesn't exist
+export const configDirIn = (home) => fs.existsSync(path.join(home, ".config"))
+  ? path.join(home, ".config", "apertodns")
+  : path.join(home, ".apertodns");
+
 // Get data directory for cache and temp files
 export const getDataDir = () => {
   const configDir = getConfigDir();
@@ -47,88 +53,258 @@ export const getDataDir = () => {
 const dataDir = getDataDir();
 const ipPath = path.join(dataDir, "last_ip.txt");
 const ipv6Path = path.join(dataDir, "last_ipv6.txt");
+const domainStatePath = path.join(dataDir, "domains_state.json");
+const pendingPath = path.join(dataDir, "pending_updates.json");
+const challengesPath = path.join(dataDir, "acme_challenges.json");
 
 export const log = (msg) => {
   const time = new Date().toISOString().replace("T", " ").substring(0, 19);
   console.log(`[${time}] ${msg}`);
 };
 
-export const getCurrentIP = async (ipService = 'https://api.ipify.org') => {
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
+// What-is-my-IP services queried together for each family
+const IP_SERVICES = {
+  ipv4: [
+    'https://api.ipify.org',
+    'https://ifconfig.me/ip',
+    'https://icanhazip.com',
+    'https://checkip.amazonaws.com'
+  ],
+  ipv6: [
+    'https://api6.ipify.org',
+    'https://ipv6.icanhazip.com',
+    'https://v6.ident.me'
+  ]
+};
 
-    const res = await fetch(ipService, { signal: controller.signal });
-    clearTimeout(timeout);
+// Default number of services that must report the same address
+export const DEFAULT_IP_QUORUM = 2;
 
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const ip = (await res.text()).trim();
+// Count the answers per address: the most voted one wins if it has at least `needed`
+// votes and no other address ties with it. Returns { ip, agreed } or null.
+export const pickConsensus = (answers, needed) => {
+  const votes = new Map();
+  for (const answer of answers) {
+    if (answer.error) continue;
+    votes.set(answer.ip, [...(votes.get(answer.ip) || []), answer.service]);
+  }
 
-    // Validate IPv4
-    const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-    if (!ipv4Regex.test(ip)) {
-      throw new Error("Invalid IPv4 format");
+  const ranked = [...votes.entries()].sort((a, b) => b[1].length - a[1].length);
+  const [best, runnerUp] = ranked;
+  if (!best || best[1].length < needed || (runnerUp && runnerUp[1].length === best[1].length)) return null;
+  return { ip: best[0], agreed: best[1] };
+};
+
+// Query every service in parallel and accept an address only when at least `quorum`
+// services agree on it. Answers must be strictly valid, publicly routable addresses.
+// Resolves to { ip, agreed, answers } where answers lists what every service said.
+export const detectIPConsensus = async (family, { ipService, quorum = DEFAULT_IP_QUORUM } = {}) => {
+  const services = [...new Set([ipService, ...IP_SERVICES[family]].filter(Boolean))];
+  const needed = Math.max(1, Math.min(parseInt(quorum) || DEFAULT_IP_QUORUM, services.length));
+
+  // No retries: the other services already make up for one that fails
+  const answers = await Promise.all(services.map(async (service) => {
+    try {
+      const res = await httpFetch(service, {}, { timeout: 5000, retries: 0 });
+      if (!res.ok) return { service, error: `HTTP ${res.status}` };
+      const ip = (await res.text()).trim();
+      if (!isPublicIP(ip, family)) return { service, ip, error: describeBogon(ip, family) };
+      return { service, ip };
+    } catch (err) {
+      return { service, error: err.code === "ETIMEDOUT" ? "timeout" : err.message };
     }
+  }));
+
+  const consensus = pickConsensus(answers, needed);
+  if (!consensus) {
+    const summary = answers.map(a => `${a.service}: ${a.error ? `${a.ip ? `${a.ip} ` : ""}(${a.error})` : a.ip}`).join("; ");
+    throw Object.assign(
+      new Error(`No ${family} address reached a quorum of ${needed} (${summary})`),
+      { answers }
+    );
+  }
 
-    return ip;
-  } catch (err) {
-    // Try fallback services
-    const fallbacks = [
-      'https://api.ipify.org',
-      'https://ifconfig.me/ip',
-      'https://icanhazip.com',
-      'https://checkip.amazonaws.com'
-    ];
+  return { ...consensus, answers };
+};
 
-    for (const fallback of fallbacks) {
-      if (fallback === ipService) continue;
+// ==================== IP SOURCES ====================
+//
+// A source chain is an ordered list; the first source that yields an address of the
+// requested family wins. Sources are given as "type:value" strings or objects:
+//   "http" | "http:<url>"             what-is-my-IP services (default)
+//   "interface:<name>"                address assigned to a local interface
+//   "command:<cmd>"                   first address printed by a shell command
+//   "file:<path>"                     first address found in a file
+//   "metadata:aws|gcp|openstack|<url>" cloud instance metadata service
+//   "upnp" | "natpmp[:<gateway>]"      router WAN address over UPnP IGD or NAT-PMP/PCP
+//   "gateway"                         UPnP first, then NAT-PMP/PCP
+// Object form: { type, ..., family: "ipv4"|"ipv6" } limits a source to one family, and
+// url6 / command6 / path6 give a separate IPv6 variant of the same source.
+
+// Pick the first public address of the requested family out of free-form text (command output, files)
+const extractIP = (text, family) => {
+  return text.split(/[\s,;]+/)
+    .map(token => token.replace(/\/\d+$/, ""))
+    .find(token => isPublicIP(token, family)) || null;
+};
 
+const METADATA_PROVIDERS = {
+  aws: {
+    ipv4: "http://169.254.169.254/latest/meta-data/public-ipv4",
+    ipv6: "http://169.254.169.254/latest/meta-data/ipv6",
+    tokenUrl: "http://169.254.169.254/latest/api/token"
+  },
+  gcp: {
+    ipv4: "http://metadata.google.internal/computeMetadata/v1/instance/network-interfaces/0/access-configs/0/external-ip",
+    ipv6: "http://metadata.google.internal/computeMetadata/v1/instance/network-interfaces/0/ipv6s",
+    headers: { "Metadata-Flavor": "Google" }
+  },
+  openstack: {
+    ipv4: "http://169.254.169.254/latest/meta-data/public-ipv4",
+    ipv6: null
+  }
+};
+
+// Link-local metadata endpoints: fetched directly, never through the proxy
+const fetchText = async (url, options = {}, ms = 2000) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), ms);
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.text()).trim();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+export const parseIpSource = (source) => {
+  if (source && typeof source === "object") return source;
+
+  const spec = String(source).trim();
+  const idx = spec.indexOf(":");
+  const type = idx === -1 ? spec : spec.slice(0, idx);
+  const value = idx === -1 ? null : spec.slice(idx + 1);
+
+  switch (type) {
+    case "http": return { type, url: value };
+    case "interface": return { type, name: value };
+    case "command": return { type, command: value };
+    case "file": return { type, path: value };
+    case "metadata": return { type, provider: value || "aws" };
+    case "upnp": return { type };
+    case "natpmp": return { type, gateway: value };
+    case "gateway": return { type };
+    default: throw new Error(`Unknown IP source "${type}"`);
+  }
+};
+
+export const describeIpSource = (source) => {
+  const value = source.url || source.name || source.command || source.path || source.provider || source.gateway;
+  return value ? `${source.type}:${value}` : source.type;
+};
+
+const IP_SOURCES = {
+  http: async (source, family, { ipService, ipv6Service, quorum }) => {
+    const service = family === "ipv4" ? source.url || ipService : source.url6 || ipv6Service;
+    return detectIPConsensus(family, { ipService: service, quorum: source.quorum || quorum });
+  },
+
+  interface: async (source, family) => {
+    const addresses = os.networkInterfaces()[source.name];
+    if (!addresses) throw new Error(`interface ${source.name} not found`);
+    // Node 18.0-18.3 reports family as a number
+    const wanted = family === "ipv4" ? ["IPv4", 4] : ["IPv6", 6];
+    const match = addresses.find(a => !a.internal && wanted.includes(a.family) && isPublicIP(a.address, family));
+    return match?.address || null;
+  },
+
+  command: (source, family) => new Promise((resolve, reject) => {
+    const command = (family === "ipv6" && source.command6) || source.command;
+    exec(command, { timeout: 10000, env: { ...process.env, APERTODNS_IP_FAMILY: family } }, (err, stdout) => {
+      if (err) return reject(err);
+      resolve(extractIP(stdout, family));
+    });
+  }),
+
+  file: async (source, family) => {
+    const file = (family === "ipv6" && source.path6) || source.path;
+    return extractIP(await fs.promises.readFile(file, "utf-8"), family);
+  },
+
+  metadata: async (source, family) => {
+    const provider = METADATA_PROVIDERS[source.provider] || {
+      ipv4: source.provider,
+      ipv6: source.url6 || source.provider
+    };
+    const url = provider[family];
+    if (!url) return null;
+
+    const headers = { ...provider.headers };
+    if (provider.tokenUrl) {
+      // IMDSv2 session token; fall back to IMDSv1 when the PUT is refused
       try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 5000);
-
-        const res = await fetch(fallback, { signal: controller.signal });
-        clearTimeout(timeout);
-
-        if (res.ok) {
-          const ip = (await res.text()).trim();
-          const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-          if (ipv4Regex.test(ip)) {
-            return ip;
-          }
-        }
+        headers["X-aws-ec2-metadata-token"] = await fetchText(provider.tokenUrl, {
+          method: "PUT",
+          headers: { "X-aws-ec2-metadata-token-ttl-seconds": "60" }
+        });
       } catch {
-        continue;
+        // IMDSv1
       }
     }
 
-    throw new Error("Unable to detect IP address");
-  }
-};
+    return extractIP(await fetchText(url, { headers }), family);
+  },
 
-export const getCurrentIPv6 = async (ipService6 = 'https://api6.ipify.org') => {
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
+  // Routers only report their IPv4 WAN address
+  upnp: async (source, family) => family === "ipv4" ? getUpnpExternalIP() : null,
 
-    const res = await fetch(ipService6, { signal: controller.signal });
-    clearTimeout(timeout);
+  natpmp: async (source, family) => family === "ipv4" ? getNatPmpExternalIP(source.gateway || undefined) : null,
 
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const ip = (await res.text()).trim();
+  gateway: async (source, family) => {
+    if (family !== "ipv4") return null;
+    try {
+      return await getUpnpExternalIP();
+    } catch (err) {
+      if (err.cgnat) throw err;
+      return getNatPmpExternalIP();
+    }
+  }
+};
 
-    // Basic IPv6 validation (contains colons)
-    if (!ip.includes(':')) {
-      throw new Error("Invalid IPv6 format");
+// Walk the source chain for one family; resolves to { ip, source, agreed, cgnat } or throws.
+// agreed lists the HTTP services that reported the address (null for other sources);
+// cgnat holds the shared address a router reported when it sits behind carrier-grade NAT.
+export const detectPublicIP = async (family, { sources, ipService, ipv6Service, quorum } = {}) => {
+  const chain = (sources?.length ? sources : ["http"]).map(parseIpSource);
+  const errors = [];
+  let cgnat = null;
+
+  for (const source of chain) {
+    if (source.family && source.family !== family) continue;
+    if (!IP_SOURCES[source.type]) {
+      errors.push(`${source.type}: unknown source`);
+      continue;
     }
 
-    return ip;
-  } catch (err) {
-    // IPv6 might not be available, return null instead of throwing
-    return null;
+    try {
+      // Sources return an address, or { ip, agreed } when several services voted on it
+      const result = await IP_SOURCES[source.type](source, family, { ipService, ipv6Service, quorum });
+      const ip = typeof result === "string" ? result.trim() : result?.ip;
+      if (ip && isPublicIP(ip, family)) {
+        return { ip, source: describeIpSource(source), agreed: result.agreed || null, cgnat };
+      }
+      errors.push(`${describeIpSource(source)}: ${ip ? `${ip} rejected (${describeBogon(ip, family)})` : `no ${family} address`}`);
+    } catch (err) {
+      if (err.cgnat) cgnat = err.ip;
+      errors.push(`${describeIpSource(source)}: ${err.message}`);
+    }
   }
+
+  throw Object.assign(new Error(`Unable to detect ${family} address (${errors.join("; ")})`), { cgnat });
 };
 
+// Last addresses written by versions before domains_state.json, read only to migrate from them
 export const loadLastIP = () => {
   try {
     return fs.existsSync(ipPath) ? fs.readFileSync(ipPath, "utf-8").trim() : null;
@@ -137,30 +313,147 @@ export const loadLastIP = () => {
   }
 };
 
-export const saveCurrentIP = (ip) => {
+export const loadLastIPv6 = () => {
+  try {
+    return fs.existsSync(ipv6Path) ? fs.readFileSync(ipv6Path, "utf-8").trim() : null;
+  } catch {
+    return null;
+  }
+};
+
+// Last-pushed state of every domain, shared by updates and the daemon: { "<domain>": { ipv4, ipv6, updatedAt } }
+export const loadDomainState = (domain) => {
+  try {
+    if (!fs.existsSync(domainStatePath)) return {};
+    const state = JSON.parse(fs.readFileSync(domainStatePath, "utf-8"));
+    return domain ? state[domain] || {} : state;
+  } catch {
+    return {};
+  }
+};
+
+export const saveDomainState = (domain, patch) => {
   try {
-    fs.writeFileSync(ipPath, ip);
+    const state = loadDomainState();
+    state[domain] = { ...state[domain], ...patch };
+    fs.writeFileSync(domainStatePath, JSON.stringify(state, null, 2));
   } catch (err) {
     // Silently fail - non-critical
   }
 };
 
-export const loadLastIPv6 = () => {
+// Updates that failed transiently, retried before the next scheduled check:
+// { "<domain>": { ipv4, ipv6, attempts, nextAttemptAt, lastError } }
+export const loadPendingUpdates = () => {
   try {
-    return fs.existsSync(ipv6Path) ? fs.readFileSync(ipv6Path, "utf-8").trim() : null;
+    return fs.existsSync(pendingPath) ? JSON.parse(fs.readFileSync(pendingPath, "utf-8")) : {};
   } catch {
-    return null;
+    return {};
   }
 };
 
-export const saveCurrentIPv6 = (ip) => {
+export const savePendingUpdate = (domain, pending) => {
   try {
-    fs.writeFileSync(ipv6Path, ip);
+    const all = loadPendingUpdates();
+    all[domain] = pending;
+    fs.writeFileSync(pendingPath, JSON.stringify(all, null, 2));
   } catch (err) {
     // Silently fail - non-critical
   }
 };
 
+export const clearPendingUpdate = (domain) => {
+  try {
+    const all = loadPendingUpdates();
+    if (!(domain in all)) return;
+    delete all[domain];
+    fs.writeFileSync(pendingPath, JSON.stringify(all, null, 2));
+  } catch (err) {
+    // Silently fail - non-critical
+  }
+};
+
+// ACME challenges set during one certificate run, checked together before the last hook returns:
+// [{ fqdn, value, at }]. Entries older than an hour belong to an aborted run and are dropped.
+const CHALLENGE_MAX_AGE = 60 * 60 * 1000;
+
+export const loadAcmeChallenges = () => {
+  try {
+    const all = fs.existsSync(challengesPath) ? JSON.parse(fs.readFileSync(challengesPath, "utf-8")) : [];
+    return all.filter(c => Date.now() - Date.parse(c.at) < CHALLENGE_MAX_AGE);
+  } catch {
+    return [];
+  }
+};
+
+export const addAcmeChallenge = (fqdn, value) => {
+  try {
+    const all = loadAcmeChallenges().filter(c => c.fqdn !== fqdn || c.value !== value);
+    all.push({ fqdn, value, at: new Date().toISOString() });
+    fs.writeFileSync(challengesPath, JSON.stringify(all, null, 2));
+  } catch (err) {
+    // Silently fail - non-critical
+  }
+};
+
+// Forget one challenge value; the other domains of a multi-domain certificate keep theirs
+export const removeAcmeChallenge = (fqdn, value) => {
+  try {
+    const rest = loadAcmeChallenges().filter(c => c.fqdn !== fqdn || c.value !== value);
+    if (rest.length) fs.writeFileSync(challengesPath, JSON.stringify(rest, null, 2));
+    else if (fs.existsSync(challengesPath)) fs.unlinkSync(challengesPath);
+  } catch (err) {
+    // Silently fail - non-critical
+  }
+};
+
+export const clearAcmeChallenges = () => {
+  try {
+    if (fs.existsSync(challengesPath)) fs.unlinkSync(challengesPath);
+  } catch (err) {
+    // Silently fail - non-critical
+  }
+};
+
+// ==================== LOCK / PID FILE ====================
+
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+};
+
+// Single-instance lock: a file holding the owner's PID, created exclusively.
+// A lock left behind by a process that no longer exists is taken over.
+export const acquireLock = (lockPath) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, `${process.pid}\n`, { flag: "wx" });
+      return;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      const pid = parseInt(fs.readFileSync(lockPath, "utf-8"));
+      if (pid && pid !== process.pid && isProcessAlive(pid)) {
+        throw Object.assign(new Error(`Lock ${lockPath} held by PID ${pid}`), { pid });
+      }
+      fs.unlinkSync(lockPath);
+    }
+  }
+  throw new Error(`Unable to acquire lock ${lockPath}`);
+};
+
+// Remove a lock or PID file, but only if this process wrote it
+export const releaseLock = (lockPath) => {
+  try {
+    if (parseInt(fs.readFileSync(lockPath, "utf-8")) === process.pid) fs.unlinkSync(lockPath);
+  } catch {
+    // Already gone
+  }
+};
+
 // Export package info
 export const getPackageInfo = () => {
   try {